@@ -0,0 +1,136 @@
+/**
+ * Achievements - Evaluates the ACHIEVEMENTS catalog against game events
+ */
+
+import { ACHIEVEMENTS } from './config.js';
+import { persistAchievements } from './storage.js';
+import { getRules } from './simulation.js';
+
+// Condition keys usable in a catalog entry's `when` block
+const CONDITIONS = {
+  difficulty: (ctx, value) => ctx.state.mode === 'classic' && ctx.state.difficulty === value,
+  mode: (ctx, value) => ctx.state.mode === value,
+  minCombo: (ctx, value) => ctx.state.combo >= value,
+  minScore: (ctx, value) => ctx.state.score >= value,
+  maxPowerUpsUsed: (ctx, value) => countUsed(ctx.state.runStats) <= value,
+  powerUp: (ctx, value) => ctx.powerUp === value,
+  maxWidth: (ctx, value) => ctx.width !== undefined && ctx.width < value,
+  theme: (ctx, value) => ctx.theme === value
+};
+
+// Toasts waiting to be shown, one at a time
+const toastQueue = [];
+let toastTimer = null;
+
+function countUsed(runStats) {
+  return runStats ? Object.values(runStats.used).reduce((a, b) => a + b, 0) : 0;
+}
+
+/**
+ * Create empty achievement progress
+ * @returns {object} - { unlocked: { id: ISO date }, progress: { id: count } }
+ */
+export function createAchievementProgress() {
+  return { unlocked: {}, progress: {} };
+}
+
+/**
+ * Check whether a catalog entry's conditions hold
+ * @param {object} achievement - Catalog entry
+ * @param {object} ctx - Event context ({ state, ...details })
+ * @returns {boolean}
+ */
+function conditionsMet(achievement, ctx) {
+  return Object.entries(achievement.when || {}).every(([key, value]) => {
+    const check = CONDITIONS[key];
+    if (!check) {
+      console.warn(`Unknown achievement condition "${key}" in ${achievement.id}`);
+      return false;
+    }
+    return check(ctx, value);
+  });
+}
+
+/**
+ * Apply an event to achievement progress (no side effects beyond progress)
+ * @param {object} progress - Achievement progress
+ * @param {string} event - Event name
+ * @param {object} ctx - Event context ({ state, ...details })
+ * @returns {object[]} - Catalog entries unlocked by this event
+ */
+export function evaluateAchievements(progress, event, ctx) {
+  const unlocked = [];
+  ACHIEVEMENTS.forEach((achievement) => {
+    if (achievement.on !== event || progress.unlocked[achievement.id]) return;
+    if (!conditionsMet(achievement, ctx)) return;
+
+    if (achievement.count) {
+      const count = (progress.progress[achievement.id] || 0) + 1;
+      progress.progress[achievement.id] = count;
+      if (count < achievement.count) return;
+    }
+
+    progress.unlocked[achievement.id] = new Date().toISOString();
+    unlocked.push(achievement);
+  });
+  return unlocked;
+}
+
+/**
+ * Feed a game event to the achievements system, persisting and announcing
+ * any progress (ignored while watching a replay or practicing in Zen)
+ * @param {object} state - Game state
+ * @param {string} event - Event name
+ * @param {object} [details] - Extra context for conditions
+ */
+export function checkAchievements(state, event, details = {}) {
+  if (state.status === 'REPLAY' || !state.runStats || getRules(state).practice) return;
+
+  const progress = state.achievements;
+  const before = JSON.stringify(progress.progress);
+  const unlocked = evaluateAchievements(progress, event, { state, ...details });
+
+  if (unlocked.length || JSON.stringify(progress.progress) !== before) {
+    persistAchievements(progress);
+  }
+  unlocked.forEach(announceAchievement);
+}
+
+/**
+ * Queue an unlock toast
+ * @param {object} achievement - Catalog entry
+ */
+function announceAchievement(achievement) {
+  toastQueue.push(achievement);
+  if (!toastTimer) showNextToast();
+}
+
+function showNextToast() {
+  const achievement = toastQueue.shift();
+  if (!achievement) {
+    toastTimer = null;
+    return;
+  }
+
+  const notification = document.createElement('div');
+  notification.className = 'powerup-notification achievement-notification';
+  notification.innerHTML = `
+    <div class="powerup-notification-icon">${achievement.icon}</div>
+    <p class="powerup-notification-text">Achievement!</p>
+    <p class="powerup-notification-subtext">${achievement.name} • ${achievement.desc}</p>
+  `;
+  document.body.appendChild(notification);
+
+  // VR has no DOM in the headset, so mirror the toast on a text sprite
+  if (typeof window.updateVRText === 'function' && window.toastText) {
+    window.toastText.visible = true;
+    window.updateVRText(`🏆 ${achievement.name}`, window.toastText, '#FFD700');
+  }
+
+  toastTimer = setTimeout(() => {
+    notification.style.animation = 'powerup-appear 0.3s ease-in reverse';
+    setTimeout(() => notification.remove(), 300);
+    if (window.toastText) window.toastText.visible = false;
+    toastTimer = setTimeout(showNextToast, 300);
+  }, 2500);
+}
@@ -2,9 +2,14 @@
  * Audio Service - Handles all game sounds using Web Audio API
  */
 
+// Master volume while ducked
+const DUCK_LEVEL = 0.2;
+
 export class AudioService {
   constructor() {
     this.ctx = null;
+    this.master = null;
+    this.ducked = false;
     this.scale = [261.63, 293.66, 329.63, 349.23, 392.0, 440.0, 493.88, 523.25];
   }
 
@@ -15,12 +20,30 @@ export class AudioService {
     try {
       if (!this.ctx) {
         this.ctx = new (window.AudioContext || window.webkitAudioContext)();
+        // Every sound goes through one gain node so it can be ducked
+        this.master = this.ctx.createGain();
+        this.master.gain.value = this.ducked ? DUCK_LEVEL : 1;
+        this.master.connect(this.ctx.destination);
       }
     } catch (e) {
       console.warn('Failed to initialize audio:', e);
     }
   }
 
+  /**
+   * Lower (or restore) the volume of all sounds, e.g. while paused
+   * @param {boolean} ducked - Whether to duck
+   */
+  setDucked(ducked) {
+    this.ducked = ducked;
+    if (!this.master) return;
+
+    const now = this.ctx.currentTime;
+    this.master.gain.cancelScheduledValues(now);
+    this.master.gain.setValueAtTime(this.master.gain.value, now);
+    this.master.gain.linearRampToValueAtTime(ducked ? DUCK_LEVEL : 1, now + 0.2);
+  }
+
   /**
    * Resume audio context if suspended
    */
@@ -52,7 +75,7 @@ export class AudioService {
       gain.gain.exponentialRampToValueAtTime(0.0001, this.ctx.currentTime + 0.6);
       
       osc.connect(gain);
-      gain.connect(this.ctx.destination);
+      gain.connect(this.master);
       osc.start();
       osc.stop(this.ctx.currentTime + 0.6);
     } catch (e) {
@@ -80,7 +103,7 @@ export class AudioService {
       gain.gain.exponentialRampToValueAtTime(0.0001, this.ctx.currentTime + 0.3);
       
       osc.connect(gain);
-      gain.connect(this.ctx.destination);
+      gain.connect(this.master);
       osc.start();
       osc.stop(this.ctx.currentTime + 0.3);
     } catch (e) {
@@ -88,6 +111,69 @@ export class AudioService {
     }
   }
 
+  /**
+   * Play the rising chime for a perfect-streak regrowth
+   * @param {boolean} isMuted - Whether audio is muted
+   */
+  playRegrow(isMuted) {
+    if (!this.ctx || isMuted) return;
+    
+    try {
+      this._resume();
+      [523, 659, 784].forEach((freq, i) => {
+        const start = this.ctx.currentTime + i * 0.07;
+        const osc = this.ctx.createOscillator();
+        const gain = this.ctx.createGain();
+        
+        osc.type = 'sine';
+        osc.frequency.setValueAtTime(freq, start);
+        
+        gain.gain.setValueAtTime(0.0001, this.ctx.currentTime);
+        gain.gain.setValueAtTime(0.08, start);
+        gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.35);
+        
+        osc.connect(gain);
+        gain.connect(this.master);
+        osc.start(start);
+        osc.stop(start + 0.35);
+      });
+    } catch (e) {
+      console.warn('Failed to play regrow sound:', e);
+    }
+  }
+
+  /**
+   * Play the fanfare for clearing a level or puzzle
+   * @param {boolean} isMuted - Whether audio is muted
+   */
+  playClear(isMuted) {
+    if (!this.ctx || isMuted) return;
+    
+    try {
+      this._resume();
+      [523, 659, 784, 1046].forEach((freq, i) => {
+        const start = this.ctx.currentTime + i * 0.12;
+        const length = i === 3 ? 0.8 : 0.3;
+        const osc = this.ctx.createOscillator();
+        const gain = this.ctx.createGain();
+        
+        osc.type = 'triangle';
+        osc.frequency.setValueAtTime(freq, start);
+        
+        gain.gain.setValueAtTime(0.0001, this.ctx.currentTime);
+        gain.gain.setValueAtTime(0.1, start);
+        gain.gain.exponentialRampToValueAtTime(0.0001, start + length);
+        
+        osc.connect(gain);
+        gain.connect(this.master);
+        osc.start(start);
+        osc.stop(start + length);
+      });
+    } catch (e) {
+      console.warn('Failed to play clear sound:', e);
+    }
+  }
+
   /**
    * Play block placement sound
    * @param {boolean} isMuted - Whether audio is muted
@@ -107,7 +193,7 @@ export class AudioService {
       gain.gain.exponentialRampToValueAtTime(0.0001, this.ctx.currentTime + 0.1);
       
       osc.connect(gain);
-      gain.connect(this.ctx.destination);
+      gain.connect(this.master);
       osc.start();
       osc.stop(this.ctx.currentTime + 0.1);
     } catch (e) {
@@ -146,7 +232,7 @@ export class AudioService {
       
       noise.connect(filter);
       filter.connect(gain);
-      gain.connect(this.ctx.destination);
+      gain.connect(this.master);
       noise.start();
       noise.stop(this.ctx.currentTime + 0.3);
     } catch (e) {
@@ -174,7 +260,7 @@ export class AudioService {
       gain.gain.linearRampToValueAtTime(0, this.ctx.currentTime + 0.8);
       
       osc.connect(gain);
-      gain.connect(this.ctx.destination);
+      gain.connect(this.master);
       osc.start();
       osc.stop(this.ctx.currentTime + 0.8);
     } catch (e) {
@@ -0,0 +1,69 @@
+/**
+ * Block Meshes - Renders simulation block records as Three.js meshes
+ */
+
+import * as THREE from 'three';
+import { CONFIG } from './config.js';
+
+// Every plain block shares one unit box, sized through mesh.scale
+const unitBox = new THREE.BoxGeometry(1, 1, 1);
+
+/**
+ * Build a prism for a shaped block's footprint (see geometry.js)
+ * @param {Array<Array<object>>} footprint - Convex pieces around the block's center
+ * @returns {THREE.BufferGeometry} - Geometry centered on the block
+ */
+function createFootprintGeometry(footprint) {
+  // Shapes are drawn in the XY plane and extruded along Z, then stood up;
+  // Y is flipped so the footprint's z lands on world z after the turn
+  const shapes = footprint.map(poly => new THREE.Shape(poly.map(p => new THREE.Vector2(p.x, -p.z))));
+  const geometry = new THREE.ExtrudeGeometry(shapes, { depth: CONFIG.BLOCK_HEIGHT, bevelEnabled: false });
+  geometry.rotateX(-Math.PI / 2);
+  geometry.translate(0, -CONFIG.BLOCK_HEIGHT / 2, 0);
+  return geometry;
+}
+
+/**
+ * Create a mesh for a block record
+ * @param {object} block - Block record
+ * @param {THREE.Material} material - Block material
+ * @returns {THREE.Mesh} - Block mesh
+ */
+export function createBlockMesh(block, material) {
+  const mesh = new THREE.Mesh(unitBox, material);
+  syncBlockMesh(mesh, block);
+  return mesh;
+}
+
+/**
+ * Copy a block record's position and size onto its mesh
+ * @param {THREE.Mesh} mesh - Block mesh
+ * @param {object} block - Block record
+ */
+export function syncBlockMesh(mesh, block) {
+  if (!mesh || !block) return;
+  mesh.position.set(block.x, block.y, block.z);
+  mesh.rotation.y = block.angle || 0;
+
+  // Shaped blocks get their own geometry, rebuilt only when the outline changes
+  if (mesh.userData.footprint !== block.footprint) {
+    if (mesh.geometry !== unitBox) mesh.geometry.dispose();
+    mesh.geometry = block.footprint ? createFootprintGeometry(block.footprint) : unitBox;
+    mesh.userData.footprint = block.footprint;
+  }
+  if (block.footprint) mesh.scale.set(1, 1, 1);
+  else mesh.scale.set(block.width, CONFIG.BLOCK_HEIGHT, block.depth);
+}
+
+/**
+ * Dispose a block mesh's material (the shared geometry is kept)
+ * @param {THREE.Mesh} mesh - Block mesh
+ */
+export function disposeBlockMesh(mesh) {
+  if (!mesh) return;
+  if (mesh.parent) mesh.parent.remove(mesh);
+  if (mesh.geometry !== unitBox) mesh.geometry.dispose();
+  if (mesh.material && typeof mesh.material.dispose === 'function') {
+    mesh.material.dispose();
+  }
+}
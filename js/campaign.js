@@ -0,0 +1,192 @@
+/**
+ * Campaign - Handcrafted levels loaded from data/campaign.json
+ *
+ * Each level in the file may set:
+ * - id, name: unique key (progress is saved under it) and display name
+ * - target: height that clears the level
+ * - difficulty: DIFFICULTIES preset the level starts from (speed profile,
+ *   movement), with `rules` overriding any CUSTOM_DIFFICULTY_FIELDS value
+ * - powerUps: power-ups that can be awarded ([] for none)
+ * - hazards: true for HAZARD_RULES, a { from, every, types } schedule, or
+ *   false; the player's hazard toggle doesn't apply to levels
+ * - startWidth, startDepth: size of the foundation
+ * - theme: THEMES id the level is played in
+ * - continues: continues allowed (default 0)
+ * - stars: { by: 'perfects' or 'width', two, three } - clearing is one star,
+ *   reaching `two` / `three` perfects (or narrowest remaining side) earns more
+ *
+ * A level is sanitized into a rules object that getRules hands to the
+ * simulation, so adding a level never needs code changes.
+ */
+
+import { CONFIG, DIFFICULTIES, THEMES, HAZARDS, HAZARD_RULES } from './config.js';
+import { POWERUP_TYPES } from './powerup-registry.js';
+import { MOVEMENT_PATTERNS } from './movement.js';
+import { sanitizeCustomDifficulty } from './custom-difficulty.js';
+
+export const CAMPAIGN_URL = 'data/campaign.json';
+
+const DEFAULT_TARGET = 20;
+const MIN_START_SIZE = 0.5;
+
+function toCount(value, fallback = 0) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : fallback;
+}
+
+function toSize(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(CONFIG.INITIAL_SIZE, Math.max(MIN_START_SIZE, n)) : fallback;
+}
+
+// Hazard schedule from the file (null for no hazards)
+function sanitizeHazards(hazards) {
+  if (hazards === true) return HAZARD_RULES;
+  if (!hazards || typeof hazards !== 'object') return null;
+
+  const types = Array.isArray(hazards.types) ? hazards.types.filter(t => Object.hasOwn(HAZARDS, t)) : [];
+  if (!types.length) return null;
+  return { from: toCount(hazards.from), every: Math.max(1, toCount(hazards.every, 1)), types };
+}
+
+// Movement schedule from the file, without unknown patterns
+function sanitizeMovement(movement, fallback) {
+  if (!Array.isArray(movement)) return fallback;
+  return movement
+    .map(entry => ({
+      from: toCount(entry && entry.from),
+      patterns: (entry && Array.isArray(entry.patterns) ? entry.patterns : []).filter(p => Object.hasOwn(MOVEMENT_PATTERNS, p))
+    }))
+    .filter(entry => entry.patterns.length);
+}
+
+function sanitizeStars(stars) {
+  const source = stars && typeof stars === 'object' ? stars : {};
+  const by = source.by === 'width' ? 'width' : 'perfects';
+  const two = Math.max(0, Number(source.two) || 0);
+  return { by, two, three: Math.max(two, Number(source.three) || 0) };
+}
+
+/**
+ * Turn a level from the campaign file into rules the simulation can play
+ * @param {object} raw - Level as written in the file
+ * @param {number} index - Position in the campaign
+ * @returns {object} - Level rules
+ */
+export function sanitizeLevel(raw, index) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const base = DIFFICULTIES[source.difficulty] || DIFFICULTIES.medium;
+  const tuned = sanitizeCustomDifficulty({ ...base, ...source.rules });
+  const startWidth = toSize(source.startWidth, CONFIG.INITIAL_SIZE);
+
+  return {
+    ...base,
+    ...tuned,
+    id: String(source.id || `level-${index + 1}`),
+    name: String(source.name || `LEVEL ${index + 1}`).toUpperCase(),
+    target: Math.max(1, toCount(source.target, DEFAULT_TARGET)),
+    powerUps: Array.isArray(source.powerUps) ? source.powerUps.filter(t => POWERUP_TYPES.includes(t)) : POWERUP_TYPES,
+    continues: toCount(source.continues),
+    hazards: sanitizeHazards(source.hazards),
+    movement: sanitizeMovement(source.movement, base.movement),
+    startWidth,
+    startDepth: toSize(source.startDepth, startWidth),
+    theme: THEMES.some(t => t.id === source.theme) ? source.theme : null,
+    stars: sanitizeStars(source.stars)
+  };
+}
+
+/**
+ * Read the levels out of a campaign document
+ * @param {object} doc - Parsed campaign file ({ levels: [...] })
+ * @returns {Array<object>} - Level rules, in order (later duplicate ids dropped)
+ */
+export function parseCampaign(doc) {
+  const levels = doc && Array.isArray(doc.levels) ? doc.levels : [];
+  const ids = new Set();
+  return levels
+    .map(sanitizeLevel)
+    .filter((level) => {
+      if (ids.has(level.id)) return false;
+      ids.add(level.id);
+      return true;
+    });
+}
+
+/**
+ * Fetch and parse the campaign file
+ * @param {string} [url] - Campaign file URL
+ * @returns {Promise<Array<object>>} - Level rules (empty if the file can't be loaded)
+ */
+export async function loadCampaign(url = CAMPAIGN_URL) {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return parseCampaign(await response.json());
+  } catch (e) {
+    console.warn('Campaign failed to load:', e);
+    return [];
+  }
+}
+
+/**
+ * Stars earned by a finished attempt
+ * @param {object} level - Level rules
+ * @param {object} result - { cleared, perfects, width }
+ * @returns {number} - 0 (not cleared) to 3
+ */
+export function rateLevel(level, { cleared, perfects, width }) {
+  if (!cleared) return 0;
+  const value = level.stars.by === 'width' ? width : perfects;
+  if (value >= level.stars.three) return 3;
+  if (value >= level.stars.two) return 2;
+  return 1;
+}
+
+/**
+ * Saved result for a level
+ * @param {object} progress - Campaign progress ({ [levelId]: { stars, best } })
+ * @param {object} level - Level rules
+ * @returns {object} - { stars, best }
+ */
+export function getLevelProgress(progress, level) {
+  return progress[level.id] || { stars: 0, best: 0 };
+}
+
+/**
+ * Whether a level can be played (the first always can, then each one once
+ * the level before it is cleared)
+ * @param {Array<object>} levels - Campaign levels
+ * @param {object} progress - Campaign progress
+ * @param {number} index - Level index
+ * @returns {boolean}
+ */
+export function isLevelUnlocked(levels, progress, index) {
+  return index === 0 || (index < levels.length && getLevelProgress(progress, levels[index - 1]).stars > 0);
+}
+
+/**
+ * Keep the better of a level's saved result and a new attempt
+ * @param {object} progress - Campaign progress
+ * @param {object} level - Level rules
+ * @param {number} score - Height reached
+ * @param {number} stars - Stars earned
+ * @returns {object} - New progress
+ */
+export function recordLevelResult(progress, level, score, stars) {
+  const saved = getLevelProgress(progress, level);
+  return {
+    ...progress,
+    [level.id]: { stars: Math.max(saved.stars, stars), best: Math.max(saved.best, score) }
+  };
+}
+
+/**
+ * Total stars earned across the campaign
+ * @param {Array<object>} levels - Campaign levels
+ * @param {object} progress - Campaign progress
+ * @returns {number}
+ */
+export function countStars(levels, progress) {
+  return levels.reduce((sum, level) => sum + getLevelProgress(progress, level).stars, 0);
+}
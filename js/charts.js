@@ -0,0 +1,130 @@
+/**
+ * Canvas Charts - Small line and bar charts for the stats screen
+ */
+
+const FONT = '700 10px system-ui, sans-serif';
+const GRID_COLOR = 'rgba(255, 255, 255, 0.08)';
+const LABEL_COLOR = 'rgba(255, 255, 255, 0.5)';
+
+/**
+ * Size a canvas's backing store to its CSS size and device pixel ratio
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @returns {object|null} - { ctx, width, height } in CSS pixels
+ */
+function prepareCanvas(canvas) {
+  if (!canvas) return null;
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth || 280;
+  const height = canvas.clientHeight || 110;
+  canvas.width = Math.round(width * ratio);
+  canvas.height = Math.round(height * ratio);
+
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = FONT;
+  return { ctx, width, height };
+}
+
+/**
+ * Draw a message in place of a chart with no data
+ * @param {object} c - Prepared canvas
+ * @param {string} text - Message
+ */
+function drawEmpty(c, text) {
+  c.ctx.fillStyle = LABEL_COLOR;
+  c.ctx.textAlign = 'center';
+  c.ctx.fillText(text, c.width / 2, c.height / 2);
+}
+
+/**
+ * Draw a line chart
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {number[]} values - Points, oldest first
+ * @param {object} options - { color, min, max, format }
+ */
+export function drawLineChart(canvas, values, { color = '#00ffff', min = 0, max = 1, format = v => v } = {}) {
+  const c = prepareCanvas(canvas);
+  if (!c) return;
+  if (values.length < 2) {
+    drawEmpty(c, 'PLAY MORE RUNS TO SEE A TREND');
+    return;
+  }
+
+  const { ctx, width, height } = c;
+  const pad = { left: 30, right: 6, top: 8, bottom: 8 };
+  const x = i => pad.left + (i / (values.length - 1)) * (width - pad.left - pad.right);
+  const y = v => pad.top + (1 - (v - min) / (max - min || 1)) * (height - pad.top - pad.bottom);
+
+  // Grid lines with value labels
+  ctx.strokeStyle = GRID_COLOR;
+  ctx.fillStyle = LABEL_COLOR;
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  [min, (min + max) / 2, max].forEach((v) => {
+    ctx.beginPath();
+    ctx.moveTo(pad.left, y(v));
+    ctx.lineTo(width - pad.right, y(v));
+    ctx.stroke();
+    ctx.fillText(format(v), pad.left - 4, y(v));
+  });
+
+  // Filled area under the line
+  ctx.beginPath();
+  values.forEach((v, i) => (i ? ctx.lineTo(x(i), y(v)) : ctx.moveTo(x(i), y(v))));
+  ctx.lineTo(x(values.length - 1), y(min));
+  ctx.lineTo(x(0), y(min));
+  ctx.closePath();
+  ctx.globalAlpha = 0.15;
+  ctx.fillStyle = color;
+  ctx.fill();
+  ctx.globalAlpha = 1;
+
+  ctx.beginPath();
+  values.forEach((v, i) => (i ? ctx.lineTo(x(i), y(v)) : ctx.moveTo(x(i), y(v))));
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2;
+  ctx.stroke();
+}
+
+/**
+ * Draw a bar chart, optionally with a second series per label
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {object[]} bars - [{ label, value, value2 }]
+ * @param {object} options - { color, color2, format }
+ */
+export function drawBarChart(canvas, bars, { color = '#00ffff', color2 = '#ff0070', format = v => v } = {}) {
+  const c = prepareCanvas(canvas);
+  if (!c) return;
+  if (!bars.length) {
+    drawEmpty(c, 'NO DATA YET');
+    return;
+  }
+
+  const { ctx, width, height } = c;
+  const pad = { top: 14, bottom: 16 };
+  const paired = bars.some(b => b.value2 !== undefined);
+  const max = Math.max(...bars.map(b => Math.max(b.value, b.value2 || 0)), 1e-9);
+  const slot = width / bars.length;
+  const barWidth = Math.min(28, slot * (paired ? 0.3 : 0.55));
+  const chartHeight = height - pad.top - pad.bottom;
+
+  ctx.textAlign = 'center';
+  bars.forEach((bar, i) => {
+    const center = slot * i + slot / 2;
+    const series = paired ? [[bar.value, color, -barWidth / 2], [bar.value2 || 0, color2, barWidth / 2]] : [[bar.value, color, 0]];
+
+    series.forEach(([value, fill, offset]) => {
+      const h = (value / max) * chartHeight;
+      ctx.fillStyle = fill;
+      ctx.fillRect(center + offset - barWidth / 2, pad.top + chartHeight - h, barWidth, h);
+      ctx.fillStyle = '#ffffff';
+      ctx.textBaseline = 'bottom';
+      ctx.fillText(format(value), center + offset, pad.top + chartHeight - h - 2);
+    });
+
+    ctx.fillStyle = LABEL_COLOR;
+    ctx.textBaseline = 'top';
+    ctx.fillText(bar.label, center, height - pad.bottom + 4);
+  });
+}
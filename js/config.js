@@ -21,12 +21,201 @@ export const THEMES = [
   { id: 'fire', name: 'FIRE', colors: ['#ff4400', '#ff0000', '#aa0000'], unlock: 250 }
 ];
 
+// speedProfile reshapes the ramp from initial to max (see speed.js):
+// - curve: easing of the ramp (SPEED_CURVES), over the floors a linear
+//   ramp of `inc` per floor would take
+// - plateau: the ramp only steps up every N floors
+// - spike: the last `floors` of every `every` floors run at `factor`x
+// - breather: each perfect streak of `combo` slows the next `floors` to `factor`x
+//
+// movement schedules block movement patterns (see movement.js): from each
+// entry's `from` floor on, drops cycle through its `patterns`
 export const DIFFICULTIES = {
-  easy: { name: 'EASY', initial: 0.12, inc: 0.003, max: 0.35, mercy: 8, threshold: 0.45 },
-  medium: { name: 'NORMAL', initial: 0.18, inc: 0.006, max: 0.50, mercy: 5, threshold: 0.35 },
-  hard: { name: 'HARD', initial: 0.25, inc: 0.012, max: 0.70, mercy: 2, threshold: 0.20 }
+  easy: {
+    name: 'EASY', initial: 0.12, inc: 0.003, max: 0.35, mercy: 8, threshold: 0.45,
+    speedProfile: {
+      curve: 'easeOut',
+      breather: { combo: 5, floors: 3, factor: 0.7 }
+    },
+    movement: [
+      { from: 40, patterns: ['pingPong', 'sine', 'pingPong', 'decelerate'] }
+    ]
+  },
+  medium: {
+    name: 'NORMAL', initial: 0.18, inc: 0.006, max: 0.50, mercy: 5, threshold: 0.35,
+    speedProfile: {
+      curve: 'easeInOut',
+      plateau: 5,
+      breather: { combo: 5, floors: 2, factor: 0.75 }
+    },
+    movement: [
+      { from: 25, patterns: ['pingPong', 'sine', 'accelerate', 'pingPong', 'decelerate'] },
+      { from: 50, patterns: ['sine', 'diagonal', 'accelerate', 'blink', 'decelerate', 'rotate'] }
+    ]
+  },
+  hard: {
+    name: 'HARD', initial: 0.25, inc: 0.012, max: 0.70, mercy: 2, threshold: 0.20,
+    speedProfile: {
+      curve: 'easeIn',
+      plateau: 10,
+      spike: { every: 10, floors: 2, factor: 1.3 },
+      breather: { combo: 10, floors: 1, factor: 0.8 }
+    },
+    movement: [
+      { from: 15, patterns: ['pingPong', 'sine', 'accelerate', 'decelerate'] },
+      { from: 35, patterns: ['sine', 'diagonal', 'blink', 'accelerate', 'rotate', 'decelerate'] }
+    ]
+  }
 };
 
+// Power-up drop weights per difficulty or mode (see drops.js); power-ups a
+// table leaves out keep their registry weight, and rules can bring their own
+// table as `drops`
+export const DROP_TABLES = {
+  easy: { safetyNet: 2, slowMo: 2, ghostPreview: 2, doublePoints: 0.5 },
+  medium: {},
+  hard: { safetyNet: 0.5, magnet: 0.5, doublePoints: 2 },
+  timeAttack: { freeze: 2, doublePoints: 2, resetSize: 0.5 },
+  zen: { safetyNet: 0, doublePoints: 0 }, // Misses already reset and nothing is scored
+  shapes: { resetSize: 2, superSize: 1.5 },
+  silhouette: { ghostPreview: 3 }
+};
+
+// Daily Void uses the same rules for everyone, whatever difficulty is selected
+export const DAILY_RULES = {
+  name: 'DAILY VOID',
+  initial: 0.20,
+  inc: 0.008,
+  max: 0.60,
+  mercy: 3,
+  threshold: 0.30,
+  powerUpEvery: 5, // Perfect streak length per award
+  continues: 0,
+  // Everyone meets every pattern early on the same floors
+  movement: [
+    { from: 10, patterns: ['pingPong', 'sine', 'diagonal', 'accelerate', 'blink', 'decelerate', 'rotate'] }
+  ]
+};
+
+// Time Attack races a shared clock instead of a single precision run
+export const TIME_ATTACK_RULES = {
+  name: 'TIME ATTACK',
+  initial: 0.18,
+  inc: 0.006,
+  max: 0.50,
+  mercy: 5,
+  threshold: 0.35,
+  powerUpEvery: 5,
+  continues: 0,
+  timeLimit: 60, // Seconds on the clock at the start
+  perfectBonus: 2, // Seconds added by a perfect placement
+  cutPenalty: 5 // Seconds a cut costs if it trims the whole block (scaled by the share lost)
+};
+
+// Shapes swaps the plain box for L-shapes, cylinders, hexagons and diamonds
+// (see geometry.js); overhangs are clipped off the real outline
+export const SHAPES_RULES = {
+  name: 'SHAPES',
+  initial: 0.16,
+  inc: 0.005,
+  max: 0.45,
+  mercy: 5,
+  threshold: 0.35,
+  powerUpEvery: 5,
+  shapes: ['square', 'lShape', 'cylinder', 'hexagon', 'diamond'],
+  reshapeEvery: 6 // Floors between fresh shapes; blocks in between copy the outline below
+};
+
+// Hazard floors (see hazards.js), played only in modes where the player
+// switched them on. From floor `from`, every `every`th floor cycles through
+// `types`; rules can bring their own schedule as `hazards`
+export const HAZARD_RULES = {
+  from: 10,
+  every: 5,
+  types: ['wind', 'ice', 'quake']
+};
+
+// How each hazard is announced (color tints the ring cue around the stack)
+export const HAZARDS = {
+  wind: { name: 'WIND', icon: '🌬', color: '#c8f4ff' },
+  ice: { name: 'ICE', icon: '❄', color: '#66ccff' },
+  quake: { name: 'QUAKE', icon: '〰', color: '#ff8800' }
+};
+
+// Silhouette puzzles trim the tower into a target outline (see silhouette.js).
+// Speed stays flat and nothing snaps, regrows or slides, so every cut is deliberate
+export const SILHOUETTE_RULES = {
+  name: 'SILHOUETTE',
+  initial: 0.12,
+  inc: 0,
+  max: 0.12,
+  mercy: 0,
+  threshold: 0.05,
+  postMercyThreshold: 0.05,
+  // Nothing that changes a block's size or snaps it, and the match is all that scores
+  excludePowerUps: ['superSize', 'resetSize', 'magnet', 'doublePoints'],
+  continues: 0,
+  regrow: false,
+  hazards: false
+};
+
+// Target outlines: widths[n] is the size floor n should be trimmed to along
+// the axis it moves on (floors alternate z, x, z, ...)
+export const SILHOUETTES = [
+  { id: 'ziggurat', name: 'ZIGGURAT', widths: [4, 4, 3.5, 3.5, 3, 3, 2.5, 2.5, 2, 2] },
+  { id: 'spire', name: 'SPIRE', widths: [4, 4, 4, 4, 2, 2, 2, 2, 1, 1, 1, 1] },
+  { id: 'blade', name: 'BLADE', widths: [1.5, 4, 1.5, 3.5, 1.5, 3, 1.5, 2.5, 1.5, 2] },
+  { id: 'needle', name: 'NEEDLE', widths: [3, 3, 2.5, 2.5, 2, 2, 1.5, 1.5, 1, 1, 0.5, 0.5] }
+];
+
+// Fields of a custom difficulty, in share code order. Values are clamped to
+// [min, max] and rounded to whole steps.
+export const CUSTOM_DIFFICULTY_FIELDS = [
+  { key: 'initial', label: 'Start Speed', min: 0.05, max: 1, step: 0.01 },
+  { key: 'inc', label: 'Speed Ramp', min: 0, max: 0.05, step: 0.001 },
+  { key: 'max', label: 'Top Speed', min: 0.05, max: 1.5, step: 0.01 },
+  { key: 'mercy', label: 'Mercy Floors', min: 0, max: 30, step: 1 },
+  { key: 'threshold', label: 'Mercy Snap', min: 0, max: 1, step: 0.01 },
+  { key: 'postMercyThreshold', label: 'Snap After Mercy', min: 0, max: 1, step: 0.01 },
+  { key: 'spawnDistance', label: 'Spawn Distance', min: 4, max: 20, step: 0.5 },
+  { key: 'bounce', label: 'Bounce Bound', min: 4, max: 24, step: 0.5 },
+  { key: 'grace', label: 'Spawn Grace (ms)', min: 0, max: 5000, step: 50 }
+];
+
+// Zen is endless practice: a miss restores the top block instead of ending
+// the run, and speed stops ramping at the cap the player picks
+export const ZEN_RULES = {
+  name: 'ZEN',
+  initial: 0.10,
+  inc: 0.004,
+  mercy: 5,
+  threshold: 0.35,
+  powerUpEvery: 5,
+  continues: 0,
+  practice: true, // No game over, ads or achievements
+  speeds: { slow: 0.15, medium: 0.25, fast: 0.40 } // Speed cap per chosen level
+};
+
+// Achievement catalog. Each entry is checked when its `on` event fires:
+// every `when` condition must hold (see CONDITIONS in achievements.js), and
+// entries with a `count` unlock after that many matching events.
+// Events: perfect, combo (every 5x streak), placed, powerup, gameover, theme
+export const ACHIEVEMENTS = [
+  { id: 'first_perfect', icon: '✨', name: 'Clean Cut', desc: 'Land a perfect placement', on: 'perfect' },
+  { id: 'combo_5', icon: '🔥', name: 'In The Zone', desc: 'Reach a 5x perfect streak', on: 'combo', when: { minCombo: 5 } },
+  { id: 'combo_15', icon: '☄️', name: 'Unstoppable', desc: 'Reach a 15x perfect streak', on: 'combo', when: { minCombo: 15 } },
+  { id: 'hard_streak_10', icon: '🎯', name: 'Surgeon', desc: '10 perfects in a row on HARD', on: 'perfect', when: { difficulty: 'hard', minCombo: 10 } },
+  { id: 'pure_50', icon: '🧘', name: 'Purist', desc: 'Reach 50 without using a power-up', on: 'placed', when: { minScore: 50, maxPowerUpsUsed: 0 } },
+  { id: 'last_resort', icon: '🔄', name: 'Last Resort', desc: 'Use Reset Size at under 1 unit wide', on: 'powerup', when: { powerUp: 'resetSize', maxWidth: 1 } },
+  { id: 'collector', icon: '🎒', name: 'Collector', desc: 'Activate 25 power-ups', on: 'powerup', count: 25 },
+  { id: 'perfects_100', icon: '💎', name: 'Perfectionist', desc: 'Land 100 perfects', on: 'perfect', count: 100 },
+  { id: 'height_100', icon: '🗼', name: 'Skyscraper', desc: 'Reach a score of 100', on: 'placed', when: { minScore: 100 } },
+  { id: 'runs_25', icon: '🔁', name: 'Regular', desc: 'Finish 25 runs', on: 'gameover', count: 25 },
+  { id: 'daily_first', icon: '🌑', name: 'Into The Void', desc: 'Finish a Daily Void', on: 'gameover', when: { mode: 'daily' } },
+  { id: 'theme_unlock', icon: '🎨', name: 'New Colors', desc: 'Unlock a theme', on: 'theme' },
+  { id: 'theme_fire', icon: '🌋', name: 'Playing With Fire', desc: 'Unlock the FIRE theme', on: 'theme', when: { theme: 'fire' } }
+];
+
 export const CONFIG = {
   BLOCK_HEIGHT: 1,
   INITIAL_SIZE: 4,
@@ -34,6 +223,40 @@ export const CONFIG = {
   MAX_RUBBLE: 80,
   INPUT_COOLDOWN: 150,
 
+  // Placement defaults (custom difficulties can override these)
+  POST_MERCY_THRESHOLD: 0.15, // Perfect snap once the mercy floors are passed
+  SPAWN_DISTANCE: 12, // How far from the stack a block spawns
+  BOUNCE_LIMIT: 13, // Where a moving block turns around
+  SPAWN_GRACE_MS: 2000, // Drops ignored this long after a spawn
+  SPEED_FORECAST_FLOORS: 3, // How far ahead the HUD warns of a speed change
+
+  // Movement patterns (see movement.js)
+  DIAGONAL_SLOPE: 0.5, // Drift along the other axis per unit along the moving one
+  BLINK_DISTANCE: 10, // Travel between blinks
+  ROTATE_RATE: 0.08, // Radians turned per unit travelled
+  ROTATE_SNAP: 0.1, // Radians off square that still count as lined up
+  MIN_RUBBLE_AREA: 0.01, // Smaller clipped pieces are dropped instead of falling as rubble
+
+  // Perfect-streak regrowth (rules can override with regrow: { streak, amount } or regrow: false)
+  REGROW_STREAK: 8, // Consecutive perfects per regrowth
+  REGROW_AMOUNT: 0.25, // Width and depth won back, up to the run's foundation size
+  REGROW_DURATION: 0.4, // Seconds the growth animation takes
+
+  // Hazard floors (see hazards.js)
+  WIND_DRIFT: 0.03, // Sideways drift per unit travelled
+  ICE_SLIDE: 0.4, // How far a cut block slides on, at most half its remaining size
+  ICE_SLIDE_DURATION: 0.3, // Seconds the slide animation takes
+  QUAKE_AMPLITUDE: 0.6, // How far the block below swings either way
+  QUAKE_RATE: 0.12, // Radians of swing per unit travelled
+
+  // Power-up drops (see drops.js)
+  DROP_PITY: 3, // Awards in a row that weren't useful before one is guaranteed
+  DROP_MISS_WINDOW: 10, // Drops looked back over for recent misses
+  POWERUP_QUEUE_SIZE: 2, // Awards held back while every inventory slot is full
+
+  // Silhouette puzzles (see silhouette.js)
+  SILHOUETTE_OFFSET: 7, // How far beside the stack the target outline is drawn
+
   // Performance
   PIXEL_RATIO_CAP: 1.5,
   PIXEL_RATIO_LOW: 1.0,
@@ -55,9 +278,18 @@ export const CONFIG = {
 };
 
 export const STORAGE_KEYS = {
+  profile: 'stack_profile',
+  profileBackup: 'stack_profile_corrupt',
+  replayLast: 'stack_replay_last',
+  replayBest: 'stack_replay_best',
+
+  // Pre-profile layout, read once by the version 0 migration
   best: 'stack_best',
   bestStreak: 'stack_best_streak',
   muted: 'stack_muted',
+  legacyMuted: 'isMuted',
   theme: 'stack_theme',
-  difficulty: 'stack_difficulty'
+  difficulty: 'stack_difficulty',
+  tutorialSeen: 'hasSeenTutorial',
+  daily: 'stack_daily'
 };
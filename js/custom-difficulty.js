@@ -0,0 +1,105 @@
+/**
+ * Custom Difficulty - Player-made presets and their share codes
+ *
+ * A preset is { name, ...CUSTOM_DIFFICULTY_FIELDS values } and plays like
+ * a DIFFICULTIES entry. A share code is "SV1-NAME-..." followed by each
+ * field as a whole number of its steps in base 36, e.g.
+ * SV1-SLOW_BURN-i-6-1e-5-z-f-g-i-a
+ */
+
+import { CONFIG, DIFFICULTIES, CUSTOM_DIFFICULTY_FIELDS } from './config.js';
+
+const CODE_PREFIX = 'SV1';
+const NAME_LENGTH = 16;
+
+// Values for fields missing from a preset
+const DEFAULT_VALUES = {
+  ...DIFFICULTIES.medium,
+  postMercyThreshold: CONFIG.POST_MERCY_THRESHOLD,
+  spawnDistance: CONFIG.SPAWN_DISTANCE,
+  bounce: CONFIG.BOUNCE_LIMIT,
+  grace: CONFIG.SPAWN_GRACE_MS
+};
+
+function cleanName(name) {
+  const clean = String(name || '').toUpperCase().replace(/[^A-Z0-9 ]/g, '').trim();
+  return clean.slice(0, NAME_LENGTH) || 'CUSTOM';
+}
+
+// Clamp to the field's range and round to whole steps (null if not a number)
+function snapToField(field, value) {
+  const n = Number(value);
+  if (value === null || value === '' || !Number.isFinite(n)) return null;
+  const steps = Math.round(Math.min(field.max, Math.max(field.min, n)) / field.step);
+  return Number((steps * field.step).toFixed(6));
+}
+
+/**
+ * Create a preset from a built-in difficulty
+ * @param {string} [name] - Preset name
+ * @param {object} [base] - Starting values (defaults to NORMAL)
+ * @returns {object} - Custom difficulty preset
+ */
+export function createCustomDifficulty(name = 'CUSTOM', base = DIFFICULTIES.medium) {
+  return sanitizeCustomDifficulty({ ...base, name });
+}
+
+/**
+ * Bring a preset (e.g. from storage or the editor) into range
+ * @param {object} preset - Candidate preset
+ * @returns {object} - Valid preset
+ */
+export function sanitizeCustomDifficulty(preset) {
+  const source = preset && typeof preset === 'object' ? preset : {};
+  const clean = { name: cleanName(source.name) };
+
+  CUSTOM_DIFFICULTY_FIELDS.forEach((field) => {
+    const value = snapToField(field, source[field.key]);
+    clean[field.key] = value === null ? snapToField(field, DEFAULT_VALUES[field.key]) : value;
+  });
+
+  // A block spawned past the bounce bound would snap back on its first frame
+  clean.bounce = Math.max(clean.bounce, clean.spawnDistance);
+  return clean;
+}
+
+/**
+ * Pack a preset into a share code
+ * @param {object} preset - Custom difficulty preset
+ * @returns {string} - Share code
+ */
+export function encodeCustomDifficulty(preset) {
+  const values = CUSTOM_DIFFICULTY_FIELDS.map(field => Math.round(preset[field.key] / field.step).toString(36));
+  return [CODE_PREFIX, cleanName(preset.name).replace(/ /g, '_'), ...values].join('-');
+}
+
+/**
+ * Add a preset to a saved list, replacing any preset with the same name
+ * @param {Array<object>} presets - Saved presets
+ * @param {object} preset - Preset to save
+ * @returns {Array<object>} - New list
+ */
+export function upsertCustomDifficulty(presets, preset) {
+  const clean = sanitizeCustomDifficulty(preset);
+  return [...presets.filter(p => p.name !== clean.name), clean];
+}
+
+/**
+ * Unpack a share code
+ * @param {string} code - Share code
+ * @returns {object} - Custom difficulty preset
+ */
+export function decodeCustomDifficulty(code) {
+  const parts = String(code || '').trim().split('-');
+  if (parts[0].toUpperCase() !== CODE_PREFIX || parts.length !== CUSTOM_DIFFICULTY_FIELDS.length + 2) {
+    throw new Error('Not a difficulty code');
+  }
+
+  const preset = { name: parts[1].replace(/_/g, ' ') };
+  CUSTOM_DIFFICULTY_FIELDS.forEach((field, i) => {
+    const part = parts[i + 2];
+    if (!/^[0-9a-z]+$/i.test(part)) throw new Error('Not a difficulty code');
+    preset[field.key] = parseInt(part, 36) * field.step;
+  });
+  return sanitizeCustomDifficulty(preset);
+}
@@ -0,0 +1,110 @@
+/**
+ * Daily Void - One calendar-seeded run per day
+ *
+ * Everyone gets the same seed for a given local date and plays it under
+ * DAILY_RULES, so results are comparable without a server. The history
+ * document is { best, results: { 'YYYY-MM-DD': { score, streak, done } } }.
+ */
+
+import { hashSeed } from './rng.js';
+
+const MONTHS = [
+  'JANUARY', 'FEBRUARY', 'MARCH', 'APRIL', 'MAY', 'JUNE',
+  'JULY', 'AUGUST', 'SEPTEMBER', 'OCTOBER', 'NOVEMBER', 'DECEMBER'
+];
+
+/**
+ * Create an empty daily history
+ * @returns {object} - Daily history
+ */
+export function createDailyHistory() {
+  return { best: 0, results: {} };
+}
+
+/**
+ * Get the calendar key for a local date
+ * @param {Date} date - Date (defaults to now)
+ * @returns {string} - 'YYYY-MM-DD'
+ */
+export function getDailyKey(date = new Date()) {
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${m}-${d}`;
+}
+
+/**
+ * Get the shared seed for a day
+ * @param {string} key - Calendar key
+ * @returns {number} - 32-bit unsigned seed
+ */
+export function getDailySeed(key) {
+  return hashSeed(`daily-void:${key}`);
+}
+
+/**
+ * Get the recorded result for a day
+ * @param {object} history - Daily history
+ * @param {string} key - Calendar key
+ * @returns {object|null} - { score, streak, done } or null if not played
+ */
+export function getDailyResult(history, key) {
+  return history.results[key] || null;
+}
+
+/**
+ * Spend the day's single attempt
+ * @param {object} history - Daily history
+ * @param {string} key - Calendar key
+ * @returns {boolean} - False if the attempt was already used
+ */
+export function beginDailyAttempt(history, key) {
+  if (getDailyResult(history, key)) return false;
+  history.results[key] = { score: 0, streak: 0, done: false };
+  return true;
+}
+
+/**
+ * Record the final score of the day's attempt
+ * @param {object} history - Daily history
+ * @param {string} key - Calendar key
+ * @param {number} score - Final score
+ * @param {number} streak - Longest perfect streak of the run
+ */
+export function finishDailyAttempt(history, key, score, streak) {
+  const result = history.results[key] || (history.results[key] = { score: 0, streak: 0 });
+  result.score = Math.max(result.score, score);
+  result.streak = Math.max(result.streak, streak);
+  result.done = true;
+  history.best = Math.max(history.best, result.score);
+}
+
+/**
+ * Lay out a month of daily results as calendar weeks (Monday first)
+ * @param {object} history - Daily history
+ * @param {Date} date - Any day in the month to show (defaults to now)
+ * @returns {object} - { title, weeks } where each week holds 7 cells or nulls
+ */
+export function buildDailyCalendar(history, date = new Date()) {
+  const todayKey = getDailyKey(date);
+  const year = date.getFullYear();
+  const month = date.getMonth();
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  const lead = (new Date(year, month, 1).getDay() + 6) % 7;
+
+  const cells = new Array(lead).fill(null);
+  for (let day = 1; day <= daysInMonth; day++) {
+    const key = getDailyKey(new Date(year, month, day));
+    cells.push({
+      day,
+      key,
+      result: getDailyResult(history, key),
+      isToday: key === todayKey,
+      isFuture: day > date.getDate()
+    });
+  }
+  while (cells.length % 7) cells.push(null);
+
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) weeks.push(cells.slice(i, i + 7));
+  return { title: `${MONTHS[month]} ${year}`, weeks };
+}
@@ -0,0 +1,101 @@
+/**
+ * Power-Up Drops - Which power-up a combo milestone awards
+ *
+ * Each power-up in the rules' pool starts from its drop table weight (the
+ * rules' own `drops`, else DROP_TABLES in config.js for the mode or
+ * difficulty, else its registry weight). Its registry entry's odds hook then
+ * scales that to the moment - how much of the tower is left, what's running,
+ * how many of the last few drops missed - and copies already held or queued count for
+ * less. After DROP_PITY awards in a row that weren't useful, the next one is
+ * drawn only from power-ups that are.
+ *
+ * Drops are part of the simulation: the context only reads simulation state
+ * and the pick draws a single number from state.rng, so replays award the
+ * same power-ups.
+ */
+
+import { CONFIG, DROP_TABLES } from './config.js';
+import { POWERUPS, POWERUP_TYPES, getPowerUpPool } from './powerup-registry.js';
+
+// Each copy already in the inventory scales a power-up's odds by this much
+const HELD_FACTOR = 0.5;
+
+/**
+ * What the drop odds react to right now
+ * @param {object} state - Simulation state
+ * @returns {object} - { widthRatio, running, held, recentMisses }
+ */
+export function getDropContext(state) {
+  const top = state.stack[state.stack.length - 1];
+  return {
+    // Measured against the run's own foundation, which narrow levels start below full size
+    widthRatio: top ? Math.min(top.baseWidth / state.startSize.width, top.baseDepth / state.startSize.depth) : 1,
+    running: POWERUP_TYPES.filter(type => state.activePowerUps[type] && state.activePowerUps[type].active),
+    held: [...state.powerUps, ...state.powerUpQueue].filter(Boolean),
+    recentMisses: state.recentDrops.filter(Boolean).length
+  };
+}
+
+// Drop table for the run's mode (classic runs use their difficulty's)
+function getDropTable(state, rules) {
+  if (rules.drops) return rules.drops;
+  return DROP_TABLES[state.mode === 'classic' ? state.difficulty : state.mode] || {};
+}
+
+/**
+ * Current award odds for every power-up in the rules' pool
+ * @param {object} state - Simulation state
+ * @param {object} rules - Rules from getRules
+ * @returns {Array<object>} - { type, weight, chance, useful } per power-up, in pool order
+ *   (chance is the share of the total, 0-1)
+ */
+export function getDropOdds(state, rules) {
+  const table = getDropTable(state, rules);
+  const context = getDropContext(state);
+  const pool = getPowerUpPool(rules);
+
+  const odds = pool.map((type) => {
+    const entry = POWERUPS[type];
+    const held = context.held.filter(t => t === type).length;
+    const weight = (table[type] ?? entry.weight) *
+      (entry.odds ? entry.odds(context) : 1) *
+      Math.pow(HELD_FACTOR, held);
+    return { type, weight: Math.max(0, weight), useful: !!(entry.useful && entry.useful(context)) };
+  });
+
+  // The pity timer leaves only useful power-ups in the draw, if any can drop
+  const pity = state.dropsSinceUseful >= CONFIG.DROP_PITY && odds.some(o => o.useful && o.weight > 0);
+  if (pity) odds.forEach((o) => { if (!o.useful) o.weight = 0; });
+
+  const total = odds.reduce((sum, o) => sum + o.weight, 0);
+  return odds.map(o => ({ ...o, chance: total > 0 ? o.weight / total : 0 }));
+}
+
+/**
+ * Draw a power-up from the current odds and run the pity timer
+ * @param {object} state - Simulation state
+ * @param {object} rules - Rules from getRules
+ * @returns {string|null} - Power-up type, or null if nothing can drop
+ */
+export function pickDrop(state, rules) {
+  const odds = getDropOdds(state, rules).filter(o => o.weight > 0);
+  if (!odds.length) return null;
+
+  let roll = state.rng();
+  const pick = odds.find((o) => {
+    roll -= o.chance;
+    return roll < 0;
+  }) || odds[odds.length - 1];
+
+  state.dropsSinceUseful = pick.useful ? 0 : state.dropsSinceUseful + 1;
+  return pick.type;
+}
+
+/**
+ * Remember whether a drop missed, for the recent misses the odds react to
+ * @param {object} state - Simulation state
+ * @param {boolean} missed - Whether the drop was cut or missed outright
+ */
+export function recordDropResult(state, missed) {
+  state.recentDrops = [...state.recentDrops, missed].slice(-CONFIG.DROP_MISS_WINDOW);
+}
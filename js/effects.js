@@ -113,6 +113,85 @@ export function renderParticles(state, scene) {
   });
 }
 
+/**
+ * Grow a block mesh from its old size to the one it was just synced to
+ * @param {object} state - Game state
+ * @param {THREE.Mesh} mesh - Block mesh (already synced to the new size)
+ * @param {object} from - { width, depth } before growing
+ * @param {object} block - Block record after growing
+ */
+export function startGrowth(state, mesh, from, block) {
+  if (!mesh) return;
+  state.growths.push({
+    mesh,
+    target: mesh.scale.clone(),
+    fromX: from.width / block.width,
+    fromZ: from.depth / block.depth,
+    t: 0
+  });
+  updateGrowths(state, 0);
+}
+
+/**
+ * Advance growth animations (ease-out toward the synced size)
+ * @param {object} state - Game state
+ * @param {number} delta - Time delta
+ */
+export function updateGrowths(state, delta) {
+  for (let i = state.growths.length - 1; i >= 0; i--) {
+    const g = state.growths[i];
+    g.t = Math.min(1, g.t + delta / CONFIG.REGROW_DURATION);
+    const e = 1 - Math.pow(1 - g.t, 3);
+
+    g.mesh.scale.set(
+      g.target.x * (g.fromX + (1 - g.fromX) * e),
+      g.target.y,
+      g.target.z * (g.fromZ + (1 - g.fromZ) * e)
+    );
+    if (g.t >= 1) state.growths.splice(i, 1);
+  }
+}
+
+/**
+ * Slide a block mesh the last stretch to where it came to rest on ice
+ * @param {object} state - Game state
+ * @param {THREE.Mesh} mesh - Block mesh (already synced to its resting place)
+ * @param {string} axis - Axis it slid along
+ * @param {number} distance - Signed distance it slid
+ */
+export function startSlide(state, mesh, axis, distance) {
+  if (!mesh) return;
+  state.slides.push({ mesh, axis, target: mesh.position[axis], distance, t: 0 });
+  updateSlides(state, 0);
+}
+
+/**
+ * Advance ice slide animations (ease-out onto the resting place)
+ * @param {object} state - Game state
+ * @param {number} delta - Time delta
+ */
+export function updateSlides(state, delta) {
+  for (let i = state.slides.length - 1; i >= 0; i--) {
+    const s = state.slides[i];
+    s.t = Math.min(1, s.t + delta / CONFIG.ICE_SLIDE_DURATION);
+    const e = 1 - Math.pow(1 - s.t, 3);
+
+    s.mesh.position[s.axis] = s.target - s.distance * (1 - e);
+    if (s.t >= 1) state.slides.splice(i, 1);
+  }
+}
+
+/**
+ * Trigger regrowth feedback (haptics, sound, particles)
+ * @param {object} state - Game state
+ * @param {object} block - Block record that grew
+ */
+export function triggerRegrowFeedback(state, block) {
+  triggerHaptics([10, 30, 10]);
+  audioService.playRegrow(state.isMuted);
+  createParticles(state, new THREE.Vector3(block.x, block.y, block.z), state.currentTheme.colors[1], 12);
+}
+
 /**
  * Trigger crash feedback (screen shake, haptics, flash, sound, particles)
  * @param {object} state - Game state
@@ -123,8 +202,9 @@ export function triggerCrashFeedback(state) {
   state.flash = Math.max(state.flash, 0.65);
   audioService.playCrash(state.isMuted);
   
-  const position = state.activeBlock 
-    ? state.activeBlock.position 
+  const b = state.activeBlock;
+  const position = b
+    ? new THREE.Vector3(b.x, b.y, b.z)
     : new THREE.Vector3(0, state.stack.length, 0);
   
   createParticles(state, position, '#ff0070', 15);
@@ -140,9 +220,8 @@ export function triggerPerfectFeedback(state) {
   audioService.playPlace(state.isMuted);
   
   if (state.combo >= 2) {
-    const pos = state.activeBlock 
-      ? state.activeBlock.position 
-      : state.stack[state.stack.length - 1].position;
+    const b = state.activeBlock || state.stack[state.stack.length - 1];
+    const pos = new THREE.Vector3(b.x, b.y, b.z);
     
     createParticles(state, pos, state.currentTheme.colors[0], 8);
   }
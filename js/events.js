@@ -0,0 +1,101 @@
+/**
+ * Game Event Bus - Decouples gameplay from audio, effects, UI, ads and HUDs
+ *
+ * game.js and powerups.js announce what happened; subsystems subscribe in
+ * listeners.js (and main-vr.js for the VR HUD). Every payload carries the
+ * game state as `state`.
+ *
+ * @typedef {object} GameEventPayloads
+ * @property {{ state: object, block: object }} 'block:spawned' - New active block
+ * @property {{ state: object, block: object, mesh: THREE.Mesh, from: object }} 'block:regrown' - Perfect streak grew the top block (from: { width, depth } before)
+ * @property {{ state: object, outcome: object, mesh: THREE.Mesh, floor: number }} 'block:placed' - Perfect or cut placement (outcome from resolvePlacement)
+ * @property {{ state: object, outcome: object }} 'block:missed' - Complete miss, with outcome.type 'miss', 'saved' (Safety Net) or 'reset' (Zen)
+ * @property {{ state: object, outcome: object }} 'block:rejected' - Drop ignored during the spawn grace period
+ * @property {{ state: object, combo: number }} 'combo:milestone' - Perfect streak reached a multiple of 5
+ * @property {{ state: object, type: string, queued: boolean }} 'powerup:awarded' - Power-up added to the inventory (queued: waiting for a free slot)
+ * @property {{ state: object, type: string, slot: number, width: number }} 'powerup:activated' - Power-up used (width: top block before it applied)
+ * @property {{ state: object, type: string, slot: number }} 'powerup:discarded' - Power-up thrown away from the inventory
+ * @property {{ state: object, from: number, to: number }} 'powerup:swapped' - Two inventory slots traded places
+ * @property {{ state: object, combo: string }} 'powerup:combo' - Activation started a POWERUP_COMBOS pairing
+ * @property {{ state: object, replay: boolean, previousBest: number, cleared: boolean }} 'game:over' - Run crashed, or cleared its level or puzzle (replay: true during playback)
+ * @property {{ state: object }} 'game:continued' - Run resumed after a rewarded continue
+ * @property {{ state: object, from: string, to: string }} 'status:changed' - state.status changed (see status.js)
+ * @property {{ state: object }} 'replay:updated' - Replay playback settings or position changed
+ */
+
+export const GAME_EVENTS = [
+  'block:spawned',
+  'block:placed',
+  'block:missed',
+  'block:rejected',
+  'block:regrown',
+  'combo:milestone',
+  'powerup:awarded',
+  'powerup:activated',
+  'powerup:discarded',
+  'powerup:swapped',
+  'powerup:combo',
+  'game:over',
+  'game:continued',
+  'status:changed',
+  'replay:updated'
+];
+
+/**
+ * Event emitter restricted to the GAME_EVENTS names
+ */
+export class EventBus {
+  constructor(types = GAME_EVENTS) {
+    this.handlers = new Map(types.map(type => [type, new Set()]));
+  }
+
+  /**
+   * Look up the handler set for an event, rejecting unknown names
+   * @param {string} type - Event name
+   * @returns {Set<Function>}
+   */
+  handlersFor(type) {
+    const handlers = this.handlers.get(type);
+    if (!handlers) throw new Error(`Unknown game event "${type}"`);
+    return handlers;
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} type - Event name
+   * @param {Function} handler - Receives the payload
+   * @returns {Function} - Unsubscribes the handler
+   */
+  on(type, handler) {
+    this.handlersFor(type).add(handler);
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * Unsubscribe from an event
+   * @param {string} type - Event name
+   * @param {Function} handler - Handler passed to on()
+   */
+  off(type, handler) {
+    this.handlersFor(type).delete(handler);
+  }
+
+  /**
+   * Notify every subscriber; a throwing subscriber is logged and skipped
+   * so it can't break the game loop
+   * @param {string} type - Event name
+   * @param {object} payload - Event payload
+   */
+  emit(type, payload) {
+    this.handlersFor(type).forEach((handler) => {
+      try {
+        handler(payload);
+      } catch (e) {
+        console.error(`Error in "${type}" listener:`, e);
+      }
+    });
+  }
+}
+
+// Export singleton
+export const gameEvents = new EventBus();
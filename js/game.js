@@ -3,384 +3,363 @@
  */
 
 import * as THREE from 'three';
-import { CONFIG, DIFFICULTIES } from './config.js';
-import { persistBestScores } from './storage.js';
+import { CONFIG } from './config.js';
+import { persistBestScores, persistReplay, loadReplay, persistDailyHistory, persistTimeAttackBest } from './storage.js';
+import { persistCampaignProgress, persistSilhouetteBests, pickThemeById } from './storage.js';
 import { reconcileThemeUnlock } from './utils.js';
-import { audioService } from './audio.js';
-import { adMobService } from './admob.js';
+import { triggerPowerUp, triggerDiscard, triggerSwap } from './powerups.js';
+import { gameEvents } from './events.js';
+import { statusMachine } from './status.js';
 import {
-  updatePowerUpUI,
-  awardPowerUp,
-  getSpeedMultiplier
-} from './powerups.js';
+  resetRun,
+  spawnBlock,
+  resolvePlacement,
+  stepActiveBlock,
+  updatePowerUpTimers,
+  updateCountdown,
+  expireCountdown,
+  grantContinue,
+  getRules,
+  getHeight
+} from './simulation.js';
+import { createBlockMesh, syncBlockMesh, disposeBlockMesh } from './blocks.js';
+import { randomSeed } from './rng.js';
+import { getDailyKey, getDailySeed, beginDailyAttempt, finishDailyAttempt } from './daily.js';
+import { createRunStats } from './stats.js';
+import { rateLevel, recordLevelResult } from './campaign.js';
+import { getSilhouetteScore } from './silhouette.js';
 import {
-  triggerPerfectFeedback,
-  triggerCrashFeedback
-} from './effects.js';
-import {
-  scene,
-  camera,
-  rubbleInstances,
-  createGlassMaterial,
-  createFoundation,
-  updateThemeVisuals
-} from './graphics.js';
+  createRecording,
+  recordEvent,
+  recordPlacement,
+  restoreDrop,
+  simulateReplayTo,
+  getReplayDuration,
+  isValidRecording
+} from './replay.js';
 
 // Temporary matrix for rubble transforms
 const _m4 = new THREE.Matrix4();
 
+// Graphics module the game renders into (graphics.js or graphics-vr.js)
+let gfx = null;
+
+// Menu selections getRules reads; a run keeps the ones it started with even
+// if the menu changes them while it's parked on START
+const RUN_SELECTION = ['mode', 'difficulty', 'zenSpeed', 'silhouette', 'customDifficulty', 'campaignLevel'];
+
+/**
+ * Bind the graphics module that owns the scene and rubble pool
+ * @param {object} graphics - graphics.js or graphics-vr.js module namespace
+ */
+export function bindGraphics(graphics) {
+  gfx = graphics;
+}
+
+/**
+ * Create and add a mesh for a block record
+ * @param {object} state - Game state
+ * @param {object} block - Block record
+ * @param {number} index - Floor index (picks the theme color)
+ * @returns {THREE.Mesh} - Block mesh
+ */
+function addBlockMesh(state, block, index) {
+  const color = new THREE.Color(state.currentTheme.colors[index % state.currentTheme.colors.length]);
+  const mesh = createBlockMesh(block, gfx.createGlassMaterial(color));
+  gfx.scene.add(mesh);
+  return mesh;
+}
+
 /**
  * Spawn a new block on the stack
  * @param {object} state - Game state
  */
 export function spawnNewBlock(state) {
-  const prev = state.stack[state.stack.length - 1];
-  state.axis = state.axis === 'x' ? 'z' : 'x';
-  const color = new THREE.Color(state.currentTheme.colors[state.stack.length % state.currentTheme.colors.length]);
-
-  // Get base size from previous block
-  const baseWidth = prev.userData?.baseWidth || prev.geometry.parameters.width;
-  const baseDepth = prev.userData?.baseDepth || prev.geometry.parameters.depth;
-
-  // Apply Super Size power-up if active
-  let actualWidth = baseWidth;
-  let actualDepth = baseDepth;
-  if (state.activePowerUps.superSize.active && state.activePowerUps.superSize.count > 0) {
-    actualWidth = baseWidth * 1.3;
-    actualDepth = baseDepth * 1.3;
-  }
-
-  const geom = new THREE.BoxGeometry(
-    actualWidth,
-    CONFIG.BLOCK_HEIGHT,
-    actualDepth
-  );
-  const mesh = new THREE.Mesh(geom, createGlassMaterial(color));
-
-  // Store base size for next block
-  mesh.userData = {
-    baseWidth: baseWidth,
-    baseDepth: baseDepth
-  };
-
-  mesh.position.y = state.stack.length * CONFIG.BLOCK_HEIGHT + CONFIG.BLOCK_HEIGHT / 2;
-  const offset = Math.random() > 0.5 ? 12 : -12;
-  state.direction = offset > 0 ? -1 : 1;
-  mesh.position[state.axis] = offset;
-  mesh.position[state.axis === 'x' ? 'z' : 'x'] = prev.position[state.axis === 'x' ? 'z' : 'x'];
-  scene.add(mesh);
-  state.activeBlock = mesh;
-  state.lastSpawnTime = performance.now();
+  const block = spawnBlock(state);
+  state.activeMesh = addBlockMesh(state, block, state.stack.length);
+  gameEvents.emit('block:spawned', { state, block });
 }
 
 /**
  * Spawn rubble (falling debris from cut block)
  * @param {object} state - Game state
- * @param {THREE.Mesh} active - Active block mesh
- * @param {THREE.Mesh} prev - Previous block mesh
- * @param {string} axis - Movement axis ('x' or 'z')
- * @param {number} delta - Position delta
- * @param {number} overlap - Overlap amount
+ * @param {object} rubble - Rubble block record from the placement outcome
+ * @param {THREE.Color} color - Rubble color
  */
-export function spawnRubble(state, active, prev, axis, delta, overlap) {
-  const params = active.geometry.parameters;
-  const size = axis === 'x' ? params.width : params.depth;
-  const other = axis === 'x' ? params.depth : params.width;
-  const rSize = size - overlap;
-
+export function spawnRubble(state, rubble, color) {
   const idx = state.rubbleFree.length ? state.rubbleFree.pop() : -1;
   if (idx === -1) return;
 
-  const rPos = active.position.clone();
-  rPos[axis] = prev.position[axis] + (size / 2 + rSize / 2) * Math.sign(delta);
-
-  const rScale = axis === 'x'
-    ? new THREE.Vector3(rSize, CONFIG.BLOCK_HEIGHT, other)
-    : new THREE.Vector3(other, CONFIG.BLOCK_HEIGHT, rSize);
-
-  state.rubbleData[idx].isActive = true;
+  const r = state.rubbleData[idx];
+  r.isActive = true;
   state.rubbleActive.push(idx);
-  state.rubbleData[idx].position.copy(rPos);
-  state.rubbleData[idx].scale.copy(rScale);
-  state.rubbleData[idx].rotation.set(0, 0, 0);
-  state.rubbleData[idx].velocity.set(0, -10, 0);
-  state.rubbleData[idx].angularVelocity.set(
-    Math.random() * 8 - 4,
-    Math.random() * 4 - 2,
-    Math.random() * 8 - 4
-  );
-
-  rubbleInstances.setColorAt(idx, active.material.color);
-  if (rubbleInstances.instanceColor) {
-    rubbleInstances.instanceColor.needsUpdate = true;
+  r.position.set(rubble.x, rubble.y, rubble.z);
+  r.scale.set(rubble.width, CONFIG.BLOCK_HEIGHT, rubble.depth);
+  r.rotation.set(0, 0, 0);
+  r.velocity.set(0, -10, 0);
+  r.angularVelocity.set(rubble.spin.x, rubble.spin.y, rubble.spin.z);
+
+  gfx.rubbleInstances.setColorAt(idx, color);
+  if (gfx.rubbleInstances.instanceColor) {
+    gfx.rubbleInstances.instanceColor.needsUpdate = true;
   }
 }
 
 /**
  * Place the active block
  * @param {object} state - Game state
- * @param {UIManager} uiManager - UI manager instance
  */
-export function placeBlock(state, uiManager) {
-  if (!state.activeBlock) return;
-
-  // Grace Period: Don't allow placing block immediately after spawn
-  if (state.lastSpawnTime && (performance.now() - state.lastSpawnTime < 2000)) {
-    // DEBUG: Show waiting
-    if (typeof window.updateVRText === 'function' && window.comboText) {
-      window.comboText.visible = true;
-      window.updateVRText(`WAIT: ${Math.round(performance.now() - state.lastSpawnTime)}`, window.comboText, '#00FF00');
-    }
+export function placeBlock(state) {
+  recordPlacement(state);
+  const outcome = resolvePlacement(state);
+  if (!outcome) return;
+
+  if (outcome.type === 'early') {
+    gameEvents.emit('block:rejected', { state, outcome });
     return;
   }
 
-  const active = state.activeBlock;
-  const prev = state.stack[state.stack.length - 1];
-  const diffConfig = DIFFICULTIES[state.difficulty];
-  const axis = state.axis;
-  const params = active.geometry.parameters;
-  const size = axis === 'x' ? params.width : params.depth;
-  const other = axis === 'x' ? params.depth : params.width;
-  let delta = active.position[axis] - prev.position[axis];
-
-  // Mercy threshold for early blocks
-  const threshold = state.stack.length <= diffConfig.mercy ? diffConfig.threshold : 0.15;
-  if (Math.abs(delta) < threshold) delta = 0;
-
-  const absDelta = Math.abs(delta);
-  const overlap = size - absDelta;
-
-  // Check for complete miss
-  if (overlap <= 0.05) {
-    if (typeof window.updateVRText === 'function' && window.comboText) {
-      window.comboText.visible = true;
-      window.updateVRText(`DIE: ${overlap.toFixed(2)}`, window.comboText, '#FF0000');
-    }
-    // Check for Safety Net power-up
-    if (state.activePowerUps.safetyNet.active && state.activePowerUps.safetyNet.uses > 0) {
-      // Use safety net instead of game over
-      state.activePowerUps.safetyNet.uses--;
-      if (state.activePowerUps.safetyNet.uses === 0) {
-        state.activePowerUps.safetyNet.active = false;
-      }
-      state.combo = 0; // Break combo but don't end game
-      updatePowerUpUI(state);
-
-      // Visual feedback
-      audioService.playTone(523, state.isMuted);
-      state.flash = 0.3;
-
-      // Clean up the block
-      if (state.activeBlock) {
-        scene.remove(state.activeBlock);
-        state.activeBlock.geometry.dispose();
-        state.activeBlock.material.dispose();
-        state.activeBlock = null;
-      }
-
-      // Spawn new block on top of previous one
-      spawnNewBlock(state);
-      return;
-    }
+  if (outcome.type === 'miss' || outcome.type === 'saved' || outcome.type === 'reset') {
+    gameEvents.emit('block:missed', { state, outcome });
+  }
 
-    gameOver(state, uiManager);
+  if (outcome.type === 'miss') {
+    gameOver(state);
     return;
   }
 
-  // Perfect placement
-  if (delta === 0) {
-    active.position[axis] = prev.position[axis];
-    state.combo++;
-    if (state.combo > state.maxSessionCombo) {
-      state.maxSessionCombo = state.combo;
+  if (outcome.type === 'saved' || outcome.type === 'reset') {
+    // Safety Net caught the miss (or Zen restored the top block) - drop the block and try again
+    if (outcome.type === 'reset') {
+      syncBlockMesh(state.stackMeshes[state.stackMeshes.length - 1], outcome.block);
     }
-    state.flash = 0.5;
+    disposeBlockMesh(state.activeMesh);
+    state.activeMesh = null;
 
-    triggerPerfectFeedback(state);
-    audioService.playNote(state.stack.length, true, state.isMuted);
+    spawnNewBlock(state);
+    return;
+  }
 
-    // Award power-up at combo milestones (5, 10, 15, etc.)
-    if (state.combo >= 5 && state.combo % 5 === 0 && state.combo > state.lastComboMilestone) {
-      state.lastComboMilestone = state.combo;
-      awardPowerUp(state);
-    }
+  const mesh = state.activeMesh;
+  syncBlockMesh(mesh, outcome.block);
+  state.stackMeshes.push(mesh);
+  state.activeMesh = null;
 
-    // Decrement Super Size counter on perfect placement
-    if (state.activePowerUps.superSize.active && state.activePowerUps.superSize.count > 0) {
-      state.activePowerUps.superSize.count--;
-      if (state.activePowerUps.superSize.count === 0) {
-        state.activePowerUps.superSize.active = false;
-      }
-      updatePowerUpUI(state);
-    }
-  } else {
-    // Imperfect placement - cut block
-    state.combo = 0;
-    spawnRubble(state, active, prev, axis, delta, overlap);
-
-    // Replace geometry with trimmed size
-    active.geometry.dispose();
-    active.geometry = axis === 'x'
-      ? new THREE.BoxGeometry(overlap, CONFIG.BLOCK_HEIGHT, other)
-      : new THREE.BoxGeometry(other, CONFIG.BLOCK_HEIGHT, overlap);
-    active.position[axis] = prev.position[axis] + delta / 2;
-
-    // Update base size after trimming - store the ACTUAL trimmed size as new base
-    // (Don't apply Super Size multiplier to the stored base - that happens at spawn time)
-    if (!active.userData) active.userData = {};
-    active.userData.baseWidth = axis === 'x' ? overlap : other;
-    active.userData.baseDepth = axis === 'x' ? other : overlap;
-
-    // Decrement Super Size counter on imperfect placement too
-    if (state.activePowerUps.superSize.active && state.activePowerUps.superSize.count > 0) {
-      state.activePowerUps.superSize.count--;
-      if (state.activePowerUps.superSize.count === 0) {
-        state.activePowerUps.superSize.active = false;
-      }
-      updatePowerUpUI(state);
-    }
+  if (outcome.rubble) {
+    outcome.rubble.forEach(piece => spawnRubble(state, piece, mesh.material.color));
+  }
 
-    audioService.playNote(state.stack.length, false, state.isMuted);
+  gameEvents.emit('block:placed', { state, outcome, mesh, floor: state.stack.length - 1 });
+  if (outcome.cleared) {
+    gameOver(state, true);
+    return;
+  }
+  if (outcome.regrown) {
+    gameEvents.emit('block:regrown', { state, block: outcome.block, mesh, from: outcome.regrown });
+  }
+  if (outcome.type === 'perfect' && state.combo % 5 === 0) {
+    gameEvents.emit('combo:milestone', { state, combo: state.combo });
+  }
+  if (outcome.awarded) {
+    gameEvents.emit('powerup:awarded', { state, type: outcome.awarded, queued: !!outcome.queued });
   }
 
-  state.stack.push(active);
-  state.activeBlock = null;
-  state.score++;
-  state.speed = Math.min(diffConfig.max, state.speed + diffConfig.inc);
-  uiManager.render(state);
   spawnNewBlock(state);
 }
 
+/**
+ * Keep the top stack mesh on its block while a quake swings it
+ * @param {object} state - Game state
+ */
+export function syncQuakeMesh(state) {
+  if (state.hazard !== 'quake') return;
+  syncBlockMesh(state.stackMeshes[state.stackMeshes.length - 1], state.stack[state.stack.length - 1]);
+}
+
+/**
+ * Hold the game over screen while the rewarded ad plays
+ * @param {object} state - Game state
+ * @returns {boolean} - False if a continue can't be offered now
+ */
+export function requestContinue(state) {
+  // The mode's continue limit holds whichever screen or controller asks
+  if (state.continuesUsed >= (getRules(state).continues ?? 1)) return false;
+  return statusMachine.transition(state, 'CONTINUE_PENDING');
+}
+
+/**
+ * Return to the game over screen when the ad was closed without a reward
+ * @param {object} state - Game state
+ */
+export function cancelContinue(state) {
+  if (state.status !== 'CONTINUE_PENDING') return;
+  statusMachine.transition(state, 'GAMEOVER');
+}
+
 /**
  * Continue game after watching rewarded ad
  * @param {object} state - Game state
- * @param {object} uiManager - UI manager
  */
-export function continueGame(state, uiManager) {
-  // Mark continue as used
-  state.continuesUsed++;
+export function continueGame(state) {
+  if (state.status !== 'CONTINUE_PENDING') return;
 
-  // Resume playing
-  state.status = 'PLAYING';
+  recordEvent(state, { type: 'continue' });
 
   // Give grace rewards to make player feel good!
-  // 1. Add Safety Net (saves from next crash)
-  state.activePowerUps.safetyNet.active = true;
-  state.activePowerUps.safetyNet.uses = 1;
-
-  // 2. Activate Slow-Mo for 5 seconds (breathing room)
-  state.activePowerUps.slowMo.active = true;
-  state.activePowerUps.slowMo.duration = 5.0;
-
-  // Update UI to show the grace rewards
-  updatePowerUpUI(state);
-
-  // Show notification about the rewards
-  const notification = document.createElement('div');
-  notification.className = 'powerup-notification';
-  notification.innerHTML = `
-    <div style="font-size: 1.5rem; font-weight: 900; margin-bottom: 10px;">🎁 GRACE REWARDS!</div>
-    <div style="font-size: 1rem;">🛡️ Safety Net + ⏱️ 5s Slow-Mo</div>
-  `;
-  notification.style.cssText = `
-    position: fixed;
-    top: 50%;
-    left: 50%;
-    transform: translate(-50%, -50%);
-    background: linear-gradient(135deg, rgba(0, 255, 170, 0.2), rgba(138, 43, 226, 0.2));
-    border: 2px solid var(--neon-cyan);
-    padding: 30px;
-    border-radius: 20px;
-    z-index: 10000;
-    text-align: center;
-    animation: slideDown 0.5s ease-out;
-    box-shadow: 0 0 30px rgba(0, 255, 170, 0.5);
-  `;
-  document.body.appendChild(notification);
-
-  setTimeout(() => {
-    notification.style.animation = 'slideUp 0.5s ease-in';
-    setTimeout(() => notification.remove(), 500);
-  }, 2500);
-
-  // Refresh UI
-  uiManager.render(state);
+  // Marks the continue as used, adds a Safety Net (saves from next crash)
+  // and 5 seconds of Slow-Mo (breathing room)
+  grantContinue(state);
+
+  // Resume playing
+  statusMachine.transition(state, 'PLAYING');
+  gameEvents.emit('game:continued', { state });
 }
 
 /**
  * End the game
  * @param {object} state - Game state
- * @param {UIManager} uiManager - UI manager instance
+ * @param {boolean} [cleared] - Whether the run ended by reaching its target (level or puzzle done)
  */
-export function gameOver(state, uiManager) {
-  state.status = 'GAMEOVER';
-  state.continuePending = false;
-
-  if (state.score > state.bestScore) state.bestScore = state.score;
-  if (state.maxSessionCombo > state.bestStreak) state.bestStreak = state.maxSessionCombo;
+export function gameOver(state, cleared = false) {
+  if (state.status === 'REPLAY') {
+    endReplayRun(state, cleared);
+    return;
+  }
 
-  triggerCrashFeedback(state);
-  audioService.playGameOver(state.isMuted);
-  persistBestScores(state.bestScore, state.bestStreak);
-  reconcileThemeUnlock(state);
+  // Save the run's input timeline (re-saved if the player continues)
+  if (state.recording) {
+    state.recording.score = state.score;
+    persistReplay('last', state.recording);
+    const best = loadReplay('best');
+    if (state.mode === 'classic' && (!isValidRecording(best) || state.score >= best.score)) {
+      persistReplay('best', state.recording);
+    }
+  }
 
-  // Show interstitial ad every 3 games
-  if (adMobService.shouldShowInterstitial()) {
-    adMobService.showInterstitial();
+  // Daily Void, Time Attack, campaign levels and puzzles keep their own
+  // results apart from the classic bests, Shapes only in its lifetime stats; custom presets
+  // can be made trivially easy, so they keep none
+  const previousBest = state.bestScore;
+  if (state.mode === 'daily') {
+    finishDailyAttempt(state.daily, state.dailyKey, state.score, state.maxSessionCombo);
+    persistDailyHistory(state.daily);
+  } else if (state.mode === 'timeAttack') {
+    if (state.score > state.timeAttackBest) {
+      state.timeAttackBest = state.score;
+      persistTimeAttackBest(state.timeAttackBest);
+    }
+  } else if (state.mode === 'campaign') {
+    finishLevel(state);
+  } else if (state.mode === 'silhouette') {
+    const match = getSilhouetteScore(getRules(state), state.silhouetteMatches);
+    if (match > (state.silhouetteBests[state.silhouette] || 0)) {
+      state.silhouetteBests = { ...state.silhouetteBests, [state.silhouette]: match };
+      persistSilhouetteBests(state.silhouetteBests);
+    }
+  } else if (state.mode !== 'custom' && state.mode !== 'shapes') {
+    if (state.score > state.bestScore) state.bestScore = state.score;
+    if (state.maxSessionCombo > state.bestStreak) state.bestStreak = state.maxSessionCombo;
+    persistBestScores(state.bestScore, state.bestStreak);
+    reconcileThemeUnlock(state);
   }
 
-  uiManager.render(state);
+  // Stats, achievements, feedback and ads react before the screen changes
+  gameEvents.emit('game:over', { state, replay: false, previousBest, cleared });
+  statusMachine.transition(state, 'GAMEOVER');
 }
 
 /**
- * Start a new game
+ * Rate a finished campaign level and save the result
  * @param {object} state - Game state
- * @param {UIManager} uiManager - UI manager instance
  */
-export function startGame(state, uiManager) {
-  state.continueUsed = false;
-  state.continuePending = false;
+function finishLevel(state) {
+  const level = state.campaignLevel;
+  const top = state.stack[state.stack.length - 1];
+  const stars = rateLevel(level, {
+    cleared: getHeight(state) >= level.target,
+    perfects: state.runStats ? state.runStats.perfects : 0,
+    width: Math.min(top.baseWidth, top.baseDepth)
+  });
+
+  state.levelResult = { cleared: stars > 0, stars };
+  state.campaignProgress = recordLevelResult(state.campaignProgress, level, state.score, stars);
+  persistCampaignProgress(state.campaignProgress);
+}
 
-  cleanup(state);
+/**
+ * Put the player's theme back after a level played in its own
+ * @param {object} state - Game state
+ */
+function restoreMenuTheme(state) {
+  if (!state.menuTheme) return;
+  state.currentTheme = state.menuTheme;
+  state.menuTheme = null;
+}
 
-  try {
-    audioService.init();
-  } catch (e) {
-    console.warn("Audio init failed:", e);
+/**
+ * Run down the Time Attack clock, ending the run when it hits zero
+ * @param {object} state - Game state
+ * @param {number} dt - Delta time in seconds
+ */
+export function tickCountdown(state, dt) {
+  if (!updateCountdown(state, dt)) return;
+
+  recordEvent(state, { type: 'timeout' });
+  gameOver(state);
+}
+
+/**
+ * Start a new game
+ * @param {object} state - Game state
+ * @param {number} [seed] - RNG seed (a fresh one is picked when omitted)
+ */
+export function startGame(state, seed = randomSeed()) {
+  if (!statusMachine.can(state.status, 'PLAYING')) {
+    console.warn(`Can't start a game from ${state.status}`);
+    return;
   }
 
-  const d = DIFFICULTIES[state.difficulty];
+  // Daily Void: one attempt per calendar day, on the day's shared seed
+  if (state.mode === 'daily') {
+    const key = getDailyKey();
+    if (!beginDailyAttempt(state.daily, key)) {
+      console.warn(`Today's Daily Void (${key}) has already been played`);
+      return;
+    }
+    persistDailyHistory(state.daily);
+    state.dailyKey = key;
+    seed = getDailySeed(key);
+  }
 
-  state.status = 'PLAYING';
+  const rules = getRules(state);
+  state.continueUsed = false;
+  state.levelResult = null;
+  state.runSelection = Object.fromEntries(RUN_SELECTION.map(key => [key, state[key]]));
 
-  state.score = 0;
-  state.combo = 0;
-  state.maxSessionCombo = 0;
-  state.speed = d.initial;
-  state.axis = 'x';
+  // Rules with their own hazards (campaign levels, puzzles) ignore the player's toggle
+  state.hazards = rules.hazards === undefined ? !!state.hazardModes[state.mode] : !!rules.hazards;
 
-  // DEBUG: Visual confirmation that game has started
-  if (scene) {
-    const originalBg = scene.background.clone();
-    scene.background = new THREE.Color(0x00FF00); // FLASH GREEN
-    setTimeout(() => { if (scene) scene.background = originalBg; }, 500);
+  // Campaign levels play in their own theme; the player's comes back on the menu
+  if (rules.theme) {
+    state.menuTheme = state.menuTheme || state.currentTheme;
+    state.currentTheme = pickThemeById(rules.theme);
+  } else {
+    restoreMenuTheme(state);
   }
 
+  cleanup(state);
+  clearReplay(state);
+
   // Safety check for theme
   if (!state.currentTheme || !state.currentTheme.colors) {
     console.warn("Theme missing, using fallback");
     state.currentTheme = { id: 'default', colors: [0x00ffff, 0xff00ff, 0x0000ff, 0xffffff] };
   }
 
-  // Reset power-ups for new game
-  state.powerUps = [null, null, null];
-  state.activePowerUps = {
-    slowMo: { active: false, duration: 0 },
-    safetyNet: { active: false, uses: 0 },
-    superSize: { active: false, count: 0 }
-  };
-  state.lastComboMilestone = 0;
-  updatePowerUpUI(state);
+  // Reset score, speed, power-ups, reseed and lay the foundation
+  resetRun(state, seed);
+  state.runStats = createRunStats(state.clock());
+  state.stackMeshes = state.stack.map((block, i) => addBlockMesh(state, block, i));
 
   state.camPos.set(14, 8, 14);
   state.camTarget.set(14, 8, 14);
@@ -390,108 +369,283 @@ export function startGame(state, uiManager) {
   // camera.position.set(12, 4, 12);
   // camera.lookAt(0, 0.5, 0);
 
-  createFoundation(state);
-  updateThemeVisuals(state);
+  gfx.updateThemeVisuals(state);
 
-  uiManager.render(state);
+  statusMachine.transition(state, 'PLAYING');
 
   try {
     spawnNewBlock(state);
   } catch (e) {
     console.error("Spawn Block Failed:", e);
-    if (typeof updateVRText === 'function' && window.scoreText) {
-      updateVRText("ERR: SPAWN", window.scoreText, "#ff0000");
-    }
   }
+
+  state.recording = createRecording(state);
 }
 
 /**
  * Return to main menu
  * @param {object} state - Game state
- * @param {UIManager} uiManager - UI manager instance
  */
-export function backToMenu(state, uiManager) {
+export function backToMenu(state) {
+  if (!statusMachine.can(state.status, 'START')) return;
+
   // If coming from game over, clear the game so user can't resume
   if (state.status === 'GAMEOVER') {
     cleanup(state);
-    state.stack = [];
-    state.activeBlock = null;
+    restoreMenuTheme(state);
   }
 
-  state.status = 'START';
-  updateThemeVisuals(state);
-  uiManager.render(state);
+  gfx.updateThemeVisuals(state);
+  statusMachine.transition(state, 'START');
 }
 
 /**
  * Resume game from pause
  * @param {object} state - Game state
- * @param {UIManager} uiManager - UI manager instance
  */
-export function resumeGame(state, uiManager) {
-  // Don't allow resume if game is over
-  if (state.status === 'GAMEOVER') return;
+export function resumeGame(state) {
+  // Resume from the pause screen or a run left for the menu
+  // (a game over needs a continue)
+  const inProgress = state.status === 'START' && state.stack.length > 1;
+  if (state.status !== 'PAUSED' && !inProgress) return;
+
+  // Back to the rules the run started with, whatever the menu picked since
+  if (inProgress && state.runSelection) Object.assign(state, state.runSelection);
 
-  state.status = 'PLAYING';
   state.lastTime = performance.now();
-  uiManager.render(state);
+  statusMachine.transition(state, 'PLAYING');
 }
 
 /**
  * Pause the game
  * @param {object} state - Game state
- * @param {UIManager} uiManager - UI manager instance
  */
-export function pauseGame(state, uiManager) {
-  if (state.status !== 'PLAYING') return;
-  state.status = 'PAUSED';
-  uiManager.render(state);
+export function pauseGame(state) {
+  if (!statusMachine.can(state.status, 'PAUSED')) return;
+  statusMachine.transition(state, 'PAUSED');
 }
 
 /**
- * Clean up scene objects
+ * Start watching a recorded run
  * @param {object} state - Game state
+ * @param {object} recording - Replay recording
  */
-export function cleanup(state) {
-  if (!scene) {
-    state.stack = [];
-    state.activeBlock = null;
-    return;
-  }
+export function startReplay(state, recording) {
+  if (!isValidRecording(recording)) return;
+  if (!statusMachine.can(state.status, 'REPLAY')) return;
 
-  const disposeMaterial = (mat) => {
-    if (!mat) return;
-    const texProps = [
-      'map', 'alphaMap', 'aoMap', 'bumpMap', 'displacementMap', 'emissiveMap', 'envMap',
-      'lightMap', 'metalnessMap', 'normalMap', 'roughnessMap', 'specularMap'
-    ];
-    for (const k of texProps) {
-      const t = mat[k];
-      if (t && typeof t.dispose === 'function') t.dispose();
-    }
-    if (typeof mat.dispose === 'function') mat.dispose();
+  cleanup(state);
+
+  // Replays drive the simulation clock from the timeline
+  state.replay = {
+    recording,
+    duration: getReplayDuration(recording),
+    time: 0,
+    cursor: 0,
+    speed: 1,
+    paused: false,
+    finished: false,
+    crashed: false,
+    savedDifficulty: state.difficulty,
+    savedMode: state.mode,
+    savedZenSpeed: state.zenSpeed,
+    savedSilhouette: state.silhouette,
+    savedCustomDifficulty: state.customDifficulty,
+    savedCampaignLevel: state.campaignLevel,
+    savedHazards: state.hazards,
+    savedClock: state.clock
   };
+  state.recording = null;
+  state.runStats = null;
+  state.difficulty = recording.difficulty;
+  state.mode = recording.mode || 'classic';
+  state.zenSpeed = recording.zenSpeed || state.zenSpeed;
+  state.silhouette = recording.silhouette || state.silhouette;
+  state.customDifficulty = recording.customDifficulty || null;
+  state.campaignLevel = recording.campaignLevel || null;
+  state.hazards = !!recording.hazards;
+  state.clock = () => recording.startTime + state.replay.time;
 
-  const disposeMesh = (m) => {
-    if (!m) return;
-    scene.remove(m);
-    if (m.geometry && typeof m.geometry.dispose === 'function') {
-      m.geometry.dispose();
-    }
-    if (Array.isArray(m.material)) {
-      m.material.forEach(disposeMaterial);
-    } else {
-      disposeMaterial(m.material);
+  state.camPos.set(14, 8, 14);
+  state.camTarget.set(14, 8, 14);
+  state.lookTarget.set(0, 0.5, 0);
+
+  statusMachine.transition(state, 'REPLAY');
+  seekReplay(state, 0);
+}
+
+/**
+ * Jump to a point on the replay timeline
+ * @param {object} state - Game state
+ * @param {number} time - Target time in milliseconds
+ */
+export function seekReplay(state, time) {
+  const replay = state.replay;
+  if (!replay) return;
+
+  cleanup(state);
+  simulateReplayTo(state, Math.max(0, Math.min(time, replay.duration)));
+  replay.finished = false;
+
+  // Rebuild meshes from the fast-forwarded records
+  state.stackMeshes = state.stack.map((block, i) => addBlockMesh(state, block, i));
+  if (state.activeBlock) {
+    state.activeMesh = addBlockMesh(state, state.activeBlock, state.stack.length);
+  }
+  gfx.updateThemeVisuals(state);
+  gameEvents.emit('replay:updated', { state });
+}
+
+/**
+ * Advance replay playback by one frame
+ * @param {object} state - Game state
+ * @param {number} dt - Delta time in seconds
+ */
+export function updateReplay(state, dt) {
+  const replay = state.replay;
+  if (!replay || replay.paused || replay.finished) return;
+
+  const step = dt * replay.speed;
+  replay.time += step * 1000;
+
+  // The block stays frozen between a recorded crash and its continue
+  if (!replay.crashed) {
+    updatePowerUpTimers(state, step);
+    updateCountdown(state, step);
+    stepActiveBlock(state, step);
+    syncBlockMesh(state.activeMesh, state.activeBlock);
+    syncQuakeMesh(state);
+  }
+
+  const events = replay.recording.events;
+  while (replay.cursor < events.length && events[replay.cursor].t <= replay.time) {
+    const event = events[replay.cursor++];
+    const time = replay.time;
+    replay.time = event.t;
+
+    if (event.type === 'place') {
+      restoreDrop(state, event);
+      syncBlockMesh(state.activeMesh, state.activeBlock);
+      syncQuakeMesh(state);
+      placeBlock(state);
+    } else if (event.type === 'powerup') {
+      triggerPowerUp(state, event.slot);
+    } else if (event.type === 'discard') {
+      triggerDiscard(state, event.slot);
+    } else if (event.type === 'swap') {
+      triggerSwap(state, event.from, event.to);
+    } else if (event.type === 'continue') {
+      replay.crashed = false;
+      grantContinue(state);
+      gameEvents.emit('game:continued', { state });
+    } else if (event.type === 'timeout') {
+      expireCountdown(state);
+      gameOver(state);
     }
-  };
 
-  state.stack.forEach(disposeMesh);
-  if (state.activeBlock) disposeMesh(state.activeBlock);
+    replay.time = time;
+  }
+
+  if (replay.cursor >= events.length && !replay.finished) {
+    replay.finished = true;
+    gameEvents.emit('replay:updated', { state });
+  }
+}
+
+/**
+ * Replay reached a recorded crash (or the run's target)
+ * @param {object} state - Game state
+ * @param {boolean} cleared - Whether the run reached its target
+ */
+function endReplayRun(state, cleared) {
+  // A continue may follow; otherwise playback is over
+  const replay = state.replay;
+  replay.crashed = true;
+  if (replay.cursor >= replay.recording.events.length) {
+    replay.finished = true;
+  }
+
+  gameEvents.emit('game:over', { state, replay: true, previousBest: state.bestScore, cleared });
+  gameEvents.emit('replay:updated', { state });
+}
+
+/**
+ * Pause or resume replay playback
+ * @param {object} state - Game state
+ */
+export function toggleReplayPause(state) {
+  const replay = state.replay;
+  if (!replay) return;
+
+  if (replay.finished) {
+    seekReplay(state, 0);
+    replay.paused = false;
+  } else {
+    replay.paused = !replay.paused;
+  }
+  gameEvents.emit('replay:updated', { state });
+}
+
+/**
+ * Set replay playback speed
+ * @param {object} state - Game state
+ * @param {number} speed - Playback rate (1 = real time)
+ */
+export function setReplaySpeed(state, speed) {
+  if (!state.replay) return;
+  state.replay.speed = speed;
+  gameEvents.emit('replay:updated', { state });
+}
+
+/**
+ * Leave replay mode and return to the menu
+ * @param {object} state - Game state
+ */
+export function exitReplay(state) {
+  if (!state.replay) return;
+
+  cleanup(state);
+  clearReplay(state);
+
+  statusMachine.transition(state, 'START');
+}
+
+/**
+ * Restore the settings a replay borrowed
+ * @param {object} state - Game state
+ */
+function clearReplay(state) {
+  const replay = state.replay;
+  if (!replay) return;
+
+  state.difficulty = replay.savedDifficulty;
+  state.mode = replay.savedMode;
+  state.zenSpeed = replay.savedZenSpeed;
+  state.silhouette = replay.savedSilhouette;
+  state.customDifficulty = replay.savedCustomDifficulty;
+  state.campaignLevel = replay.savedCampaignLevel;
+  state.hazards = replay.savedHazards;
+  state.clock = replay.savedClock;
+  state.replay = null;
+}
+
+/**
+ * Clean up scene objects
+ * @param {object} state - Game state
+ */
+export function cleanup(state) {
+  state.stackMeshes.forEach(disposeBlockMesh);
+  disposeBlockMesh(state.activeMesh);
 
   state.stack = [];
   state.activeBlock = null;
+  state.stackMeshes = [];
+  state.activeMesh = null;
+  state.growths = [];
+  state.slides = [];
 
   // Reset rubble pool
+  const rubbleInstances = gfx && gfx.rubbleInstances;
   if (rubbleInstances && state.rubbleData.length) {
     state.rubbleFree.length = 0;
     state.rubbleActive.length = 0;
@@ -0,0 +1,217 @@
+/**
+ * Footprint Geometry - Polygon clipping for shaped blocks
+ *
+ * A footprint is a list of convex polygons (counter-clockwise {x, z}
+ * points) whose union is the block's outline seen from above. Keeping the
+ * pieces convex lets every clip run through Sutherland-Hodgman, even for
+ * L-shapes or what is left of one after a few cuts.
+ */
+
+// Pieces smaller than this are clipping slivers, not geometry
+const MIN_AREA = 1e-6;
+// Points closer than this are the same point
+const EPSILON = 1e-9;
+
+const CIRCLE_SEGMENTS = 20;
+
+function signedArea(poly) {
+  let sum = 0;
+  for (let i = 0; i < poly.length; i++) {
+    const a = poly[i];
+    const b = poly[(i + 1) % poly.length];
+    sum += a.x * b.z - b.x * a.z;
+  }
+  return sum / 2;
+}
+
+// Which side of the directed edge a -> b a point is on (> 0 is inside for CCW)
+function side(a, b, p) {
+  return (b.x - a.x) * (p.z - a.z) - (b.z - a.z) * (p.x - a.x);
+}
+
+// A zero-length edge has no inside, so it would keep (or cut) everything
+function isEdge(a, b) {
+  return Math.abs(a.x - b.x) > EPSILON || Math.abs(a.z - b.z) > EPSILON;
+}
+
+// Drop repeated points left where a clip passed through a vertex
+function dedupe(poly) {
+  return poly.filter((p, i) => isEdge(p, poly[(i + 1) % poly.length]));
+}
+
+// Keep the part of a convex polygon on one side of the line through a -> b
+function clipToEdge(poly, a, b, keepInside) {
+  const out = [];
+  const inside = p => (keepInside ? side(a, b, p) >= 0 : side(a, b, p) <= 0);
+
+  for (let i = 0; i < poly.length; i++) {
+    const cur = poly[i];
+    const next = poly[(i + 1) % poly.length];
+    const curIn = inside(cur);
+    const nextIn = inside(next);
+
+    if (curIn) out.push(cur);
+    if (curIn !== nextIn) {
+      const sc = side(a, b, cur);
+      const t = sc / (sc - side(a, b, next));
+      out.push({ x: cur.x + (next.x - cur.x) * t, z: cur.z + (next.z - cur.z) * t });
+    }
+  }
+  return dedupe(out);
+}
+
+function isPiece(poly) {
+  return poly.length >= 3 && Math.abs(signedArea(poly)) > MIN_AREA;
+}
+
+/**
+ * Intersect two convex polygons
+ * @param {Array<object>} subject - Convex polygon
+ * @param {Array<object>} clip - Convex CCW polygon
+ * @returns {Array<object>|null} - The overlap, or null if they don't overlap
+ */
+export function clipConvex(subject, clip) {
+  let result = subject;
+  for (let i = 0; i < clip.length && result.length; i++) {
+    const a = clip[i];
+    const b = clip[(i + 1) % clip.length];
+    if (isEdge(a, b)) result = clipToEdge(result, a, b, true);
+  }
+  return isPiece(result) ? result : null;
+}
+
+// Convex pieces of `subject` outside the convex `clip`
+function subtractConvex(subject, clip) {
+  const pieces = [];
+  let rest = subject;
+  for (let i = 0; i < clip.length && rest.length; i++) {
+    const a = clip[i];
+    const b = clip[(i + 1) % clip.length];
+    if (!isEdge(a, b)) continue;
+    const outside = clipToEdge(rest, a, b, false);
+    if (isPiece(outside)) pieces.push(outside);
+    rest = clipToEdge(rest, a, b, true);
+  }
+  return pieces;
+}
+
+/**
+ * Overlap of two footprints
+ * @param {Array<Array<object>>} a - Footprint
+ * @param {Array<Array<object>>} b - Footprint
+ * @returns {Array<Array<object>>} - Footprint (empty if they don't overlap)
+ */
+export function intersectFootprints(a, b) {
+  const pieces = [];
+  a.forEach((pa) => {
+    b.forEach((pb) => {
+      const piece = clipConvex(pa, pb);
+      if (piece) pieces.push(piece);
+    });
+  });
+  return pieces;
+}
+
+/**
+ * Part of one footprint outside another
+ * @param {Array<Array<object>>} a - Footprint to cut
+ * @param {Array<Array<object>>} b - Footprint to cut away
+ * @returns {Array<Array<object>>} - Footprint
+ */
+export function subtractFootprints(a, b) {
+  return b.reduce((pieces, clip) => pieces.flatMap(p => subtractConvex(p, clip)), a);
+}
+
+/**
+ * Area of a footprint
+ * @param {Array<Array<object>>} footprint - Footprint
+ * @returns {number}
+ */
+export function footprintArea(footprint) {
+  return footprint.reduce((sum, poly) => sum + Math.abs(signedArea(poly)), 0);
+}
+
+/**
+ * Axis-aligned bounds of a footprint or single polygon
+ * @param {Array} footprint - Footprint, or one polygon
+ * @returns {object} - { minX, maxX, minZ, maxZ }
+ */
+export function footprintBounds(footprint) {
+  const points = footprint.flat();
+  return {
+    minX: Math.min(...points.map(p => p.x)),
+    maxX: Math.max(...points.map(p => p.x)),
+    minZ: Math.min(...points.map(p => p.z)),
+    maxZ: Math.max(...points.map(p => p.z))
+  };
+}
+
+/**
+ * Move a footprint
+ * @param {Array<Array<object>>} footprint - Footprint
+ * @param {number} dx - X offset
+ * @param {number} dz - Z offset
+ * @returns {Array<Array<object>>} - New footprint
+ */
+export function translateFootprint(footprint, dx, dz) {
+  return footprint.map(poly => poly.map(p => ({ x: p.x + dx, z: p.z + dz })));
+}
+
+/**
+ * Scale a footprint about its origin
+ * @param {Array<Array<object>>} footprint - Footprint
+ * @param {number} s - Scale (X scale when sz is given)
+ * @param {number} [sz] - Z scale
+ * @returns {Array<Array<object>>} - New footprint
+ */
+export function scaleFootprint(footprint, s, sz = s) {
+  return footprint.map(poly => poly.map(p => ({ x: p.x * s, z: p.z * sz })));
+}
+
+// Axis-aligned rectangle between two corners
+function rect(x0, z0, x1, z1) {
+  return [{ x: x0, z: z0 }, { x: x1, z: z0 }, { x: x1, z: z1 }, { x: x0, z: z1 }];
+}
+
+// Regular polygon stretched to a width x depth ellipse
+function ellipse(width, depth, segments) {
+  return Array.from({ length: segments }, (_, i) => {
+    const a = (i / segments) * Math.PI * 2;
+    return { x: Math.cos(a) * width / 2, z: Math.sin(a) * depth / 2 };
+  });
+}
+
+/**
+ * Centered rectangle footprint (what a plain block stands on)
+ * @param {number} width - X extent
+ * @param {number} depth - Z extent
+ * @returns {Array<Array<object>>}
+ */
+export function rectFootprint(width, depth) {
+  return [rect(-width / 2, -depth / 2, width / 2, depth / 2)];
+}
+
+/**
+ * Footprint for a block shape fitted inside a width x depth box
+ * @param {string} shape - 'square', 'lShape', 'cylinder', 'hexagon' or 'diamond' (a square turned 45°)
+ * @param {number} width - X extent
+ * @param {number} depth - Z extent
+ * @returns {Array<Array<object>>}
+ */
+export function createShapeFootprint(shape, width, depth) {
+  const w = width / 2;
+  const d = depth / 2;
+  switch (shape) {
+    case 'lShape':
+      // The box without its +x/+z quarter, as two rectangles
+      return [rect(-w, -d, 0, d), rect(0, -d, w, 0)];
+    case 'cylinder':
+      return [ellipse(width, depth, CIRCLE_SEGMENTS)];
+    case 'hexagon':
+      return [ellipse(width, depth, 6)];
+    case 'diamond':
+      return [[{ x: 0, z: -d }, { x: w, z: 0 }, { x: 0, z: d }, { x: -w, z: 0 }]];
+    default:
+      return rectFootprint(width, depth);
+  }
+}
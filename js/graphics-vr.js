@@ -8,7 +8,10 @@ import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
 import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
-import { CONFIG } from './config.js';
+import { CONFIG, HAZARDS } from './config.js';
+import { createFoundationBlock, getRules, previewLanding } from './simulation.js';
+import { POWERUPS, isPreviewing } from './powerup-registry.js';
+import { createBlockMesh } from './blocks.js';
 
 // Three.js globals (will be initialized by initEngine)
 export let scene = null;
@@ -22,6 +25,10 @@ export let nebula = null;
 export let starLayerBack = null;
 export let starLayerMid = null;
 export let rubbleInstances = null;
+export let hazardRing = null;
+export let silhouetteGhost = null;
+export let landingGhost = null;
+export let powerUpInventory = null;
 export let planets = [];
 
 // VR-specific globals
@@ -32,6 +39,7 @@ export let controllerGrips = [];
 // 3D UI Text elements for VR
 export let scoreText = null;
 export let comboText = null;
+export let toastText = null;
 export let uiGroup = null;
 
 /**
@@ -174,7 +182,7 @@ export function createGlassMaterial(color) {
  * @param {object} state - Game state
  */
 export function updateThemeVisuals(state) {
-    state.stack.forEach((m, i) => {
+    state.stackMeshes.forEach((m, i) => {
         const c = new THREE.Color(state.currentTheme.colors[i % state.currentTheme.colors.length]);
         m.material.color.copy(c);
         if (m.material.emissive) m.material.emissive.copy(c);
@@ -186,19 +194,13 @@ export function updateThemeVisuals(state) {
  * @param {object} state - Game state
  */
 export function createFoundation(state) {
-    const geom = new THREE.BoxGeometry(CONFIG.INITIAL_SIZE, CONFIG.BLOCK_HEIGHT, CONFIG.INITIAL_SIZE);
+    const block = createFoundationBlock();
     const baseColor = new THREE.Color(state.currentTheme.colors[0]);
-    const mat = createGlassMaterial(baseColor);
-    const mesh = new THREE.Mesh(geom, mat);
-    mesh.position.set(0, CONFIG.BLOCK_HEIGHT / 2, 0);
-
-    mesh.userData = {
-        baseWidth: CONFIG.INITIAL_SIZE,
-        baseDepth: CONFIG.INITIAL_SIZE
-    };
+    const mesh = createBlockMesh(block, createGlassMaterial(baseColor));
 
     scene.add(mesh);
-    state.stack.push(mesh);
+    state.stack.push(block);
+    state.stackMeshes.push(mesh);
     updateThemeVisuals(state);
 }
 
@@ -246,6 +248,12 @@ function createVRUI() {
     comboText.visible = false;
     uiGroup.add(comboText);
 
+    // Achievement unlocks and other short announcements
+    toastText = createTextSprite('', '#FFD700');
+    toastText.position.set(0, 2.2, 0);
+    toastText.visible = false;
+    uiGroup.add(toastText);
+
     scene.add(uiGroup);
 }
 
@@ -342,6 +350,14 @@ export function initEngine(state, onInput) {
         cameraGroup.add(controller);
         controllers.push(controller);
 
+        // The XR input source tells which hand this is and carries its gamepad
+        controller.addEventListener('connected', (event) => {
+            controller.userData.inputSource = event.data;
+        });
+        controller.addEventListener('disconnected', () => {
+            controller.userData.inputSource = null;
+        });
+
         // Attach input listener IMMEDIATELY
         if (onInput) {
             controller.addEventListener('selectstart', () => onInput(i));
@@ -435,6 +451,18 @@ export function initEngine(state, onInput) {
     }
     scene.add(rubbleInstances);
 
+    hazardRing = createHazardRing();
+    scene.add(hazardRing);
+
+    silhouetteGhost = createSilhouetteGhost();
+    scene.add(silhouetteGhost);
+
+    landingGhost = createLandingGhost();
+    scene.add(landingGhost);
+
+    // Parented to the left controller once one connects
+    powerUpInventory = createPowerUpInventory();
+
     createFoundation(state);
 
     // Create VR UI elements
@@ -445,6 +473,283 @@ export function initEngine(state, onInput) {
     camera.lookAt(0, 2, 0);
 }
 
+/**
+ * Create the ring that marks a hazard floor
+ * @returns {THREE.Mesh} - Ring mesh (hidden until a hazard floor)
+ */
+function createHazardRing() {
+    const geom = new THREE.RingGeometry(1, 1.08, 64);
+    geom.rotateX(-Math.PI / 2);
+    const mat = new THREE.MeshBasicMaterial({
+        transparent: true,
+        opacity: 0,
+        side: THREE.DoubleSide,
+        depthWrite: false
+    });
+    const ring = new THREE.Mesh(geom, mat);
+    ring.visible = false;
+    return ring;
+}
+
+/**
+ * Show the hazard of the active floor as a ring around the top of the stack:
+ * it ripples downwind, glints on ice and shakes with a quake
+ * @param {object} state - Game state
+ */
+export function updateHazardCue(state) {
+    if (!hazardRing) return;
+
+    const hazard = state.activeBlock && HAZARDS[state.hazard];
+    hazardRing.visible = !!hazard;
+    if (!hazard) return;
+
+    const top = state.stack[state.stack.length - 1];
+    const t = state.clock() / 1000;
+    const radius = Math.max(top.width, top.depth) * 0.8;
+    hazardRing.material.color.set(hazard.color);
+    hazardRing.position.set(top.x, top.y + CONFIG.BLOCK_HEIGHT / 2 + 0.02, top.z);
+    hazardRing.scale.setScalar(radius);
+
+    if (state.hazard === 'wind') {
+        // Gusts ripple out the way the wind blows
+        const gust = (t * 2) % 1;
+        const other = state.axis === 'x' ? 'z' : 'x';
+        hazardRing.position[other] += state.activeBlock.windDir * gust * 0.6;
+        hazardRing.material.opacity = 0.7 * (1 - gust);
+    } else if (state.hazard === 'ice') {
+        hazardRing.material.opacity = 0.4 + 0.3 * Math.sin(t * 4);
+    } else {
+        hazardRing.scale.setScalar(radius * (1 + 0.05 * Math.sin(t * 40)));
+        hazardRing.material.opacity = 0.7;
+    }
+}
+
+// Edges of a unit box, shared by every floor of the silhouette ghost
+let ghostEdges = null;
+
+/**
+ * Create the outline that shows a silhouette puzzle's target
+ * @returns {THREE.Group} - One outlined box per floor (empty until a puzzle)
+ */
+function createSilhouetteGhost() {
+    ghostEdges = new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1));
+    const group = new THREE.Group();
+    group.userData.targets = null;
+    return group;
+}
+
+// Lay out one outlined box per target floor
+function buildSilhouetteGhost(targets) {
+    silhouetteGhost.children.forEach(line => line.material.dispose());
+    silhouetteGhost.clear();
+
+    targets.forEach((target, floor) => {
+        const mat = new THREE.LineBasicMaterial({ transparent: true, depthWrite: false });
+        const line = new THREE.LineSegments(ghostEdges, mat);
+        line.scale.set(target.width, CONFIG.BLOCK_HEIGHT, target.depth);
+        line.position.set(0, (floor + 1) * CONFIG.BLOCK_HEIGHT + CONFIG.BLOCK_HEIGHT / 2, 0);
+        silhouetteGhost.add(line);
+    });
+    silhouetteGhost.userData.targets = targets;
+}
+
+/**
+ * Show a silhouette puzzle's target as a ghost tower beside the stack: placed
+ * floors tint from red to green by how well they matched, the floor being
+ * played pulses and the rest wait faintly
+ * @param {object} state - Game state
+ */
+export function updateSilhouetteGhost(state) {
+    if (!silhouetteGhost) return;
+
+    const targets = state.status !== 'START' && state.stack.length ? getRules(state).silhouette : null;
+    silhouetteGhost.visible = !!targets;
+    if (!targets) return;
+    if (silhouetteGhost.userData.targets !== targets) buildSilhouetteGhost(targets);
+
+    const foundation = state.stack[0];
+    const t = state.clock() / 1000;
+    silhouetteGhost.position.set(foundation.x - CONFIG.SILHOUETTE_OFFSET, 0, foundation.z);
+
+    silhouetteGhost.children.forEach((line, floor) => {
+        const match = state.silhouetteMatches[floor];
+        if (match !== undefined) {
+            line.material.color.setHSL(match / 3, 1, 0.5);
+            line.material.opacity = 0.8;
+        } else if (floor === state.silhouetteMatches.length) {
+            line.material.color.set(state.currentTheme.colors[0]);
+            line.material.opacity = 0.6 + 0.4 * Math.sin(t * 5);
+        } else {
+            line.material.color.set(0xffffff);
+            line.material.opacity = 0.2;
+        }
+    });
+}
+
+/**
+ * Create the translucent block Ghost Preview draws where a drop would land
+ * @returns {THREE.Mesh} - Unit box with an outline (hidden until previewing)
+ */
+function createLandingGhost() {
+    const geom = new THREE.BoxGeometry(1, 1, 1);
+    const mat = new THREE.MeshBasicMaterial({ transparent: true, opacity: 0.2, depthWrite: false });
+    const ghost = new THREE.Mesh(geom, mat);
+    const outline = new THREE.LineSegments(
+        new THREE.EdgesGeometry(geom),
+        new THREE.LineBasicMaterial({ transparent: true, opacity: 0.8 })
+    );
+    ghost.add(outline);
+    ghost.userData.outline = outline;
+    ghost.visible = false;
+    return ghost;
+}
+
+/**
+ * Show where the active block would land while Ghost Preview runs
+ * (cyan for a perfect drop, white for a cut)
+ * @param {object} state - Game state
+ */
+export function updateLandingGhost(state) {
+    if (!landingGhost) return;
+
+    const landing = state.status === 'PLAYING' && isPreviewing(state) ? previewLanding(state) : null;
+    landingGhost.visible = !!landing;
+    if (!landing) return;
+
+    const color = landing.perfect ? 0x00ffff : 0xffffff;
+    landingGhost.material.color.set(color);
+    landingGhost.userData.outline.material.color.set(color);
+    landingGhost.position.set(landing.x, state.activeBlock.y, landing.z);
+    landingGhost.scale.set(landing.width, CONFIG.BLOCK_HEIGHT, landing.depth);
+}
+
+/**
+ * Create a small canvas sprite for the wrist inventory
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @param {number} size - World height of the sprite (width follows the canvas)
+ * @returns {THREE.Sprite}
+ */
+function createInventorySprite(width, height, size) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true, depthTest: false }));
+    sprite.scale.set(size * width / height, size, 1);
+    sprite.renderOrder = 10;
+
+    sprite.userData.canvas = canvas;
+    sprite.userData.context = canvas.getContext('2d');
+    sprite.userData.texture = texture;
+    sprite.userData.key = null;
+    return sprite;
+}
+
+/**
+ * Create the power-up inventory worn on the left controller
+ * @returns {THREE.Group} - Three slot sprites and the queue (hidden until a left controller connects)
+ */
+function createPowerUpInventory() {
+    const group = new THREE.Group();
+
+    // Just above the back of the hand, in grip space
+    group.position.set(0, 0.06, 0.03);
+
+    group.userData.slots = [0, 1, 2].map((i) => {
+        const sprite = createInventorySprite(128, 128, 0.045);
+        sprite.position.set((i - 1) * 0.05, 0, 0);
+        group.add(sprite);
+        return sprite;
+    });
+
+    group.userData.queue = createInventorySprite(256, 64, 0.02);
+    group.userData.queue.position.set(0, 0.038, 0);
+    group.add(group.userData.queue);
+
+    group.visible = false;
+    return group;
+}
+
+/**
+ * Draw one inventory slot (skipped when nothing about it changed)
+ * @param {THREE.Sprite} sprite - Slot sprite
+ * @param {string|null} type - Power-up in the slot
+ * @param {number} remaining - Seconds, floors or uses left if it's running (0 if not)
+ * @param {boolean} selected - Whether the thumbstick has it highlighted
+ */
+function drawInventorySlot(sprite, type, remaining, selected) {
+    const key = `${type}|${remaining}|${selected}`;
+    if (sprite.userData.key === key) return;
+    sprite.userData.key = key;
+
+    const { canvas, context, texture } = sprite.userData;
+    context.clearRect(0, 0, canvas.width, canvas.height);
+
+    context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    context.strokeStyle = selected ? '#00ffff' : (remaining > 0 ? '#ff0070' : 'rgba(255, 255, 255, 0.3)');
+    context.lineWidth = selected ? 10 : 5;
+    context.beginPath();
+    context.roundRect(8, 8, 112, 112, 20);
+    context.fill();
+    context.stroke();
+
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    if (type && POWERUPS[type]) {
+        context.font = '64px Arial';
+        context.fillText(POWERUPS[type].icon, 64, 68);
+    }
+    if (remaining > 0) {
+        context.fillStyle = '#ff0070';
+        context.font = 'bold 32px Arial';
+        context.fillText(String(remaining), 100, 28);
+    }
+
+    texture.needsUpdate = true;
+}
+
+/**
+ * Keep the wrist inventory on the left controller in step with the run
+ * @param {object} state - Game state
+ * @param {number} selectedSlot - Slot the thumbstick has highlighted
+ */
+export function updatePowerUpInventory(state, selectedSlot) {
+    if (!powerUpInventory) return;
+
+    const index = controllers.findIndex(c => c.userData.inputSource && c.userData.inputSource.handedness === 'left');
+    const grip = index === -1 ? null : controllerGrips[index];
+    const visible = !!grip && (state.status === 'PLAYING' || state.status === 'PAUSED' || state.status === 'REPLAY');
+    powerUpInventory.visible = visible;
+    if (!visible) return;
+    if (powerUpInventory.parent !== grip) grip.add(powerUpInventory);
+
+    powerUpInventory.userData.slots.forEach((sprite, i) => {
+        const type = state.powerUps[i];
+        const running = type && state.activePowerUps[type];
+        const remaining = running && running.active ? Math.ceil(running.remaining) : 0;
+        drawInventorySlot(sprite, type, remaining, i === selectedSlot);
+    });
+
+    // Queued awards as a row of icons above the slots
+    const queue = powerUpInventory.userData.queue;
+    const icons = (state.powerUpQueue || []).map(type => (POWERUPS[type] ? POWERUPS[type].icon : '')).join(' ');
+    queue.visible = !!icons;
+    if (icons && queue.userData.key !== icons) {
+        queue.userData.key = icons;
+        const { canvas, context, texture } = queue.userData;
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.globalAlpha = 0.6;
+        context.font = '44px Arial';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(`+ ${icons}`, 128, 34);
+        context.globalAlpha = 1;
+        texture.needsUpdate = true;
+    }
+}
+
 /**
  * Handle window resize
  * @param {object} state - Game state
@@ -7,7 +7,10 @@ import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
 import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
-import { CONFIG } from './config.js';
+import { CONFIG, HAZARDS } from './config.js';
+import { createFoundationBlock, getRules, previewLanding } from './simulation.js';
+import { isPreviewing } from './powerup-registry.js';
+import { createBlockMesh } from './blocks.js';
 
 // Three.js globals (will be initialized by initEngine)
 export let scene = null;
@@ -20,6 +23,9 @@ export let nebula = null;
 export let starLayerBack = null;
 export let starLayerMid = null;
 export let rubbleInstances = null;
+export let hazardRing = null;
+export let silhouetteGhost = null;
+export let landingGhost = null;
 export let planets = [];
 
 /**
@@ -162,7 +168,7 @@ export function createGlassMaterial(color) {
  * @param {object} state - Game state
  */
 export function updateThemeVisuals(state) {
-  state.stack.forEach((m, i) => {
+  state.stackMeshes.forEach((m, i) => {
     const c = new THREE.Color(state.currentTheme.colors[i % state.currentTheme.colors.length]);
     m.material.color.copy(c);
     if (m.material.emissive) m.material.emissive.copy(c);
@@ -174,19 +180,13 @@ export function updateThemeVisuals(state) {
  * @param {object} state - Game state
  */
 export function createFoundation(state) {
-  const geom = new THREE.BoxGeometry(CONFIG.INITIAL_SIZE, CONFIG.BLOCK_HEIGHT, CONFIG.INITIAL_SIZE);
+  const block = createFoundationBlock();
   const baseColor = new THREE.Color(state.currentTheme.colors[0]);
-  const mat = createGlassMaterial(baseColor);
-  const mesh = new THREE.Mesh(geom, mat);
-  mesh.position.set(0, CONFIG.BLOCK_HEIGHT / 2, 0);
-  
-  mesh.userData = {
-    baseWidth: CONFIG.INITIAL_SIZE,
-    baseDepth: CONFIG.INITIAL_SIZE
-  };
-  
+  const mesh = createBlockMesh(block, createGlassMaterial(baseColor));
+
   scene.add(mesh);
-  state.stack.push(mesh);
+  state.stack.push(block);
+  state.stackMeshes.push(mesh);
   updateThemeVisuals(state);
 }
 
@@ -286,6 +286,15 @@ export function initEngine(state) {
   }
   scene.add(rubbleInstances);
 
+  hazardRing = createHazardRing();
+  scene.add(hazardRing);
+
+  silhouetteGhost = createSilhouetteGhost();
+  scene.add(silhouetteGhost);
+
+  landingGhost = createLandingGhost();
+  scene.add(landingGhost);
+
   createFoundation(state);
   
   // Set initial camera position for START screen
@@ -293,6 +302,156 @@ export function initEngine(state) {
   camera.lookAt(0, 0.5, 0);
 }
 
+/**
+ * Create the ring that marks a hazard floor
+ * @returns {THREE.Mesh} - Ring mesh (hidden until a hazard floor)
+ */
+function createHazardRing() {
+  const geom = new THREE.RingGeometry(1, 1.08, 64);
+  geom.rotateX(-Math.PI / 2);
+  const mat = new THREE.MeshBasicMaterial({
+    transparent: true,
+    opacity: 0,
+    side: THREE.DoubleSide,
+    depthWrite: false
+  });
+  const ring = new THREE.Mesh(geom, mat);
+  ring.visible = false;
+  return ring;
+}
+
+/**
+ * Show the hazard of the active floor as a ring around the top of the stack:
+ * it ripples downwind, glints on ice and shakes with a quake
+ * @param {object} state - Game state
+ */
+export function updateHazardCue(state) {
+  if (!hazardRing) return;
+
+  const hazard = state.activeBlock && HAZARDS[state.hazard];
+  hazardRing.visible = !!hazard;
+  if (!hazard) return;
+
+  const top = state.stack[state.stack.length - 1];
+  const t = state.clock() / 1000;
+  const radius = Math.max(top.width, top.depth) * 0.8;
+  hazardRing.material.color.set(hazard.color);
+  hazardRing.position.set(top.x, top.y + CONFIG.BLOCK_HEIGHT / 2 + 0.02, top.z);
+  hazardRing.scale.setScalar(radius);
+
+  if (state.hazard === 'wind') {
+    // Gusts ripple out the way the wind blows
+    const gust = (t * 2) % 1;
+    const other = state.axis === 'x' ? 'z' : 'x';
+    hazardRing.position[other] += state.activeBlock.windDir * gust * 0.6;
+    hazardRing.material.opacity = 0.7 * (1 - gust);
+  } else if (state.hazard === 'ice') {
+    hazardRing.material.opacity = 0.4 + 0.3 * Math.sin(t * 4);
+  } else {
+    hazardRing.scale.setScalar(radius * (1 + 0.05 * Math.sin(t * 40)));
+    hazardRing.material.opacity = 0.7;
+  }
+}
+
+// Edges of a unit box, shared by every floor of the silhouette ghost
+let ghostEdges = null;
+
+/**
+ * Create the outline that shows a silhouette puzzle's target
+ * @returns {THREE.Group} - One outlined box per floor (empty until a puzzle)
+ */
+function createSilhouetteGhost() {
+  ghostEdges = new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1));
+  const group = new THREE.Group();
+  group.userData.targets = null;
+  return group;
+}
+
+// Lay out one outlined box per target floor
+function buildSilhouetteGhost(targets) {
+  silhouetteGhost.children.forEach(line => line.material.dispose());
+  silhouetteGhost.clear();
+
+  targets.forEach((target, floor) => {
+    const mat = new THREE.LineBasicMaterial({ transparent: true, depthWrite: false });
+    const line = new THREE.LineSegments(ghostEdges, mat);
+    line.scale.set(target.width, CONFIG.BLOCK_HEIGHT, target.depth);
+    line.position.set(0, (floor + 1) * CONFIG.BLOCK_HEIGHT + CONFIG.BLOCK_HEIGHT / 2, 0);
+    silhouetteGhost.add(line);
+  });
+  silhouetteGhost.userData.targets = targets;
+}
+
+/**
+ * Show a silhouette puzzle's target as a ghost tower beside the stack: placed
+ * floors tint from red to green by how well they matched, the floor being
+ * played pulses and the rest wait faintly
+ * @param {object} state - Game state
+ */
+export function updateSilhouetteGhost(state) {
+  if (!silhouetteGhost) return;
+
+  const targets = state.status !== 'START' && state.stack.length ? getRules(state).silhouette : null;
+  silhouetteGhost.visible = !!targets;
+  if (!targets) return;
+  if (silhouetteGhost.userData.targets !== targets) buildSilhouetteGhost(targets);
+
+  const foundation = state.stack[0];
+  const t = state.clock() / 1000;
+  silhouetteGhost.position.set(foundation.x - CONFIG.SILHOUETTE_OFFSET, 0, foundation.z);
+
+  silhouetteGhost.children.forEach((line, floor) => {
+    const match = state.silhouetteMatches[floor];
+    if (match !== undefined) {
+      line.material.color.setHSL(match / 3, 1, 0.5);
+      line.material.opacity = 0.8;
+    } else if (floor === state.silhouetteMatches.length) {
+      line.material.color.set(state.currentTheme.colors[0]);
+      line.material.opacity = 0.6 + 0.4 * Math.sin(t * 5);
+    } else {
+      line.material.color.set(0xffffff);
+      line.material.opacity = 0.2;
+    }
+  });
+}
+
+/**
+ * Create the translucent block Ghost Preview draws where a drop would land
+ * @returns {THREE.Mesh} - Unit box with an outline (hidden until previewing)
+ */
+function createLandingGhost() {
+  const geom = new THREE.BoxGeometry(1, 1, 1);
+  const mat = new THREE.MeshBasicMaterial({ transparent: true, opacity: 0.2, depthWrite: false });
+  const ghost = new THREE.Mesh(geom, mat);
+  const outline = new THREE.LineSegments(
+    new THREE.EdgesGeometry(geom),
+    new THREE.LineBasicMaterial({ transparent: true, opacity: 0.8 })
+  );
+  ghost.add(outline);
+  ghost.userData.outline = outline;
+  ghost.visible = false;
+  return ghost;
+}
+
+/**
+ * Show where the active block would land while Ghost Preview runs
+ * (cyan for a perfect drop, white for a cut)
+ * @param {object} state - Game state
+ */
+export function updateLandingGhost(state) {
+  if (!landingGhost) return;
+
+  const landing = state.status === 'PLAYING' && isPreviewing(state) ? previewLanding(state) : null;
+  landingGhost.visible = !!landing;
+  if (!landing) return;
+
+  const color = landing.perfect ? 0x00ffff : 0xffffff;
+  landingGhost.material.color.set(color);
+  landingGhost.userData.outline.material.color.set(color);
+  landingGhost.position.set(landing.x, state.activeBlock.y, landing.z);
+  landingGhost.scale.set(landing.width, CONFIG.BLOCK_HEIGHT, landing.depth);
+}
+
 /**
  * Handle window resize
  * @param {object} state - Game state
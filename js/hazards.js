@@ -0,0 +1,92 @@
+/**
+ * Hazard Floors - Wind, ice and quakes on scheduled floors
+ *
+ * Hazards only run when state.hazards is on (the player's per-mode toggle,
+ * fixed for the run and kept in its recording). HAZARD_RULES in config.js,
+ * or a rules `hazards` schedule, picks which floors get one:
+ * - wind: the moving block drifts sideways along the other axis
+ * - ice: a block that isn't perfect slides on a little after landing
+ * - quake: the block below swings back and forth until the drop
+ *
+ * Like movement patterns, hazards never draw from state.rng, and quakes are
+ * stepped by the same travel as the block so replays can restore them.
+ */
+
+import { CONFIG, HAZARD_RULES } from './config.js';
+
+/**
+ * Pick the hazard for a floor
+ * @param {object} state - Simulation state
+ * @param {object} rules - Difficulty or mode rules
+ * @param {number} floor - Placed block count
+ * @returns {string|null} - HAZARDS key, or null for a plain floor
+ */
+export function getFloorHazard(state, rules, floor) {
+  if (!state.hazards) return null;
+
+  const schedule = rules.hazards || HAZARD_RULES;
+  if (floor < schedule.from || (floor - schedule.from) % schedule.every !== 0) return null;
+  return schedule.types[((floor - schedule.from) / schedule.every) % schedule.types.length];
+}
+
+/**
+ * Set up the hazard for a freshly spawned block
+ * @param {object} state - Simulation state
+ * @param {object} block - Active block record
+ * @param {object} rules - Difficulty or mode rules
+ */
+export function initHazard(state, block, rules) {
+  const floor = state.stack.length - 1;
+  state.hazard = getFloorHazard(state, rules, floor);
+
+  if (state.hazard === 'wind') {
+    // Odd and even floors blow from opposite sides
+    block.windDir = floor % 2 === 0 ? 1 : -1;
+  } else if (state.hazard === 'quake') {
+    block.quakePhase = 0;
+    block.quakeBase = state.stack[state.stack.length - 1][state.axis];
+  }
+}
+
+/**
+ * Move the block below to where the quake has swung it
+ * @param {object} state - Simulation state
+ * @param {object} block - Active block record
+ */
+export function applyQuake(state, block) {
+  const prev = state.stack[state.stack.length - 1];
+  prev[state.axis] = block.quakeBase + Math.sin(block.quakePhase) * CONFIG.QUAKE_AMPLITUDE;
+}
+
+/**
+ * Step the floor's hazard by one frame's travel
+ * @param {object} state - Simulation state
+ * @param {object} block - Active block record
+ * @param {number} travel - Distance a ping-pong block would cover
+ * @param {number} bounce - Bounce bound
+ */
+export function stepHazard(state, block, travel, bounce) {
+  if (state.hazard === 'wind') {
+    const other = state.axis === 'x' ? 'z' : 'x';
+    block[other] = Math.max(-bounce, Math.min(bounce, block[other] + block.windDir * travel * CONFIG.WIND_DRIFT));
+  } else if (state.hazard === 'quake') {
+    block.quakePhase += travel * CONFIG.QUAKE_RATE;
+    applyQuake(state, block);
+  }
+}
+
+/**
+ * Slide a block that landed on ice (perfect drops stick)
+ * @param {object} state - Simulation state
+ * @param {object} block - Landed block record
+ * @returns {number} - Signed distance slid along the moving axis (0 off ice)
+ */
+export function slideOnIce(state, block) {
+  if (state.hazard !== 'ice') return 0;
+
+  // Carried on the way it was moving, keeping at least half of it supported
+  const size = state.axis === 'x' ? block.width : block.depth;
+  const distance = state.direction * Math.min(CONFIG.ICE_SLIDE, size / 2);
+  block[state.axis] += distance;
+  return distance;
+}
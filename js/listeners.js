@@ -0,0 +1,204 @@
+/**
+ * Game Event Listeners - Wires audio, effects, ads, stats, achievements and
+ * the DOM UI to the game event bus and the status machine's hooks
+ */
+
+import { THEMES } from './config.js';
+import { getRules } from './simulation.js';
+import { gameEvents } from './events.js';
+import { statusMachine } from './status.js';
+import { audioService } from './audio.js';
+import { adMobService } from './admob.js';
+import { persistLifetimeStats } from './storage.js';
+import {
+  updatePowerUpUI,
+  setInventoryVisible,
+  announcePowerUp,
+  announceCombo,
+  announceGraceRewards,
+  playPowerUpTone
+} from './powerups.js';
+import {
+  triggerPerfectFeedback,
+  triggerCrashFeedback,
+  triggerRegrowFeedback,
+  startGrowth,
+  startSlide
+} from './effects.js';
+import { recordDrop, recordPowerUpUsed, commitRunStats } from './stats.js';
+import { checkAchievements } from './achievements.js';
+
+let registered = false;
+
+/**
+ * Subscribe every subsystem to the game events (safe to call once per page)
+ * @param {UIManager} uiManager - UI manager instance
+ */
+export function registerGameListeners(uiManager) {
+  if (registered) return;
+  registered = true;
+
+  registerStatusHooks();
+  registerAudio();
+  registerEffects();
+  registerAds();
+  registerStats();
+  registerAchievements();
+  registerUI(uiManager);
+}
+
+// Banner ads only sit under menus, never over gameplay
+const BANNER_STATUSES = ['START', 'GAMEOVER'];
+const DUCKED_STATUSES = ['PAUSED', 'CONTINUE_PENDING'];
+
+function registerStatusHooks() {
+  BANNER_STATUSES.forEach((status) => {
+    statusMachine.onEnter(status, () => adMobService.showBanner());
+    statusMachine.onExit(status, ({ to }) => {
+      if (!BANNER_STATUSES.includes(to)) adMobService.hideBanner();
+    });
+  });
+
+  statusMachine.onEnter('START', () => setInventoryVisible(false));
+  statusMachine.onEnter('PLAYING', () => setInventoryVisible(true));
+  statusMachine.onExit('PLAYING', () => setInventoryVisible(false));
+
+  DUCKED_STATUSES.forEach((status) => {
+    statusMachine.onEnter(status, () => audioService.setDucked(true));
+    statusMachine.onExit(status, () => audioService.setDucked(false));
+  });
+}
+
+function registerAudio() {
+  gameEvents.on('status:changed', ({ to }) => {
+    if (to !== 'PLAYING' && to !== 'REPLAY') return;
+    try {
+      audioService.init();
+    } catch (e) {
+      console.warn("Audio init failed:", e);
+    }
+  });
+
+  gameEvents.on('block:placed', ({ state, outcome, floor }) => {
+    audioService.playNote(floor, outcome.type === 'perfect', state.isMuted);
+  });
+
+  gameEvents.on('block:missed', ({ state, outcome }) => {
+    if (outcome.type === 'saved') audioService.playTone(523, state.isMuted);
+    if (outcome.type === 'reset') audioService.playTone(392, state.isMuted);
+  });
+
+  gameEvents.on('powerup:activated', ({ state, type }) => playPowerUpTone(state, type));
+
+  gameEvents.on('game:over', ({ state, cleared }) => {
+    if (cleared) audioService.playClear(state.isMuted);
+    else audioService.playGameOver(state.isMuted);
+  });
+}
+
+function registerEffects() {
+  gameEvents.on('block:placed', ({ state, outcome }) => {
+    if (outcome.type !== 'perfect') return;
+    state.flash = 0.5;
+    triggerPerfectFeedback(state);
+  });
+
+  gameEvents.on('block:missed', ({ state, outcome }) => {
+    if (outcome.type !== 'miss') state.flash = 0.3;
+  });
+
+  // Listeners run before the next spawn, so state.axis is still the one it slid along
+  gameEvents.on('block:placed', ({ state, outcome, mesh }) => {
+    if (outcome.slide) startSlide(state, mesh, state.axis, outcome.slide);
+  });
+
+  gameEvents.on('block:regrown', ({ state, block, mesh, from }) => {
+    startGrowth(state, mesh, from, block);
+    triggerRegrowFeedback(state, block);
+  });
+
+  // Clearing a level or puzzle also ends the run, but it's no crash
+  gameEvents.on('game:over', ({ state, cleared }) => {
+    if (cleared) state.flash = 0.6;
+    else triggerCrashFeedback(state);
+  });
+}
+
+function registerAds() {
+  // Show interstitial ad every 3 games (never in practice modes)
+  gameEvents.on('game:over', ({ state, replay }) => {
+    if (replay || getRules(state).practice) return;
+    if (adMobService.shouldShowInterstitial()) {
+      adMobService.showInterstitial();
+    }
+  });
+}
+
+// state.runStats is null during replays, so playback is never counted
+function registerStats() {
+  gameEvents.on('block:placed', ({ state, outcome }) => recordDrop(state.runStats, outcome));
+  gameEvents.on('block:missed', ({ state, outcome }) => recordDrop(state.runStats, outcome));
+
+  gameEvents.on('powerup:activated', ({ state, type }) => recordPowerUpUsed(state.runStats, type));
+
+  gameEvents.on('game:continued', ({ state }) => {
+    if (state.runStats) state.runStats.continues++;
+  });
+
+  // Fold the run into lifetime stats (only the part since a previous continue)
+  gameEvents.on('game:over', ({ state, replay }) => {
+    if (replay || !state.runStats) return;
+    state.runStats.duration = state.clock() - state.runStats.startTime;
+    const modeKey = state.mode === 'classic' ? state.difficulty : state.mode;
+    commitRunStats(state.lifetimeStats, state.runStats, modeKey, state.score);
+    persistLifetimeStats(state.lifetimeStats);
+  });
+}
+
+function registerAchievements() {
+  gameEvents.on('block:placed', ({ state, outcome }) => {
+    if (outcome.type === 'perfect') checkAchievements(state, 'perfect');
+  });
+  gameEvents.on('combo:milestone', ({ state }) => checkAchievements(state, 'combo'));
+  gameEvents.on('block:placed', ({ state }) => checkAchievements(state, 'placed'));
+
+  gameEvents.on('powerup:activated', ({ state, type, width }) => {
+    checkAchievements(state, 'powerup', { powerUp: type, width });
+  });
+
+  gameEvents.on('game:over', ({ state, replay, previousBest }) => {
+    if (replay) return;
+    checkAchievements(state, 'gameover');
+    THEMES
+      .filter(t => t.unlock > previousBest && t.unlock <= state.bestScore)
+      .forEach(t => checkAchievements(state, 'theme', { theme: t.id }));
+  });
+}
+
+function registerUI(uiManager) {
+  const render = ({ state }) => uiManager.render(state);
+  const refreshPowerUps = ({ state }) => updatePowerUpUI(state);
+
+  gameEvents.on('status:changed', refreshPowerUps);
+  gameEvents.on('status:changed', render);
+  gameEvents.on('block:placed', refreshPowerUps);
+  gameEvents.on('block:placed', render);
+  gameEvents.on('block:placed', ({ outcome }) => uiManager.showTimeChange(outcome.time));
+  gameEvents.on('block:placed', ({ state, outcome }) => uiManager.showDropReadout(state, outcome));
+  gameEvents.on('block:missed', ({ state, outcome }) => uiManager.showDropReadout(state, outcome));
+  gameEvents.on('block:missed', refreshPowerUps);
+  gameEvents.on('powerup:activated', refreshPowerUps);
+  gameEvents.on('powerup:discarded', refreshPowerUps);
+  gameEvents.on('powerup:swapped', refreshPowerUps);
+  gameEvents.on('powerup:awarded', ({ state, type, queued }) => announcePowerUp(state, type, queued));
+  gameEvents.on('powerup:combo', ({ state, combo }) => announceCombo(state, combo));
+  gameEvents.on('replay:updated', refreshPowerUps);
+  gameEvents.on('replay:updated', render);
+  gameEvents.on('game:over', render);
+
+  gameEvents.on('game:continued', ({ state }) => {
+    updatePowerUpUI(state);
+    if (state.status !== 'REPLAY') announceGraceRewards();
+    uiManager.render(state);
+  });
+}
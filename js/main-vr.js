@@ -4,12 +4,29 @@
 
 import * as THREE from 'three';
 import { CONFIG } from './config.js';
-import { loadBestScores, loadTutorialSeen, persistDifficulty, persistTheme } from './storage.js';
-import { state, initializeState } from './state.js';
-import { uiManager } from './ui.js';
-import { updatePowerUpUI, updatePowerUpTimers, activatePowerUp } from './powerups.js';
-import { updateParticles, renderParticles } from './effects.js';
-import { createTouchRipple, reconcileThemeUnlock, shareScore, closeTutorial } from './utils.js';
+import { loadBestScores, loadTutorialSeen, persistDifficulty, persistTheme, persistZenSpeed, loadReplay, importProfile } from './storage.js';
+import { persistHazardModes } from './storage.js';
+import { loadCampaign, isLevelUnlocked } from './campaign.js';
+import { persistCustomDifficulties } from './storage.js';
+import { state, initializeState, applyProfileToState } from './state.js';
+import { uiManager, formatDropReadout, formatSpeedForecast } from './ui.js';
+import { registerGameListeners } from './listeners.js';
+import { statusMachine } from './status.js';
+import { gameEvents } from './events.js';
+import { updatePowerUpUI, activatePowerUp, discardPowerUp, swapPowerUps } from './powerups.js';
+import { updatePowerUpTimers, stepActiveBlock, getRules } from './simulation.js';
+import { getSpeedForecast } from './speed.js';
+import { getDailyKey, getDailyResult } from './daily.js';
+import { syncBlockMesh } from './blocks.js';
+import { updateParticles, renderParticles, updateGrowths, updateSlides } from './effects.js';
+import { createTouchRipple, reconcileThemeUnlock, shareScore, closeTutorial, downloadProfile, pickProfileFile } from './utils.js';
+import { shareDifficultyCode } from './utils.js';
+import {
+    sanitizeCustomDifficulty,
+    upsertCustomDifficulty,
+    encodeCustomDifficulty,
+    decodeCustomDifficulty
+} from './custom-difficulty.js';
 import { adMobService } from './admob.js';
 import {
     initEngine,
@@ -29,16 +46,33 @@ import {
     controllers,
     scoreText,
     comboText,
+    toastText,
     uiGroup,
-    updateVRText
+    updateVRText,
+    updateHazardCue,
+    updateSilhouetteGhost,
+    updateLandingGhost,
+    updatePowerUpInventory
 } from './graphics-vr.js';
+import * as graphics from './graphics-vr.js';
 import {
     startGame,
     resumeGame,
     pauseGame,
     backToMenu,
     placeBlock,
-    continueGame
+    continueGame,
+    requestContinue,
+    cancelContinue,
+    tickCountdown,
+    syncQuakeMesh,
+    bindGraphics,
+    startReplay,
+    updateReplay,
+    seekReplay,
+    toggleReplayPause,
+    setReplaySpeed,
+    exitReplay
 } from './game.js';
 
 // Temporary Three.js objects for calculations
@@ -49,17 +83,60 @@ const _m4 = new THREE.Matrix4();
 // Controller input state
 let controllerInputCooldown = [0, 0];
 
+// Last Zen drop readout shown on the HUD
+let vrDropReadout = '';
+
+// Power-up controls on the xr-standard gamepad layout (trigger, the usual
+// drop input, stays button 0 and is read through selectstart)
+const XR_BUTTONS = { grip: 1, thumbstick: 3, lowerFace: 4, upperFace: 5 };
+const XR_THUMBSTICK_X = 2;
+const THUMBSTICK_FLICK = 0.6; // Tilt that steps the highlighted slot
+
+// Slot highlighted on the wrist inventory, and the controls each controller
+// held last frame (so a press or flick acts once)
+let vrSelectedSlot = 0;
+let heldPowerUpControls = [new Set(), new Set()];
+
+/**
+ * Whether the Daily Void is selected and today's one attempt is used
+ * @returns {boolean}
+ */
+function isDailySpent() {
+    return state.mode === 'daily' && !!getDailyResult(state.daily, getDailyKey());
+}
+
 /**
  * Handle VR controller input
  * @param {number} controllerIndex - Index of controller (0 or 1)
  */
 function handleVRInput(controllerIndex) {
-    // Start game if in menu, game over, or stuck in loading state
-    if (state.status === 'START' || state.status === 'GAMEOVER' || state.status === 'LOADING') {
+    // Start game from the menu or game over (nothing to start while still loading)
+    if (state.status === 'START' || state.status === 'GAMEOVER') {
         const now = performance.now();
         if (now - controllerInputCooldown[controllerIndex] < CONFIG.INPUT_COOLDOWN) return;
         controllerInputCooldown[controllerIndex] = now;
-        startGame(state, uiManager);
+
+        // A run left for the menu picks up where it was
+        if (state.status === 'START' && state.stack.length > 1) {
+            resumeGame(state);
+            return;
+        }
+
+        // Today's Daily is spent: the HUD says so, the trigger just buzzes
+        if (isDailySpent()) {
+            pulseControllers(0.2, 40);
+            return;
+        }
+        startGame(state);
+        return;
+    }
+
+    // Trigger pauses/resumes a replay
+    if (state.status === 'REPLAY') {
+        const now = performance.now();
+        if (now - controllerInputCooldown[controllerIndex] < CONFIG.INPUT_COOLDOWN) return;
+        controllerInputCooldown[controllerIndex] = now;
+        toggleReplayPause(state);
         return;
     }
 
@@ -70,7 +147,52 @@ function handleVRInput(controllerIndex) {
     if (now - state.lastSpawnTime < 200) return;
     controllerInputCooldown[controllerIndex] = now;
 
-    placeBlock(state, uiManager);
+    placeBlock(state);
+}
+
+/**
+ * Read the power-up controls from both XR gamepads: a thumbstick flick moves
+ * the highlighted slot, grip, thumbstick click or the lower face button (A/X)
+ * uses it and the upper face button (B/Y) discards it
+ */
+function pollPowerUpControls() {
+    controllers.forEach((controller, index) => {
+        const source = controller.userData.inputSource;
+        const gamepad = source && source.gamepad;
+        const held = new Set();
+        if (gamepad) {
+            Object.entries(XR_BUTTONS).forEach(([name, button]) => {
+                if (gamepad.buttons[button] && gamepad.buttons[button].pressed) held.add(name);
+            });
+            const x = gamepad.axes[XR_THUMBSTICK_X] || 0;
+            if (x < -THUMBSTICK_FLICK) held.add('flickLeft');
+            if (x > THUMBSTICK_FLICK) held.add('flickRight');
+        }
+
+        const pressed = [...held].filter(name => !heldPowerUpControls[index].has(name));
+        heldPowerUpControls[index] = held;
+        if (state.status !== 'PLAYING') return;
+
+        pressed.forEach((name) => {
+            if (name === 'flickLeft') vrSelectedSlot = (vrSelectedSlot + 2) % 3;
+            else if (name === 'flickRight') vrSelectedSlot = (vrSelectedSlot + 1) % 3;
+            else if (name === 'upperFace') discardPowerUp(state, vrSelectedSlot);
+            else activatePowerUp(state, vrSelectedSlot);
+        });
+    });
+}
+
+/**
+ * Pulse the rumble of every controller that has one
+ * @param {number} intensity - Strength, 0-1
+ * @param {number} duration - Milliseconds
+ */
+function pulseControllers(intensity, duration) {
+    controllers.forEach((controller) => {
+        const source = controller.userData.inputSource;
+        const actuator = source && source.gamepad && source.gamepad.hapticActuators && source.gamepad.hapticActuators[0];
+        if (actuator && actuator.pulse) actuator.pulse(intensity, duration);
+    });
 }
 
 /**
@@ -97,19 +219,32 @@ function updateVRUIDisplay() {
 
     // Check game status for main messages
     if (state.status === 'START') {
-        if (scoreText) updateVRText('PULL TRIGGER TO START', scoreText, '#00ff00');
+        // Same lock as the DOM start button: nothing to start until tomorrow
+        const locked = state.stack.length <= 1 && isDailySpent();
+        const label = state.stack.length > 1 ? 'PULL TRIGGER TO RESUME' : (locked ? 'DAILY DONE' : 'PULL TRIGGER TO START');
+        if (scoreText) updateVRText(label, scoreText, locked ? '#ffff00' : '#00ff00');
         if (comboText) {
             comboText.visible = true;
-            updateVRText('STACK VOID VR', comboText, '#00ffff');
+            updateVRText(locked ? 'COME BACK TOMORROW' : 'STACK VOID VR', comboText, '#00ffff');
         }
         return;
     }
 
     if (state.status === 'GAMEOVER') {
-        if (scoreText) updateVRText('GAME OVER', scoreText, '#ff0000');
+        if (scoreText) updateVRText(state.timeUp ? 'TIME UP' : 'GAME OVER', scoreText, '#ff0000');
         if (comboText) {
             comboText.visible = true;
-            updateVRText('PULL TRIGGER TO RETRY', comboText, '#ffff00');
+            updateVRText(isDailySpent() ? 'COME BACK TOMORROW' : 'PULL TRIGGER TO RETRY', comboText, '#ffff00');
+        }
+        return;
+    }
+
+    if (state.status === 'REPLAY') {
+        if (scoreText) updateVRText(`REPLAY: ${state.score}`, scoreText, '#00ffff');
+        if (comboText) {
+            comboText.visible = true;
+            const label = state.replay.finished ? 'REPLAY OVER' : (state.replay.paused ? 'PAUSED' : `${state.replay.speed}X`);
+            updateVRText(label, comboText, '#ffff00');
         }
         return;
     }
@@ -119,6 +254,28 @@ function updateVRUIDisplay() {
         updateVRText(`SCORE: ${state.score}`, scoreText, '#00ffff');
     }
 
+    // Zen shows how far off the last drop was
+    if (comboText && getRules(state).practice) {
+        comboText.visible = !!vrDropReadout;
+        if (vrDropReadout) updateVRText(vrDropReadout, comboText, '#00ff70');
+        return;
+    }
+
+    // Time Attack shows the clock where the combo would go
+    if (comboText && getRules(state).timeLimit) {
+        comboText.visible = true;
+        updateVRText(`TIME: ${state.timeLeft.toFixed(1)}s`, comboText, state.timeLeft < 10 ? '#ff0070' : '#ffcf00');
+        return;
+    }
+
+    // Speed profiles warn of spikes and breathers ahead
+    const forecast = getSpeedForecast(state, getRules(state));
+    if (comboText && forecast) {
+        comboText.visible = true;
+        updateVRText(formatSpeedForecast(forecast), comboText, forecast.type === 'breather' ? '#00ff70' : '#ffcf00');
+        return;
+    }
+
     // Update combo text
     if (comboText) {
         if (state.comboStreak > 2) {
@@ -130,6 +287,48 @@ function updateVRUIDisplay() {
     }
 }
 
+/**
+ * Mirror placement feedback on the VR HUD
+ */
+function registerVRHudListeners() {
+    // DEBUG: Show waiting
+    gameEvents.on('block:rejected', ({ outcome }) => {
+        if (!comboText) return;
+        comboText.visible = true;
+        updateVRText(`WAIT: ${Math.round(outcome.elapsed)}`, comboText, '#00FF00');
+    });
+
+    // Zen readout (drawn by updateVRUIDisplay)
+    const readout = ({ state, outcome }) => {
+        if (getRules(state).practice) vrDropReadout = formatDropReadout(outcome);
+    };
+    gameEvents.on('block:placed', readout);
+    gameEvents.on('block:missed', readout);
+    gameEvents.on('status:changed', ({ to }) => {
+        if (to === 'START') {
+            vrDropReadout = '';
+            vrSelectedSlot = 0;
+        }
+    });
+
+    gameEvents.on('block:missed', ({ outcome }) => {
+        if (!comboText || outcome.type === 'reset') return;
+        comboText.visible = true;
+        updateVRText(`DIE: ${outcome.overlap.toFixed(2)}`, comboText, '#FF0000');
+    });
+
+    // Haptics for power-ups (not while watching a replay)
+    gameEvents.on('powerup:awarded', ({ state }) => {
+        if (state.status === 'PLAYING') pulseControllers(0.4, 80);
+    });
+    gameEvents.on('powerup:activated', ({ state }) => {
+        if (state.status === 'PLAYING') pulseControllers(0.8, 120);
+    });
+    gameEvents.on('powerup:combo', ({ state }) => {
+        if (state.status === 'PLAYING') pulseControllers(1, 200);
+    });
+}
+
 /**
  * Main animation loop (VR-compatible)
  * @param {number} time - Current timestamp
@@ -177,6 +376,13 @@ function animate(time, frame) {
         updateParticles(state, dt);
         renderParticles(state, scene);
     }
+    updateGrowths(state, dt);
+    updateSlides(state, dt);
+    updateHazardCue(state);
+    updateSilhouetteGhost(state);
+    updateLandingGhost(state);
+    pollPowerUpControls();
+    updatePowerUpInventory(state, vrSelectedSlot);
 
     // Camera behavior (modified for VR)
     const isInVR = renderer.xr.isPresenting;
@@ -217,10 +423,9 @@ function animate(time, frame) {
         }
     }
 
-    // DEBUG: Expose for game.js
+    // Expose for achievements.js toasts
     window.updateVRText = updateVRText;
-    window.comboText = comboText;
-    window.scoreText = scoreText;
+    window.toastText = toastText;
 
     // Apply screen shake
     if (state.shakeTime > 0) {
@@ -251,26 +456,35 @@ function animate(time, frame) {
 
     // Update active block movement
     if (state.status === 'PLAYING' && state.activeBlock) {
+        // Play time only moves with the frame step, so a replay's gaps between
+        // events run its timers down exactly as far as they ran live
+        state.simTime += dt * 1000;
+
         // Update Slow-Mo power-up timer
         updatePowerUpTimers(state, dt);
 
-        // Get speed multiplier (0.5 if Slow-Mo active, 1.0 otherwise)
-        let speedMultiplier = 1;
-        if (state.activePowerUps.slowMo.active && state.activePowerUps.slowMo.duration > 0) {
-            speedMultiplier = 0.5;
-        }
+        // Move the block record, then mirror it onto its mesh
+        stepActiveBlock(state, dt);
+        syncBlockMesh(state.activeMesh, state.activeBlock);
+        syncQuakeMesh(state);
 
-        state.activeBlock.position[state.axis] +=
-            state.direction * state.speed * speedMultiplier * (dt * 60);
+        pointLight.position.copy(state.activeMesh.position).y += 2.5;
+        pointLight.color.copy(state.activeMesh.material.color);
 
-        if (Math.abs(state.activeBlock.position[state.axis]) > 13) {
-            state.direction *= -1;
-            state.activeBlock.position[state.axis] =
-                13 * Math.sign(state.activeBlock.position[state.axis]);
-        }
+        // Time Attack clock (may end the run)
+        tickCountdown(state, dt);
+        uiManager.updateCountdown(state);
+    }
+
+    // Feed the recorded timeline back into the game
+    if (state.status === 'REPLAY') {
+        updateReplay(state, dt);
+        uiManager.updateReplayProgress(state);
 
-        pointLight.position.copy(state.activeBlock.position).y += 2.5;
-        pointLight.color.copy(state.activeBlock.material.color);
+        if (state.activeMesh) {
+            pointLight.position.copy(state.activeMesh.position).y += 2.5;
+            pointLight.color.copy(state.activeMesh.material.color);
+        }
     }
 
     // Update rubble physics
@@ -363,7 +577,7 @@ function handleInput(e) {
     const y = e.clientY || (e.touches && e.touches[0] ? e.touches[0].clientY : window.innerHeight / 2);
     createTouchRipple(x, y);
 
-    placeBlock(state, uiManager);
+    placeBlock(state);
 }
 
 /**
@@ -390,8 +604,7 @@ async function initGameData() {
     state.selectedThemeLocked = state.bestScore < state.currentTheme.unlock;
     state.selectedThemeUnlockAt = state.currentTheme.unlock;
 
-    state.status = 'START';
-    uiManager.render(state);
+    statusMachine.transition(state, 'START');
 }
 
 /**
@@ -401,29 +614,172 @@ async function initGameData() {
  */
 function setDifficulty(diff, e) {
     if (e) e.stopPropagation();
+    state.mode = 'classic';
     state.difficulty = diff;
     persistDifficulty(diff);
     uiManager.render(state);
 }
 
+/**
+ * Set game mode
+ * @param {string} mode - Game mode ('classic', 'daily', 'timeAttack', 'zen', 'shapes', 'custom', 'campaign')
+ * @param {Event} e - Event object
+ */
+function setMode(mode, e) {
+    if (e) e.stopPropagation();
+    state.mode = mode;
+    uiManager.render(state);
+}
+
+/**
+ * Set the Zen speed cap
+ * @param {string} level - Speed level (see ZEN_RULES.speeds)
+ * @param {Event} e - Event object
+ */
+function setZenSpeed(level, e) {
+    if (e) e.stopPropagation();
+    state.zenSpeed = level;
+    persistZenSpeed(level);
+    uiManager.render(state);
+}
+
+/**
+ * Pick the silhouette puzzle to play
+ * @param {string} id - Puzzle id (see SILHOUETTES)
+ * @param {Event} e - Event object
+ */
+function setSilhouette(id, e) {
+    if (e) e.stopPropagation();
+    state.silhouette = id;
+    uiManager.render(state);
+}
+
+/**
+ * Select a campaign level and start it
+ * @param {number} index - Index in state.campaign
+ * @param {Event} e - Event object
+ */
+function playLevel(index, e) {
+    if (e) e.stopPropagation();
+    if (!isLevelUnlocked(state.campaign, state.campaignProgress, index)) return;
+    state.campaignLevel = state.campaign[index];
+    state.mode = 'campaign';
+    startGame(state);
+}
+
+/**
+ * Switch hazard floors on or off for the selected mode
+ * @param {Event} e - Event object
+ */
+function toggleHazards(e) {
+    if (e) e.stopPropagation();
+    state.hazardModes = { ...state.hazardModes, [state.mode]: !state.hazardModes[state.mode] };
+    persistHazardModes(state.hazardModes);
+    uiManager.render(state);
+}
+
+/**
+ * Save the editor's custom difficulty and play it
+ * @param {Event} e - Event object
+ */
+function saveCustomDifficulty(e) {
+    if (e) e.stopPropagation();
+    const form = uiManager.readCustomForm();
+    if (!form) return;
+    selectCustomDifficulty(sanitizeCustomDifficulty(form));
+}
+
+/**
+ * Add a custom difficulty from a share code and play it
+ * @param {Event} e - Event object
+ */
+function importCustomDifficultyCode(e) {
+    if (e) e.stopPropagation();
+    let preset;
+    try {
+        preset = decodeCustomDifficulty(uiManager.readCustomCode());
+    } catch (err) {
+        alert(`Import failed: ${err.message}`);
+        return;
+    }
+    selectCustomDifficulty(preset);
+}
+
+/**
+ * Save a custom difficulty (replacing one with the same name) and select it
+ * @param {object} preset - Sanitized preset
+ */
+function selectCustomDifficulty(preset) {
+    state.customDifficulties = upsertCustomDifficulty(state.customDifficulties, preset);
+    persistCustomDifficulties(state.customDifficulties);
+    state.customDifficulty = preset;
+    state.mode = 'custom';
+    uiManager.render(state);
+}
+
+/**
+ * Remove a saved custom difficulty
+ * @param {number} index - Index in state.customDifficulties
+ * @param {Event} e - Event object
+ */
+function deleteCustomDifficulty(index, e) {
+    if (e) e.stopPropagation();
+    const preset = state.customDifficulties[index];
+    if (!preset) return;
+    state.customDifficulties = state.customDifficulties.filter((_, i) => i !== index);
+    persistCustomDifficulties(state.customDifficulties);
+    if (state.customDifficulty && state.customDifficulty.name === preset.name) {
+        state.customDifficulty = null;
+        if (state.mode === 'custom') state.mode = 'classic';
+    }
+    uiManager.render(state);
+}
+
+/**
+ * Replace the save profile with one picked from a file and reload state
+ */
+async function importProfileFromFile() {
+    const text = await pickProfileFile();
+    if (!text) return;
+
+    try {
+        importProfile(text);
+    } catch (e) {
+        alert(`Import failed: ${e.message}`);
+        return;
+    }
+
+    applyProfileToState();
+    reconcileThemeUnlock(state);
+    state.selectedThemeLocked = state.bestScore < state.currentTheme.unlock;
+    state.selectedThemeUnlockAt = state.currentTheme.unlock;
+
+    graphics.updateThemeVisuals(state);
+    uiManager.render(state);
+    alert('Profile imported!');
+}
+
 /**
  * Main initialization
  */
 async function init() {
     const progressEl = document.getElementById('loading-progress');
 
-    // Load initial state
-    const { bestScore, bestStreak } = loadBestScores();
-    const isMuted = localStorage.getItem('isMuted') === 'true';
-    initializeState(bestScore, bestStreak, isMuted);
+    // Pick the storage backend and load initial state
+    await initializeState();
+    state.campaign = await loadCampaign();
+    state.showDropOdds = new URLSearchParams(window.location.search).has('odds');
 
     if (progressEl) progressEl.style.width = '20%';
 
     // Initialize UI
     uiManager.init();
+    registerGameListeners(uiManager);
+    registerVRHudListeners();
     if (progressEl) progressEl.style.width = '50%';
 
     // Initialize Three.js engine with VR support
+    bindGraphics(graphics);
     initEngine(state, handleVRInput);
     if (progressEl) progressEl.style.width = '75%';
 
@@ -437,10 +793,10 @@ async function init() {
     // Initialize AdMob
     await adMobService.init();
 
-    // DEBUG: Auto-Start Game after 5 seconds
+    // DEBUG: Auto-Start Game after 5 seconds (only from the menu)
     setTimeout(() => {
-        if (state.status !== 'PLAYING') {
-            startGame(state, uiManager);
+        if (state.status === 'START') {
+            startGame(state);
         }
     }, 5000);
 
@@ -477,40 +833,42 @@ async function init() {
     // Expose global functions for onclick handlers
     window.gameStartNew = (e) => {
         if (e) e.stopPropagation();
-        startGame(state, uiManager);
+        startGame(state);
     };
 
     window.gameResume = (e) => {
         if (e) e.stopPropagation();
-        resumeGame(state, uiManager);
+        resumeGame(state);
     };
 
     window.gamePause = (e) => {
         if (e) e.stopPropagation();
-        pauseGame(state, uiManager);
+        pauseGame(state);
     };
 
     window.gameBackToMenu = (e) => {
         if (e) e.stopPropagation();
-        backToMenu(state, uiManager);
+        backToMenu(state);
     };
 
     window.gameRestart = (e) => {
         if (e) e.stopPropagation();
-        startGame(state, uiManager);
+        startGame(state);
     };
 
     window.gameContinueWithAd = async (e) => {
         if (e) e.stopPropagation();
+        if (!requestContinue(state)) return;
 
         // Show rewarded ad and continue if user watches it
         const watched = await adMobService.showRewarded(() => {
-            continueGame(state, uiManager);
+            continueGame(state);
         });
 
-        // If user didn't watch the ad (closed early), don't continue
+        // If user didn't watch the ad (closed early), back to the game over screen
         if (!watched) {
             console.log('User closed rewarded ad without watching');
+            cancelContinue(state);
         }
     };
 
@@ -518,6 +876,65 @@ async function init() {
         setDifficulty(diff, e);
     };
 
+    window.gameSetMode = (mode, e) => {
+        setMode(mode, e);
+    };
+
+    window.gameSetZenSpeed = (level, e) => {
+        setZenSpeed(level, e);
+    };
+
+    window.gameSetSilhouette = (id, e) => {
+        setSilhouette(id, e);
+    };
+
+    window.gamePlayLevel = (index, e) => {
+        playLevel(index, e);
+    };
+
+    window.gameToggleHazards = (e) => {
+        toggleHazards(e);
+    };
+
+    window.gameSaveCustom = (e) => {
+        saveCustomDifficulty(e);
+    };
+
+    window.gameSelectCustom = (index, e) => {
+        if (e) e.stopPropagation();
+        const preset = state.customDifficulties[index];
+        if (preset) selectCustomDifficulty(preset);
+    };
+
+    window.gameShareCustom = (index, e) => {
+        if (e) e.stopPropagation();
+        const preset = state.customDifficulties[index];
+        if (preset) shareDifficultyCode(encodeCustomDifficulty(preset));
+    };
+
+    window.gameDeleteCustom = (index, e) => {
+        deleteCustomDifficulty(index, e);
+    };
+
+    window.gameImportCustomCode = (e) => {
+        importCustomDifficultyCode(e);
+    };
+
+    window.gameShowView = (view, e) => {
+        if (e) e.stopPropagation();
+        uiManager.showView(state, view);
+    };
+
+    window.gameExportProfile = (e) => {
+        if (e) e.stopPropagation();
+        downloadProfile();
+    };
+
+    window.gameImportProfile = (e) => {
+        if (e) e.stopPropagation();
+        importProfileFromFile();
+    };
+
     window.gameShare = (e) => {
         if (e) e.stopPropagation();
         shareScore(state.score);
@@ -535,6 +952,38 @@ async function init() {
         activatePowerUp(state, slotIndex);
     };
 
+    window.discardPowerUpSlot = (slotIndex) => {
+        discardPowerUp(state, slotIndex);
+    };
+
+    window.swapPowerUpSlots = (from, to) => {
+        swapPowerUps(state, from, to);
+    };
+
+    window.gameWatchReplay = (which, e) => {
+        if (e) e.stopPropagation();
+        startReplay(state, loadReplay(which));
+    };
+
+    window.gameReplayToggle = (e) => {
+        if (e) e.stopPropagation();
+        toggleReplayPause(state);
+    };
+
+    window.gameReplaySpeed = (speed, e) => {
+        if (e) e.stopPropagation();
+        setReplaySpeed(state, speed);
+    };
+
+    window.gameReplaySeek = (value) => {
+        seekReplay(state, Number(value));
+    };
+
+    window.gameReplayExit = (e) => {
+        if (e) e.stopPropagation();
+        exitReplay(state);
+    };
+
     // Show tutorial for first-time players
     setTimeout(() => {
         if (!state.hasSeenTutorial && state.status === 'START') {
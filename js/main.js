@@ -4,12 +4,26 @@
 
 import * as THREE from 'three';
 import { CONFIG } from './config.js';
-import { loadBestScores, loadTutorialSeen, persistDifficulty, persistTheme } from './storage.js';
-import { state, initializeState } from './state.js';
+import { loadBestScores, loadTutorialSeen, persistDifficulty, persistTheme, persistZenSpeed, loadReplay, importProfile } from './storage.js';
+import { persistHazardModes } from './storage.js';
+import { loadCampaign, isLevelUnlocked } from './campaign.js';
+import { persistCustomDifficulties } from './storage.js';
+import { state, initializeState, applyProfileToState } from './state.js';
 import { uiManager } from './ui.js';
-import { updatePowerUpUI, updatePowerUpTimers, activatePowerUp } from './powerups.js';
-import { updateParticles, renderParticles } from './effects.js';
-import { createTouchRipple, reconcileThemeUnlock, shareScore, closeTutorial } from './utils.js';
+import { registerGameListeners } from './listeners.js';
+import { statusMachine } from './status.js';
+import { updatePowerUpUI, activatePowerUp, discardPowerUp, swapPowerUps } from './powerups.js';
+import { updatePowerUpTimers, stepActiveBlock } from './simulation.js';
+import { syncBlockMesh } from './blocks.js';
+import { updateParticles, renderParticles, updateGrowths, updateSlides } from './effects.js';
+import { createTouchRipple, reconcileThemeUnlock, shareScore, closeTutorial, downloadProfile, pickProfileFile } from './utils.js';
+import { shareDifficultyCode } from './utils.js';
+import {
+  sanitizeCustomDifficulty,
+  upsertCustomDifficulty,
+  encodeCustomDifficulty,
+  decodeCustomDifficulty
+} from './custom-difficulty.js';
 import { adMobService } from './admob.js';
 import { 
   initEngine, 
@@ -24,15 +38,30 @@ import {
   starLayerMid,
   pointLight,
   rubbleInstances,
-  planets
+  planets,
+  updateHazardCue,
+  updateSilhouetteGhost,
+  updateLandingGhost
 } from './graphics.js';
+import * as graphics from './graphics.js';
 import { 
   startGame, 
   resumeGame, 
   pauseGame, 
   backToMenu, 
   placeBlock,
-  continueGame 
+  continueGame,
+  requestContinue,
+  cancelContinue,
+  tickCountdown,
+  syncQuakeMesh,
+  bindGraphics,
+  startReplay,
+  updateReplay,
+  seekReplay,
+  toggleReplayPause,
+  setReplaySpeed,
+  exitReplay
 } from './game.js';
 
 // Temporary Three.js objects for calculations
@@ -75,6 +104,11 @@ function animate(time) {
     updateParticles(state, dt);
     renderParticles(state, scene);
   }
+  updateGrowths(state, dt);
+  updateSlides(state, dt);
+  updateHazardCue(state);
+  updateSilhouetteGhost(state);
+  updateLandingGhost(state);
 
   // Camera behavior
   if (state.status === 'START') {
@@ -125,26 +159,35 @@ function animate(time) {
 
   // Update active block movement
   if (state.status === 'PLAYING' && state.activeBlock) {
+    // Play time only moves with the frame step, so a replay's gaps between
+    // events run its timers down exactly as far as they ran live
+    state.simTime += dt * 1000;
+
     // Update Slow-Mo power-up timer
     updatePowerUpTimers(state, dt);
 
-    // Get speed multiplier (0.5 if Slow-Mo active, 1.0 otherwise)
-    let speedMultiplier = 1;
-    if (state.activePowerUps.slowMo.active && state.activePowerUps.slowMo.duration > 0) {
-      speedMultiplier = 0.5;
-    }
+    // Move the block record, then mirror it onto its mesh
+    stepActiveBlock(state, dt);
+    syncBlockMesh(state.activeMesh, state.activeBlock);
+    syncQuakeMesh(state);
 
-    state.activeBlock.position[state.axis] += 
-      state.direction * state.speed * speedMultiplier * (dt * 60);
-    
-    if (Math.abs(state.activeBlock.position[state.axis]) > 13) {
-      state.direction *= -1;
-      state.activeBlock.position[state.axis] = 
-        13 * Math.sign(state.activeBlock.position[state.axis]);
+    pointLight.position.copy(state.activeMesh.position).y += 2.5;
+    pointLight.color.copy(state.activeMesh.material.color);
+
+    // Time Attack clock (may end the run)
+    tickCountdown(state, dt);
+    uiManager.updateCountdown(state);
+  }
+
+  // Feed the recorded timeline back into the game
+  if (state.status === 'REPLAY') {
+    updateReplay(state, dt);
+    uiManager.updateReplayProgress(state);
+
+    if (state.activeMesh) {
+      pointLight.position.copy(state.activeMesh.position).y += 2.5;
+      pointLight.color.copy(state.activeMesh.material.color);
     }
-    
-    pointLight.position.copy(state.activeBlock.position).y += 2.5;
-    pointLight.color.copy(state.activeBlock.material.color);
   }
 
   // Update rubble physics
@@ -227,7 +270,7 @@ function handleInput(e) {
   const y = e.clientY || (e.touches && e.touches[0] ? e.touches[0].clientY : window.innerHeight / 2);
   createTouchRipple(x, y);
   
-  placeBlock(state, uiManager);
+  placeBlock(state);
 }
 
 /**
@@ -254,8 +297,7 @@ async function initGameData() {
   state.selectedThemeLocked = state.bestScore < state.currentTheme.unlock;
   state.selectedThemeUnlockAt = state.currentTheme.unlock;
 
-  state.status = 'START';
-  uiManager.render(state);
+  statusMachine.transition(state, 'START');
 }
 
 /**
@@ -265,29 +307,171 @@ async function initGameData() {
  */
 function setDifficulty(diff, e) {
   if (e) e.stopPropagation();
+  state.mode = 'classic';
   state.difficulty = diff;
   persistDifficulty(diff);
   uiManager.render(state);
 }
 
+/**
+ * Set game mode
+ * @param {string} mode - Game mode ('classic', 'daily', 'timeAttack', 'zen', 'shapes', 'custom', 'campaign')
+ * @param {Event} e - Event object
+ */
+function setMode(mode, e) {
+  if (e) e.stopPropagation();
+  state.mode = mode;
+  uiManager.render(state);
+}
+
+/**
+ * Set the Zen speed cap
+ * @param {string} level - Speed level (see ZEN_RULES.speeds)
+ * @param {Event} e - Event object
+ */
+function setZenSpeed(level, e) {
+  if (e) e.stopPropagation();
+  state.zenSpeed = level;
+  persistZenSpeed(level);
+  uiManager.render(state);
+}
+
+/**
+ * Pick the silhouette puzzle to play
+ * @param {string} id - Puzzle id (see SILHOUETTES)
+ * @param {Event} e - Event object
+ */
+function setSilhouette(id, e) {
+  if (e) e.stopPropagation();
+  state.silhouette = id;
+  uiManager.render(state);
+}
+
+/**
+ * Select a campaign level and start it
+ * @param {number} index - Index in state.campaign
+ * @param {Event} e - Event object
+ */
+function playLevel(index, e) {
+  if (e) e.stopPropagation();
+  if (!isLevelUnlocked(state.campaign, state.campaignProgress, index)) return;
+  state.campaignLevel = state.campaign[index];
+  state.mode = 'campaign';
+  startGame(state);
+}
+
+/**
+ * Switch hazard floors on or off for the selected mode
+ * @param {Event} e - Event object
+ */
+function toggleHazards(e) {
+  if (e) e.stopPropagation();
+  state.hazardModes = { ...state.hazardModes, [state.mode]: !state.hazardModes[state.mode] };
+  persistHazardModes(state.hazardModes);
+  uiManager.render(state);
+}
+
+/**
+ * Save the editor's custom difficulty and play it
+ * @param {Event} e - Event object
+ */
+function saveCustomDifficulty(e) {
+  if (e) e.stopPropagation();
+  const form = uiManager.readCustomForm();
+  if (!form) return;
+  selectCustomDifficulty(sanitizeCustomDifficulty(form));
+}
+
+/**
+ * Add a custom difficulty from a share code and play it
+ * @param {Event} e - Event object
+ */
+function importCustomDifficultyCode(e) {
+  if (e) e.stopPropagation();
+  let preset;
+  try {
+    preset = decodeCustomDifficulty(uiManager.readCustomCode());
+  } catch (err) {
+    alert(`Import failed: ${err.message}`);
+    return;
+  }
+  selectCustomDifficulty(preset);
+}
+
+/**
+ * Save a custom difficulty (replacing one with the same name) and select it
+ * @param {object} preset - Sanitized preset
+ */
+function selectCustomDifficulty(preset) {
+  state.customDifficulties = upsertCustomDifficulty(state.customDifficulties, preset);
+  persistCustomDifficulties(state.customDifficulties);
+  state.customDifficulty = preset;
+  state.mode = 'custom';
+  uiManager.render(state);
+}
+
+/**
+ * Remove a saved custom difficulty
+ * @param {number} index - Index in state.customDifficulties
+ * @param {Event} e - Event object
+ */
+function deleteCustomDifficulty(index, e) {
+  if (e) e.stopPropagation();
+  const preset = state.customDifficulties[index];
+  if (!preset) return;
+  state.customDifficulties = state.customDifficulties.filter((_, i) => i !== index);
+  persistCustomDifficulties(state.customDifficulties);
+  if (state.customDifficulty && state.customDifficulty.name === preset.name) {
+    state.customDifficulty = null;
+    if (state.mode === 'custom') state.mode = 'classic';
+  }
+  uiManager.render(state);
+}
+
+/**
+ * Replace the save profile with one picked from a file and reload state
+ */
+async function importProfileFromFile() {
+  const text = await pickProfileFile();
+  if (!text) return;
+
+  try {
+    importProfile(text);
+  } catch (e) {
+    alert(`Import failed: ${e.message}`);
+    return;
+  }
+
+  applyProfileToState();
+  reconcileThemeUnlock(state);
+  state.selectedThemeLocked = state.bestScore < state.currentTheme.unlock;
+  state.selectedThemeUnlockAt = state.currentTheme.unlock;
+
+  graphics.updateThemeVisuals(state);
+  uiManager.render(state);
+  alert('Profile imported!');
+}
+
 /**
  * Main initialization
  */
 async function init() {
   const progressEl = document.getElementById('loading-progress');
   
-  // Load initial state
-  const { bestScore, bestStreak } = loadBestScores();
-  const isMuted = localStorage.getItem('isMuted') === 'true';
-  initializeState(bestScore, bestStreak, isMuted);
+  // Pick the storage backend and load initial state
+  await initializeState();
+  state.campaign = await loadCampaign();
+  state.showDropOdds = new URLSearchParams(window.location.search).has('odds');
   
   if (progressEl) progressEl.style.width = '20%';
   
   // Initialize UI
   uiManager.init();
+  registerGameListeners(uiManager);
   if (progressEl) progressEl.style.width = '50%';
   
   // Initialize Three.js engine
+  bindGraphics(graphics);
   initEngine(state);
   if (progressEl) progressEl.style.width = '75%';
   
@@ -319,40 +503,42 @@ async function init() {
   // Expose global functions for onclick handlers
   window.gameStartNew = (e) => {
     if (e) e.stopPropagation();
-    startGame(state, uiManager);
+    startGame(state);
   };
 
   window.gameResume = (e) => {
     if (e) e.stopPropagation();
-    resumeGame(state, uiManager);
+    resumeGame(state);
   };
 
   window.gamePause = (e) => {
     if (e) e.stopPropagation();
-    pauseGame(state, uiManager);
+    pauseGame(state);
   };
 
   window.gameBackToMenu = (e) => {
     if (e) e.stopPropagation();
-    backToMenu(state, uiManager);
+    backToMenu(state);
   };
 
   window.gameRestart = (e) => {
     if (e) e.stopPropagation();
-    startGame(state, uiManager);
+    startGame(state);
   };
 
   window.gameContinueWithAd = async (e) => {
     if (e) e.stopPropagation();
-    
+    if (!requestContinue(state)) return;
+
     // Show rewarded ad and continue if user watches it
     const watched = await adMobService.showRewarded(() => {
-      continueGame(state, uiManager);
+      continueGame(state);
     });
-    
-    // If user didn't watch the ad (closed early), don't continue
+
+    // If user didn't watch the ad (closed early), back to the game over screen
     if (!watched) {
       console.log('User closed rewarded ad without watching');
+      cancelContinue(state);
     }
   };
 
@@ -360,6 +546,65 @@ async function init() {
     setDifficulty(diff, e);
   };
 
+  window.gameSetMode = (mode, e) => {
+    setMode(mode, e);
+  };
+
+  window.gameSetZenSpeed = (level, e) => {
+    setZenSpeed(level, e);
+  };
+
+  window.gameSetSilhouette = (id, e) => {
+    setSilhouette(id, e);
+  };
+
+  window.gamePlayLevel = (index, e) => {
+    playLevel(index, e);
+  };
+
+  window.gameToggleHazards = (e) => {
+    toggleHazards(e);
+  };
+
+  window.gameSaveCustom = (e) => {
+    saveCustomDifficulty(e);
+  };
+
+  window.gameSelectCustom = (index, e) => {
+    if (e) e.stopPropagation();
+    const preset = state.customDifficulties[index];
+    if (preset) selectCustomDifficulty(preset);
+  };
+
+  window.gameShareCustom = (index, e) => {
+    if (e) e.stopPropagation();
+    const preset = state.customDifficulties[index];
+    if (preset) shareDifficultyCode(encodeCustomDifficulty(preset));
+  };
+
+  window.gameDeleteCustom = (index, e) => {
+    deleteCustomDifficulty(index, e);
+  };
+
+  window.gameImportCustomCode = (e) => {
+    importCustomDifficultyCode(e);
+  };
+
+  window.gameShowView = (view, e) => {
+    if (e) e.stopPropagation();
+    uiManager.showView(state, view);
+  };
+
+  window.gameExportProfile = (e) => {
+    if (e) e.stopPropagation();
+    downloadProfile();
+  };
+
+  window.gameImportProfile = (e) => {
+    if (e) e.stopPropagation();
+    importProfileFromFile();
+  };
+
   window.gameShare = (e) => {
     if (e) e.stopPropagation();
     shareScore(state.score);
@@ -377,6 +622,38 @@ async function init() {
     activatePowerUp(state, slotIndex);
   };
 
+  window.discardPowerUpSlot = (slotIndex) => {
+    discardPowerUp(state, slotIndex);
+  };
+
+  window.swapPowerUpSlots = (from, to) => {
+    swapPowerUps(state, from, to);
+  };
+
+  window.gameWatchReplay = (which, e) => {
+    if (e) e.stopPropagation();
+    startReplay(state, loadReplay(which));
+  };
+
+  window.gameReplayToggle = (e) => {
+    if (e) e.stopPropagation();
+    toggleReplayPause(state);
+  };
+
+  window.gameReplaySpeed = (speed, e) => {
+    if (e) e.stopPropagation();
+    setReplaySpeed(state, speed);
+  };
+
+  window.gameReplaySeek = (value) => {
+    seekReplay(state, Number(value));
+  };
+
+  window.gameReplayExit = (e) => {
+    if (e) e.stopPropagation();
+    exitReplay(state);
+  };
+
   // Show tutorial for first-time players
   setTimeout(() => {
     if (!state.hasSeenTutorial && state.status === 'START') {
@@ -0,0 +1,172 @@
+/**
+ * Movement Patterns - How the active block travels until it's dropped
+ *
+ * A rules `movement` schedule (see DIFFICULTIES in config.js) picks the
+ * pattern for each floor; rules without one always ping-pong. Patterns are
+ * stepped by `travel`, the distance a ping-pong block would cover this
+ * frame, so speed profiles and Slow-Mo apply to all of them alike.
+ *
+ * Patterns never draw from state.rng: replays don't step the active block,
+ * so doing so would shift every later spawn out of sync.
+ */
+
+import { CONFIG } from './config.js';
+
+const QUARTER_TURN = Math.PI / 2;
+
+// Move along the axis, turning around at the bounce bound
+function pingPong(state, block, travel, bounce) {
+  const axis = state.axis;
+  block[axis] += state.direction * travel;
+  if (Math.abs(block[axis]) > bounce) {
+    state.direction *= -1;
+    block[axis] = bounce * Math.sign(block[axis]);
+  }
+}
+
+// Where the block is in its current sweep, 0 at the edge it left to 1 at the far one
+function sweepProgress(state, block, bounce) {
+  return Math.min(1, Math.max(0, (block[state.axis] * state.direction + bounce) / (2 * bounce)));
+}
+
+/**
+ * Pattern table: init(state, block, bounce) sets up a freshly spawned block,
+ * step(state, block, travel, bounce) moves it
+ */
+export const MOVEMENT_PATTERNS = {
+  pingPong: {
+    step: pingPong
+  },
+
+  // Swings like a pendulum: slow at the edges, fast through the middle.
+  // The phase advances so a full swing takes as long as a ping-pong lap
+  sine: {
+    init(state, block, bounce) {
+      block.phase = Math.asin(Math.max(-1, Math.min(1, block[state.axis] / bounce)));
+      // Head the same way a ping-pong block would
+      if (state.direction < 0) block.phase = Math.PI - block.phase;
+    },
+    step(state, block, travel, bounce) {
+      block.phase += travel * Math.PI / (2 * bounce);
+      block[state.axis] = bounce * Math.sin(block.phase);
+      state.direction = Math.cos(block.phase) >= 0 ? 1 : -1;
+    }
+  },
+
+  // Each sweep starts slow and finishes fast (same average speed)
+  accelerate: {
+    step(state, block, travel, bounce) {
+      pingPong(state, block, travel * (0.4 + 1.2 * sweepProgress(state, block, bounce)), bounce);
+    }
+  },
+
+  // Each sweep starts fast and finishes slow
+  decelerate: {
+    step(state, block, travel, bounce) {
+      pingPong(state, block, travel * (1.6 - 1.2 * sweepProgress(state, block, bounce)), bounce);
+    }
+  },
+
+  // Also drifts along the other axis, crossing the stack's center at the
+  // same moment, so both axes can be cut
+  diagonal: {
+    step(state, block, travel, bounce) {
+      const prev = state.stack[state.stack.length - 1];
+      const other = state.axis === 'x' ? 'z' : 'x';
+      pingPong(state, block, travel, bounce);
+      block[other] = prev[other] + (block[state.axis] - prev[state.axis]) * CONFIG.DIAGONAL_SLOPE;
+    }
+  },
+
+  // Every so often jumps to the mirror point across the stack, keeping its heading
+  blink: {
+    init(state, block) {
+      block.blinkTravel = 0;
+    },
+    step(state, block, travel, bounce) {
+      pingPong(state, block, travel, bounce);
+      block.blinkTravel += travel;
+      if (block.blinkTravel < CONFIG.BLINK_DISTANCE) return;
+
+      const prev = state.stack[state.stack.length - 1];
+      const axis = state.axis;
+      block.blinkTravel = 0;
+      block[axis] = Math.max(-bounce, Math.min(bounce, 2 * prev[axis] - block[axis]));
+    }
+  },
+
+  // Spins while it moves; anything not lined up with the stack is trimmed on
+  // the drop (see getMisalignment)
+  rotate: {
+    init(state, block) {
+      block.angle = QUARTER_TURN / 2;
+    },
+    step(state, block, travel, bounce) {
+      pingPong(state, block, travel, bounce);
+      block.angle = (block.angle + travel * CONFIG.ROTATE_RATE) % (2 * Math.PI);
+    }
+  }
+};
+
+/**
+ * Pick the movement pattern for a floor from the rules' schedule
+ * @param {object} rules - Difficulty or mode rules
+ * @param {number} floor - Placed block count
+ * @returns {string} - MOVEMENT_PATTERNS key
+ */
+export function getMovementPattern(rules, floor) {
+  const schedule = rules.movement;
+  if (!schedule) return 'pingPong';
+
+  let stage = null;
+  schedule.forEach((entry) => {
+    if (floor >= entry.from) stage = entry;
+  });
+  if (!stage) return 'pingPong';
+  return stage.patterns[(floor - stage.from) % stage.patterns.length];
+}
+
+/**
+ * Give a freshly spawned block its pattern
+ * @param {object} state - Simulation state
+ * @param {object} block - Active block record
+ * @param {object} rules - Difficulty or mode rules
+ * @param {number} bounce - Bounce bound
+ */
+export function initBlockMovement(state, block, rules, bounce) {
+  block.pattern = getMovementPattern(rules, state.stack.length - 1);
+  const pattern = MOVEMENT_PATTERNS[block.pattern];
+  if (pattern.init) pattern.init(state, block, bounce);
+}
+
+/**
+ * Move the active block by one frame's travel
+ * @param {object} state - Simulation state
+ * @param {object} block - Active block record
+ * @param {number} travel - Distance a ping-pong block would cover
+ * @param {number} bounce - Bounce bound
+ */
+export function stepBlockMovement(state, block, travel, bounce) {
+  const pattern = MOVEMENT_PATTERNS[block.pattern] || MOVEMENT_PATTERNS.pingPong;
+  pattern.step(state, block, travel, bounce);
+}
+
+/**
+ * How far a block is turned from lining up with the stack
+ * @param {object} block - Block record
+ * @returns {number} - Angle in radians, from 0 to an eighth of a turn
+ */
+export function getMisalignment(block) {
+  if (!block.angle) return 0;
+  const turned = ((block.angle % QUARTER_TURN) + QUARTER_TURN) % QUARTER_TURN;
+  return Math.min(turned, QUARTER_TURN - turned);
+}
+
+/**
+ * Scale that keeps the axis-aligned part of a footprint turned by `angle`
+ * @param {number} angle - Misalignment in radians
+ * @returns {number} - Multiplier for width and depth
+ */
+export function getMisalignedScale(angle) {
+  return 1 / (Math.cos(angle) + Math.sin(angle));
+}
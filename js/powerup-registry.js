@@ -0,0 +1,373 @@
+/**
+ * Power-Up Registry - Every power-up's data and gameplay hooks in one table
+ *
+ * An entry declares:
+ * - icon, name, tone: how the HUD shows it and the note played when it's used
+ * - model: what runs out once it's used - 'duration' (seconds), 'floors'
+ *   (blocks placed), 'uses' (spent each time onMiss catches a miss) or
+ *   'instant' (applies once, nothing keeps running); amount is how much of
+ *   it a fresh activation starts with
+ * - stacking: what using it again while it runs does - 'extend' adds the
+ *   amount to what's left (more seconds, floors or uses), 'refresh' tops it
+ *   back up to a fresh amount and 'replace' (the default) starts it over;
+ *   maxStack caps how much can be banked by extending
+ * - weight: relative odds of being awarded, unless a drop table sets them
+ *   (see drops.js)
+ * - speed: multiplier on the active block's travel while it runs
+ * - tolerance: offset that still snaps to perfect while it runs
+ * - points: multiplier on the score each landing adds while it runs
+ * - preview: whether the landing preview is drawn while it runs
+ * - hooks, all optional:
+ *   onActivate(state) when used, onSpawn(state, block) for each new block,
+ *   onPlace(state, outcome) after each landing, onMiss(state, outcome) on a
+ *   complete miss (return true to catch it), onTick(state, dt) every frame
+ *   and onExpire(state) when it runs out
+ * - drop hooks, given the drop context ({ widthRatio, running, held,
+ *   recentMisses }, see getDropContext): odds(context) scales the award
+ *   weight, useful(context) says whether the award would help right now
+ *
+ * Hooks run inside the simulation, so like the rest of it they stay away
+ * from Three.js and the DOM and only draw randomness from state.rng.
+ * POWERUP_COMBOS adds effects for pairs that run at the same time, folded
+ * into the same speed, tolerance and points modifiers.
+ *
+ * Adding a power-up takes one entry here: awards, the HUD inventory, stats
+ * and campaign files all read the table. Every mode can award it unless its
+ * rules leave it out with `excludePowerUps` (or list their own `powerUps`,
+ * as campaign levels do).
+ */
+
+import { scaleFootprint, rectFootprint } from './geometry.js';
+
+const SUPER_SIZE_SCALE = 1.3;
+const MAGNET_TOLERANCE = 0.6;
+
+// Resize a block to the run's foundation size
+function resetBlockSize(block, { width, depth }) {
+  block.width = block.baseWidth = width;
+  block.depth = block.baseDepth = depth;
+  if (block.footprint) block.footprint = rectFootprint(width, depth);
+}
+
+export const POWERUPS = {
+  slowMo: {
+    icon: '⏱️',
+    name: 'Slow-Mo',
+    tone: 880,
+    model: 'duration',
+    amount: 10,
+    stacking: 'extend',
+    maxStack: 20,
+    weight: 1,
+    speed: 0.5,
+    odds: c => (c.running.includes('slowMo') ? 0.2 : 1 + c.recentMisses * 0.25),
+    useful: c => c.recentMisses > 0 && !c.running.includes('slowMo')
+  },
+
+  safetyNet: {
+    icon: '🛡️',
+    name: 'Safety',
+    tone: 1046,
+    model: 'uses',
+    amount: 1,
+    stacking: 'extend',
+    maxStack: 3,
+    weight: 1,
+    onMiss: () => true,
+    // A second net only banks another use, so it's worth less while one's up
+    odds: c => (c.running.includes('safetyNet') ? 0.3 : 1 + c.recentMisses * 0.5 + (c.widthRatio < 0.4 ? 1 : 0)),
+    useful: c => !c.running.includes('safetyNet')
+  },
+
+  // Widens new blocks; the stored base stays untouched, so the extra width
+  // only survives where the block lands on the stack
+  superSize: {
+    icon: '📏',
+    name: 'Wide',
+    tone: 1318,
+    model: 'floors',
+    amount: 2,
+    stacking: 'extend',
+    maxStack: 4,
+    weight: 1,
+    odds: c => (c.widthRatio > 0.9 ? 0.3 : 2 - c.widthRatio),
+    useful: c => c.widthRatio < 0.75,
+    onSpawn(state, block) {
+      block.width *= SUPER_SIZE_SCALE;
+      block.depth *= SUPER_SIZE_SCALE;
+      if (block.footprint) block.footprint = scaleFootprint(block.footprint, SUPER_SIZE_SCALE);
+    }
+  },
+
+  resetSize: {
+    icon: '🔄',
+    name: 'Reset Size',
+    tone: 523,
+    model: 'instant',
+    weight: 1,
+    // Nothing to reset while the tower is still (nearly) full width
+    odds: c => (c.widthRatio > 0.9 ? 0 : 1 + (1 - c.widthRatio) * 3),
+    useful: c => c.widthRatio < 0.5,
+    onActivate(state) {
+      // Restore the top of the stack to the foundation's size, recentered on it
+      const last = state.stack[state.stack.length - 1];
+      if (!last) return;
+      last.x = 0;
+      last.z = 0;
+      resetBlockSize(last, state.startSize);
+
+      // Also reset the moving block, keeping it on its axis
+      const active = state.activeBlock;
+      if (active) {
+        resetBlockSize(active, state.startSize);
+        active[state.axis === 'x' ? 'z' : 'x'] = 0;
+      }
+    }
+  },
+
+  // Pulls the next drop onto the stack if it lands close enough
+  magnet: {
+    icon: '🧲',
+    name: 'Magnet',
+    tone: 1175,
+    model: 'floors',
+    amount: 1,
+    stacking: 'extend',
+    maxStack: 3,
+    weight: 1,
+    tolerance: MAGNET_TOLERANCE,
+    odds: c => (c.recentMisses > 0 ? 1.5 : 1),
+    useful: c => c.recentMisses > 0
+  },
+
+  freeze: {
+    icon: '🧊',
+    name: 'Freeze',
+    tone: 659,
+    model: 'duration',
+    amount: 3,
+    // A second freeze only restarts the clock, so the block can't be held forever
+    stacking: 'refresh',
+    weight: 1,
+    speed: 0,
+    useful: c => c.recentMisses > 0
+  },
+
+  ghostPreview: {
+    icon: '👻',
+    name: 'Ghost',
+    tone: 988,
+    model: 'floors',
+    amount: 5,
+    stacking: 'extend',
+    maxStack: 10,
+    weight: 1,
+    preview: true,
+    odds: c => (c.running.includes('ghostPreview') ? 0.2 : 1),
+    useful: c => c.recentMisses > 0 && !c.running.includes('ghostPreview')
+  },
+
+  doublePoints: {
+    icon: '💰',
+    name: 'Double',
+    tone: 1397,
+    model: 'floors',
+    amount: 5,
+    stacking: 'extend',
+    maxStack: 10,
+    weight: 1,
+    points: 2,
+    odds: c => (c.running.includes('doublePoints') ? 0.3 : 1)
+  }
+};
+
+export const POWERUP_TYPES = Object.keys(POWERUPS);
+
+// Pairs that do more together: while every type in `types` runs, the combo's
+// speed, tolerance and points apply on top of theirs
+export const POWERUP_COMBOS = {
+  bullseye: {
+    icon: '🎯',
+    name: 'Bullseye',
+    types: ['magnet', 'ghostPreview'],
+    tolerance: 1
+  },
+
+  jackpot: {
+    icon: '🎰',
+    name: 'Jackpot',
+    types: ['doublePoints', 'superSize'],
+    points: 1.5
+  },
+
+  focus: {
+    icon: '🔭',
+    name: 'Focus',
+    types: ['slowMo', 'ghostPreview'],
+    speed: 0.7
+  }
+};
+
+/**
+ * Create an empty active power-up table
+ * @returns {object} - { [type]: { active, remaining } } for every power-up that keeps running
+ */
+export function createActivePowerUps() {
+  return Object.fromEntries(POWERUP_TYPES
+    .filter(type => POWERUPS[type].model !== 'instant')
+    .map(type => [type, { active: false, remaining: 0 }]));
+}
+
+/**
+ * Power-ups a run's rules can award
+ * @param {object} rules - Rules from getRules
+ * @returns {Array<string>} - Types, in registry order unless the rules list their own
+ */
+export function getPowerUpPool(rules) {
+  const excluded = rules.excludePowerUps || [];
+  return (rules.powerUps || POWERUP_TYPES).filter(type => POWERUPS[type] && !excluded.includes(type));
+}
+
+// Power-ups currently running, in registry order
+function getRunning(state) {
+  return POWERUP_TYPES.filter(type => state.activePowerUps[type] && state.activePowerUps[type].active);
+}
+
+// Spend some of a running power-up, expiring it when nothing is left
+function consume(state, type, amount) {
+  const running = state.activePowerUps[type];
+  running.remaining -= amount;
+  if (running.remaining > 0) return;
+
+  running.active = false;
+  running.remaining = 0;
+  if (POWERUPS[type].onExpire) POWERUPS[type].onExpire(state);
+}
+
+// What's left after using a power-up again while it still runs
+function stackAmount(entry, remaining, amount) {
+  if (entry.stacking === 'extend') return Math.min(remaining + amount, entry.maxStack ?? Infinity);
+  if (entry.stacking === 'refresh') return Math.max(remaining, amount);
+  return amount;
+}
+
+/**
+ * Start a power-up's effect, stacking onto it if it's already running
+ * @param {object} state - Simulation state
+ * @param {string} type - Power-up type
+ * @param {number} [amount] - Seconds, floors or uses it adds (defaults to the entry's)
+ */
+export function applyPowerUp(state, type, amount = POWERUPS[type].amount) {
+  const entry = POWERUPS[type];
+  if (entry.model !== 'instant') {
+    const running = state.activePowerUps[type];
+    const remaining = running && running.active ? stackAmount(entry, running.remaining, amount) : amount;
+    state.activePowerUps[type] = { active: true, remaining };
+  }
+  if (entry.onActivate) entry.onActivate(state);
+}
+
+/**
+ * Combos whose power-ups are all running
+ * @param {object} state - Simulation state
+ * @returns {Array<string>} - Combo ids, in POWERUP_COMBOS order
+ */
+export function getActiveCombos(state) {
+  const running = getRunning(state);
+  return Object.keys(POWERUP_COMBOS).filter(id => POWERUP_COMBOS[id].types.every(type => running.includes(type)));
+}
+
+// Registry entries and combos whose modifiers apply right now
+function getModifiers(state) {
+  return [
+    ...getRunning(state).map(type => POWERUPS[type]),
+    ...getActiveCombos(state).map(id => POWERUP_COMBOS[id])
+  ];
+}
+
+/**
+ * Combined speed multiplier of the running power-ups and combos
+ * @param {object} state - Simulation state
+ * @returns {number}
+ */
+export function getPowerUpSpeed(state) {
+  return getModifiers(state).reduce((mult, m) => mult * (m.speed ?? 1), 1);
+}
+
+/**
+ * Widest perfect snap the running power-ups and combos give
+ * @param {object} state - Simulation state
+ * @returns {number} - 0 when none widens it
+ */
+export function getPowerUpTolerance(state) {
+  return Math.max(0, ...getModifiers(state).map(m => m.tolerance || 0));
+}
+
+/**
+ * Combined score multiplier of the running power-ups and combos
+ * @param {object} state - Simulation state
+ * @returns {number}
+ */
+export function getPowerUpPoints(state) {
+  return getModifiers(state).reduce((mult, m) => mult * (m.points ?? 1), 1);
+}
+
+/**
+ * Whether a running power-up shows where the block will land
+ * @param {object} state - Simulation state
+ * @returns {boolean}
+ */
+export function isPreviewing(state) {
+  return getRunning(state).some(type => POWERUPS[type].preview);
+}
+
+/**
+ * Run the frame's onTick hooks and run down timed power-ups
+ * @param {object} state - Simulation state
+ * @param {number} dt - Delta time in seconds
+ */
+export function tickPowerUps(state, dt) {
+  getRunning(state).forEach((type) => {
+    const entry = POWERUPS[type];
+    if (entry.onTick) entry.onTick(state, dt);
+    if (entry.model === 'duration') consume(state, type, dt);
+  });
+}
+
+/**
+ * Let running power-ups adjust a freshly spawned block
+ * @param {object} state - Simulation state
+ * @param {object} block - New active block record
+ */
+export function spawnWithPowerUps(state, block) {
+  getRunning(state).forEach((type) => {
+    if (POWERUPS[type].onSpawn) POWERUPS[type].onSpawn(state, block);
+  });
+}
+
+/**
+ * Run the onPlace hooks after a landing and count down floor-based power-ups
+ * @param {object} state - Simulation state
+ * @param {object} outcome - Placement outcome
+ */
+export function placeWithPowerUps(state, outcome) {
+  getRunning(state).forEach((type) => {
+    const entry = POWERUPS[type];
+    if (entry.onPlace) entry.onPlace(state, outcome);
+    if (entry.model === 'floors') consume(state, type, 1);
+  });
+}
+
+/**
+ * Offer a complete miss to the running power-ups
+ * @param {object} state - Simulation state
+ * @param {object} outcome - Miss details ({ overlap, size, offset })
+ * @returns {string|null} - Power-up that caught it (spending a use), or null
+ */
+export function catchMiss(state, outcome) {
+  const type = getRunning(state).find(t => POWERUPS[t].onMiss && POWERUPS[t].onMiss(state, outcome));
+  if (!type) return null;
+
+  if (POWERUPS[type].model === 'uses') consume(state, type, 1);
+  return type;
+}
@@ -2,17 +2,12 @@
  * Power-Up System
  */
 
-import * as THREE from 'three';
 import { audioService } from './audio.js';
-import { createGlassMaterial } from './graphics.js';
-import { CONFIG } from './config.js';
-
-const POWERUP_INFO = {
-  slowMo: { icon: '⏱️', name: 'Slow-Mo' },
-  safetyNet: { icon: '🛡️', name: 'Safety' },
-  superSize: { icon: '📏', name: 'Wide' },
-  resetSize: { icon: '🔄', name: 'Reset Size' }
-};
+import { usePowerUpSlot, discardPowerUpSlot, swapPowerUpSlots } from './simulation.js';
+import { POWERUPS, POWERUP_COMBOS, getActiveCombos } from './powerup-registry.js';
+import { recordEvent } from './replay.js';
+import { syncBlockMesh } from './blocks.js';
+import { gameEvents } from './events.js';
 
 /**
  * Activate a power-up from inventory
@@ -21,84 +16,173 @@ const POWERUP_INFO = {
  */
 export function activatePowerUp(state, slotIndex) {
   if (state.status !== 'PLAYING') return;
-  
-  const powerUpType = state.powerUps[slotIndex];
-  if (!powerUpType) return; // Empty slot
-
-  // Activate the power-up
-  switch (powerUpType) {
-    case 'slowMo':
-      state.activePowerUps.slowMo = { active: true, duration: 10 };
-      audioService.playTone(880, state.isMuted);
-      break;
-    case 'safetyNet':
-      state.activePowerUps.safetyNet = { active: true, uses: 1 };
-      audioService.playTone(1046, state.isMuted);
-      break;
-    case 'superSize':
-      state.activePowerUps.superSize = { active: true, count: 2 };
-      audioService.playTone(1318, state.isMuted);
-      break;
-    case 'resetSize':
-      // Reset the last placed block to original base size immediately
-      if (state.stack.length > 0) {
-        const lastBlock = state.stack[state.stack.length - 1];
-        
-        // Dispose old geometry and material
-        lastBlock.geometry.dispose();
-        lastBlock.material.dispose();
-        
-        // Create new full-size geometry and fresh material with same color
-        const blockColor = new THREE.Color(state.currentTheme.colors[(state.stack.length - 1) % state.currentTheme.colors.length]);
-        lastBlock.geometry = new THREE.BoxGeometry(
-          CONFIG.INITIAL_SIZE,
-          CONFIG.BLOCK_HEIGHT,
-          CONFIG.INITIAL_SIZE
-        );
-        lastBlock.material = createGlassMaterial(blockColor);
-        
-        // Recenter the block to the foundation center (0, 0)
-        // This ensures perfect placement zone is restored
-        lastBlock.position.x = 0;
-        lastBlock.position.z = 0;
-        // Y position stays the same - it's already correct from when block was placed
-        
-        // Update stored base size for next spawn
-        lastBlock.userData.baseWidth = CONFIG.INITIAL_SIZE;
-        lastBlock.userData.baseDepth = CONFIG.INITIAL_SIZE;
-        
-        // Also reset the active (currently moving) block if it exists
-        if (state.activeBlock) {
-          state.activeBlock.geometry.dispose();
-          state.activeBlock.geometry = new THREE.BoxGeometry(
-            CONFIG.INITIAL_SIZE,
-            CONFIG.BLOCK_HEIGHT,
-            CONFIG.INITIAL_SIZE
-          );
-          state.activeBlock.userData = {
-            baseWidth: CONFIG.INITIAL_SIZE,
-            baseDepth: CONFIG.INITIAL_SIZE
-          };
-          
-          // Align active block with the reset block's new center position
-          // Keep the active block on its axis (x or z) but align the other axis to 0
-          if (state.axis === 'x') {
-            state.activeBlock.position.z = 0; // Align Z to center
-            // X stays as is (it's moving on X axis)
-          } else {
-            state.activeBlock.position.x = 0; // Align X to center
-            // Z stays as is (it's moving on Z axis)
-          }
-        }
-        
-        audioService.playTone(523, state.isMuted); // C note for reset
-      }
-      break;
+  if (!state.powerUps[slotIndex]) return; // Empty slot
+
+  recordEvent(state, { type: 'powerup', slot: slotIndex });
+  triggerPowerUp(state, slotIndex);
+}
+
+/**
+ * Use a power-up slot and announce it (also used by replay playback)
+ * @param {object} state - Game state object
+ * @param {number} slotIndex - Inventory slot index (0-2)
+ */
+export function triggerPowerUp(state, slotIndex) {
+  // Top block width before the power-up changes it
+  const top = state.stack[state.stack.length - 1];
+  const width = top ? Math.min(top.width, top.depth) : undefined;
+
+  const combos = getActiveCombos(state);
+
+  // Activate the power-up and remove it from inventory
+  const powerUpType = usePowerUpSlot(state, slotIndex);
+  if (!powerUpType) return;
+
+  // Redraw the top block and the moving block in case the power-up resized them
+  syncBlockMesh(state.stackMeshes[state.stackMeshes.length - 1], state.stack[state.stack.length - 1]);
+  syncBlockMesh(state.activeMesh, state.activeBlock);
+
+  gameEvents.emit('powerup:activated', { state, type: powerUpType, slot: slotIndex, width });
+
+  getActiveCombos(state)
+    .filter(combo => !combos.includes(combo))
+    .forEach(combo => gameEvents.emit('powerup:combo', { state, combo }));
+}
+
+/**
+ * Throw away a power-up from inventory
+ * @param {object} state - Game state object
+ * @param {number} slotIndex - Inventory slot index (0-2)
+ */
+export function discardPowerUp(state, slotIndex) {
+  if (state.status !== 'PLAYING') return;
+  if (!state.powerUps[slotIndex]) return;
+
+  recordEvent(state, { type: 'discard', slot: slotIndex });
+  triggerDiscard(state, slotIndex);
+}
+
+/**
+ * Empty an inventory slot and announce it (also used by replay playback)
+ * @param {object} state - Game state object
+ * @param {number} slotIndex - Inventory slot index (0-2)
+ */
+export function triggerDiscard(state, slotIndex) {
+  const powerUpType = discardPowerUpSlot(state, slotIndex);
+  if (powerUpType) gameEvents.emit('powerup:discarded', { state, type: powerUpType, slot: slotIndex });
+}
+
+/**
+ * Swap two inventory slots
+ * @param {object} state - Game state object
+ * @param {number} from - Inventory slot index (0-2)
+ * @param {number} to - Inventory slot index (0-2)
+ */
+export function swapPowerUps(state, from, to) {
+  if (state.status !== 'PLAYING') return;
+  if (from === to || (!state.powerUps[from] && !state.powerUps[to])) return;
+
+  recordEvent(state, { type: 'swap', from, to });
+  triggerSwap(state, from, to);
+}
+
+/**
+ * Swap two inventory slots and announce it (also used by replay playback)
+ * @param {object} state - Game state object
+ * @param {number} from - Inventory slot index (0-2)
+ * @param {number} to - Inventory slot index (0-2)
+ */
+export function triggerSwap(state, from, to) {
+  if (swapPowerUpSlots(state, from, to)) gameEvents.emit('powerup:swapped', { state, from, to });
+}
+
+/**
+ * Play the activation tone for a power-up
+ * @param {object} state - Game state object
+ * @param {string} powerUpType - Type of power-up activated
+ */
+export function playPowerUpTone(state, powerUpType) {
+  const entry = POWERUPS[powerUpType];
+  if (entry) audioService.playTone(entry.tone, state.isMuted);
+}
+
+/**
+ * Show or hide the power-up inventory (shown only while playing)
+ * @param {boolean} visible - Whether to show it
+ */
+export function setInventoryVisible(visible) {
+  const inventory = document.querySelector('.powerup-inventory');
+  if (inventory) inventory.style.display = visible ? 'flex' : 'none';
+}
+
+// Drag a slot onto another to swap them, through the page's window handlers
+function bindSlotDrag(slot, slotIndex) {
+  if (slot.dataset.dragBound) return;
+  slot.dataset.dragBound = 'true';
+
+  slot.addEventListener('dragstart', (e) => {
+    e.dataTransfer.setData('text/plain', String(slotIndex));
+  });
+  slot.addEventListener('dragover', e => e.preventDefault());
+  slot.addEventListener('drop', (e) => {
+    e.preventDefault();
+    const from = Number(e.dataTransfer.getData('text/plain'));
+    if (window.swapPowerUpSlots) window.swapPowerUpSlots(from, slotIndex);
+  });
+}
+
+// Small ✕ in the slot's corner that discards it
+function getDiscardButton(slot, slotIndex) {
+  let button = slot.querySelector('.powerup-discard');
+  if (!button) {
+    button = document.createElement('button');
+    button.className = 'powerup-discard';
+    button.textContent = '✕';
+    button.title = 'Discard';
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (window.discardPowerUpSlot) window.discardPowerUpSlot(slotIndex);
+    });
+    slot.appendChild(button);
   }
+  return button;
+}
 
-  // Remove from inventory
-  state.powerUps[slotIndex] = null;
-  updatePowerUpUI(state);
+// Awards waiting for a free slot, shown after the slots
+function updateQueueUI(state) {
+  const inventory = document.querySelector('.powerup-inventory');
+  if (!inventory) return;
+
+  let queue = inventory.querySelector('.powerup-queue');
+  if (!queue) {
+    queue = document.createElement('div');
+    queue.className = 'powerup-queue';
+    queue.title = 'Queued - moves into the next free slot';
+    inventory.appendChild(queue);
+  }
+
+  const queued = state.powerUpQueue || [];
+  queue.style.display = queued.length ? 'flex' : 'none';
+  queue.innerHTML = queued.map(type => `<span>${POWERUPS[type] ? POWERUPS[type].icon : ''}</span>`).join('');
+}
+
+// Badges for the combos running right now
+function updateComboUI(state) {
+  const inventory = document.querySelector('.powerup-inventory');
+  if (!inventory) return;
+
+  let badges = inventory.querySelector('.powerup-combos');
+  if (!badges) {
+    badges = document.createElement('div');
+    badges.className = 'powerup-combos';
+    inventory.appendChild(badges);
+  }
+
+  const combos = getActiveCombos(state);
+  badges.style.display = combos.length ? 'flex' : 'none';
+  badges.innerHTML = combos
+    .map(id => `<span title="${POWERUP_COMBOS[id].name}">${POWERUP_COMBOS[id].icon}</span>`)
+    .join('');
 }
 
 /**
@@ -107,13 +191,6 @@ export function activatePowerUp(state, slotIndex) {
  */
 export function updatePowerUpUI(state) {
   if (!state) return;
-  
-  // Show/hide inventory based on game state
-  const inventory = document.querySelector('.powerup-inventory');
-  if (inventory) {
-    // Only show during PLAYING, hide for START, PAUSED, GAMEOVER
-    inventory.style.display = (state.status === 'PLAYING') ? 'flex' : 'none';
-  }
 
   // Update each slot
   for (let i = 0; i < 3; i++) {
@@ -121,21 +198,25 @@ export function updatePowerUpUI(state) {
     const iconEl = document.getElementById(`powerup-icon-${i}`);
     if (!slot || !iconEl) continue;
 
+    bindSlotDrag(slot, i);
+    slot.draggable = !!state.powerUps[i];
+    getDiscardButton(slot, i).style.display = state.powerUps[i] ? 'block' : 'none';
+
     const powerUpType = state.powerUps[i];
 
     if (powerUpType) {
       slot.classList.remove('empty');
       slot.classList.add('filled');
       
-      // Update icon from POWERUP_INFO
-      if (POWERUP_INFO[powerUpType]) {
-        iconEl.textContent = POWERUP_INFO[powerUpType].icon;
-        iconEl.title = POWERUP_INFO[powerUpType].name;
+      // Update icon from the registry
+      if (POWERUPS[powerUpType]) {
+        iconEl.textContent = POWERUPS[powerUpType].icon;
+        iconEl.title = POWERUPS[powerUpType].name;
       }
       
       // Check if this type is currently active
-      const isActive = state.activePowerUps[powerUpType]?.active;
-      if (isActive) {
+      const running = state.activePowerUps[powerUpType];
+      if (running && running.active) {
         slot.classList.add('active');
         
         // Show active indicator
@@ -146,15 +227,8 @@ export function updatePowerUpUI(state) {
           slot.appendChild(indicator);
         }
         
-        // Update counter based on type
-        const activeData = state.activePowerUps[powerUpType];
-        if (powerUpType === 'slowMo') {
-          indicator.textContent = Math.ceil(activeData.duration);
-        } else if (powerUpType === 'safetyNet') {
-          indicator.textContent = activeData.uses;
-        } else if (powerUpType === 'superSize') {
-          indicator.textContent = activeData.count;
-        }
+        // Seconds, floors or uses left
+        indicator.textContent = Math.ceil(running.remaining);
       } else {
         slot.classList.remove('active');
         const indicator = slot.querySelector('.powerup-active-indicator');
@@ -169,14 +243,17 @@ export function updatePowerUpUI(state) {
       if (indicator) indicator.remove();
     }
   }
+
+  updateQueueUI(state);
+  updateComboUI(state);
 }
 
 /**
  * Show power-up notification
- * @param {string} powerUpType - Type of power-up awarded
+ * @param {object} info - Registry entry or combo ({ icon, name })
+ * @param {string} heading - Line above the name
  */
-function showPowerUpNotification(powerUpType) {
-  const info = POWERUP_INFO[powerUpType];
+function showPowerUpNotification(info, heading) {
   if (!info) return;
 
   // Remove any existing notification
@@ -188,7 +265,7 @@ function showPowerUpNotification(powerUpType) {
   notification.className = 'powerup-notification';
   notification.innerHTML = `
     <div class="powerup-notification-icon">${info.icon}</div>
-    <p class="powerup-notification-text">Power-Up!</p>
+    <p class="powerup-notification-text">${heading}</p>
     <p class="powerup-notification-subtext">${info.name}</p>
   `;
 
@@ -202,23 +279,15 @@ function showPowerUpNotification(powerUpType) {
 }
 
 /**
- * Award a random power-up to first empty slot
+ * Announce a newly awarded power-up
  * @param {object} state - Game state object
+ * @param {string} powerUpType - Type of power-up awarded
+ * @param {boolean} [queued] - Whether it's waiting for a free slot
  */
-export function awardPowerUp(state) {
-  // Find first empty slot
-  const emptySlot = state.powerUps.findIndex(slot => slot === null);
-  if (emptySlot === -1) return; // No empty slots
-
-  // Award a random power-up
-  const powerUpTypes = ['slowMo', 'safetyNet', 'superSize', 'resetSize'];
-  const randomType = powerUpTypes[Math.floor(Math.random() * powerUpTypes.length)];
-  
-  state.powerUps[emptySlot] = randomType;
-  
+export function announcePowerUp(state, powerUpType, queued = false) {
   // Show notification
-  showPowerUpNotification(randomType);
-  
+  showPowerUpNotification(POWERUPS[powerUpType], queued ? 'Queued!' : 'Power-Up!');
+
   updatePowerUpUI(state);
 
   // Visual feedback
@@ -226,70 +295,44 @@ export function awardPowerUp(state) {
 }
 
 /**
- * Update active power-up durations/counters
- * @param {object} state - Game state object
- * @param {number} dt - Delta time in seconds
- */
-export function updatePowerUpTimers(state, dt) {
-  // Update Slow-Mo timer
-  if (state.activePowerUps.slowMo.active && state.activePowerUps.slowMo.duration > 0) {
-    state.activePowerUps.slowMo.duration -= dt;
-    if (state.activePowerUps.slowMo.duration <= 0) {
-      state.activePowerUps.slowMo.active = false;
-      state.activePowerUps.slowMo.duration = 0;
-    }
-  }
-}
-
-/**
- * Decrement Super Size counter on block placement
- * @param {object} state - Game state object
- */
-export function decrementSuperSize(state) {
-  if (state.activePowerUps.superSize.active && state.activePowerUps.superSize.count > 0) {
-    state.activePowerUps.superSize.count--;
-    if (state.activePowerUps.superSize.count === 0) {
-      state.activePowerUps.superSize.active = false;
-    }
-  }
-}
-
-/**
- * Use safety net power-up
+ * Announce two running power-ups combining
  * @param {object} state - Game state object
- * @returns {boolean} - Whether safety net was available and used
+ * @param {string} combo - POWERUP_COMBOS id
  */
-export function useSafetyNet(state) {
-  if (state.activePowerUps.safetyNet.active && state.activePowerUps.safetyNet.uses > 0) {
-    state.activePowerUps.safetyNet.uses--;
-    if (state.activePowerUps.safetyNet.uses === 0) {
-      state.activePowerUps.safetyNet.active = false;
-    }
-    return true;
-  }
-  return false;
+export function announceCombo(state, combo) {
+  showPowerUpNotification(POWERUP_COMBOS[combo], 'Combo!');
+  updatePowerUpUI(state);
+  audioService.playTone(1760, state.isMuted);
 }
 
 /**
- * Get speed multiplier from active power-ups
- * @param {object} state - Game state object
- * @returns {number} - Speed multiplier (0.5 for slow-mo, 1.0 otherwise)
+ * Show the rewards granted by a continue
  */
-export function getSpeedMultiplier(state) {
-  if (state.activePowerUps.slowMo.active && state.activePowerUps.slowMo.duration > 0) {
-    return 0.5; // 50% slower
-  }
-  return 1.0;
-}
+export function announceGraceRewards() {
+  const notification = document.createElement('div');
+  notification.className = 'powerup-notification';
+  notification.innerHTML = `
+    <div style="font-size: 1.5rem; font-weight: 900; margin-bottom: 10px;">🎁 GRACE REWARDS!</div>
+    <div style="font-size: 1rem;">🛡️ Safety Net + ⏱️ 5s Slow-Mo</div>
+  `;
+  notification.style.cssText = `
+    position: fixed;
+    top: 50%;
+    left: 50%;
+    transform: translate(-50%, -50%);
+    background: linear-gradient(135deg, rgba(0, 255, 170, 0.2), rgba(138, 43, 226, 0.2));
+    border: 2px solid var(--neon-cyan);
+    padding: 30px;
+    border-radius: 20px;
+    z-index: 10000;
+    text-align: center;
+    animation: slideDown 0.5s ease-out;
+    box-shadow: 0 0 30px rgba(0, 255, 170, 0.5);
+  `;
+  document.body.appendChild(notification);
 
-/**
- * Get size multiplier from active power-ups
- * @param {object} state - Game state object
- * @returns {number} - Size multiplier (1.3 for super size, 1.0 otherwise)
- */
-export function getSizeMultiplier(state) {
-  if (state.activePowerUps.superSize.active && state.activePowerUps.superSize.count > 0) {
-    return 1.3; // 30% larger
-  }
-  return 1.0;
+  setTimeout(() => {
+    notification.style.animation = 'slideUp 0.5s ease-in';
+    setTimeout(() => notification.remove(), 500);
+  }, 2500);
 }
@@ -0,0 +1,205 @@
+/**
+ * Replay Module - Input timeline recording and headless playback
+ *
+ * A recording is the run's seed plus every placeBlock / power-up / inventory /
+ * continue input (and Time Attack timeouts), stamped with the simulation clock. Feeding the timeline back into
+ * a state reseeded with the same seed reproduces the run exactly. The clock is
+ * play time (see state.simTime), so pauses and slow frames drop out of the
+ * gaps just as they do from the live timers.
+ */
+
+import {
+  resetRun,
+  spawnBlock,
+  resolvePlacement,
+  updatePowerUpTimers,
+  updateCountdown,
+  expireCountdown,
+  usePowerUpSlot,
+  discardPowerUpSlot,
+  swapPowerUpSlots,
+  grantContinue
+} from './simulation.js';
+import { applyQuake } from './hazards.js';
+
+// Bumped when the same inputs would play out differently (2: more power-ups
+// to award, 3: context-aware drop odds, 4: stacking, award queue and combos,
+// 5: new power-ups in the Daily and Time Attack pools, sizes capped at the
+// run's foundation, 6: drop odds measured against the run's foundation,
+// 7: stamped with play time)
+export const REPLAY_VERSION = 7;
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
+/**
+ * Start a recording for a run whose first block just spawned
+ * @param {object} state - Game state
+ * @returns {object} - Recording
+ */
+export function createRecording(state) {
+  return {
+    version: REPLAY_VERSION,
+    seed: state.seed,
+    difficulty: state.difficulty,
+    mode: state.mode,
+    zenSpeed: state.zenSpeed,
+    silhouette: state.silhouette,
+    customDifficulty: state.mode === 'custom' ? state.customDifficulty : null,
+    campaignLevel: state.mode === 'campaign' ? state.campaignLevel : null,
+    hazards: !!state.hazards,
+    startTime: state.lastSpawnTime,
+    score: 0,
+    events: []
+  };
+}
+
+/**
+ * Append an input event to the current recording (no-op when not recording)
+ * @param {object} state - Game state
+ * @param {object} event - Event fields ({ type, ... })
+ */
+export function recordEvent(state, event) {
+  const rec = state.recording;
+  if (!rec) return;
+  rec.events.push({ t: state.clock() - rec.startTime, ...event });
+}
+
+/**
+ * Record a drop of the active block
+ * @param {object} state - Game state
+ */
+export function recordPlacement(state) {
+  const b = state.activeBlock;
+  if (!b) return;
+  recordEvent(state, {
+    type: 'place',
+    x: b.x,
+    z: b.z,
+    axis: state.axis,
+    direction: state.direction,
+    speed: state.speed,
+    angle: b.angle || 0,
+    quakePhase: b.quakePhase
+  });
+}
+
+/**
+ * Check whether a value looks like a playable recording
+ * @param {*} rec - Candidate recording
+ * @returns {boolean}
+ */
+export function isValidRecording(rec) {
+  return !!rec &&
+    rec.version === REPLAY_VERSION &&
+    Number.isFinite(rec.seed) &&
+    Number.isFinite(rec.startTime) &&
+    Array.isArray(rec.events);
+}
+
+/**
+ * Get the length of a recording
+ * @param {object} rec - Recording
+ * @returns {number} - Duration in milliseconds
+ */
+export function getReplayDuration(rec) {
+  return rec.events.length ? rec.events[rec.events.length - 1].t : 0;
+}
+
+/**
+ * Put the active block where it was when the recorded drop happened
+ * @param {object} state - Game state
+ * @param {object} event - 'place' event
+ */
+export function restoreDrop(state, event) {
+  const b = state.activeBlock;
+  if (!b) return;
+
+  // Axis and speed follow from the seed and earlier drops, so a mismatch
+  // means the simulation has diverged from the recording
+  if (event.axis !== state.axis || event.speed !== state.speed) {
+    console.warn('Replay desync at', event.t, event, { axis: state.axis, speed: state.speed });
+  }
+
+  b.x = event.x;
+  b.z = event.z;
+  b.angle = event.angle || 0;
+  state.direction = event.direction;
+  if (Number.isFinite(event.quakePhase) && Number.isFinite(b.quakePhase)) {
+    b.quakePhase = event.quakePhase;
+    applyQuake(state, b);
+  }
+}
+
+/**
+ * Apply one recorded event to the simulation without rendering
+ * @param {object} state - Game state
+ * @param {object} event - Recorded event
+ * @returns {object|null} - Placement outcome for 'place' events
+ */
+export function applyReplayEvent(state, event) {
+  switch (event.type) {
+    case 'place': {
+      if (!state.activeBlock) return null;
+      restoreDrop(state, event);
+      const outcome = resolvePlacement(state);
+      if (outcome && outcome.type !== 'early' && outcome.type !== 'miss' && !outcome.cleared) {
+        spawnBlock(state);
+      }
+      return outcome;
+    }
+    case 'powerup':
+      usePowerUpSlot(state, event.slot);
+      return null;
+    case 'discard':
+      discardPowerUpSlot(state, event.slot);
+      return null;
+    case 'swap':
+      swapPowerUpSlots(state, event.from, event.to);
+      return null;
+    case 'continue':
+      grantContinue(state);
+      return null;
+    case 'timeout':
+      expireCountdown(state);
+      return null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Rebuild the run from its seed up to a point on the timeline
+ *
+ * Expects state.replay = { recording, time, cursor, crashed } and a
+ * state.clock that reads the replay time.
+ *
+ * @param {object} state - Game state
+ * @param {number} time - Target time in milliseconds
+ */
+export function simulateReplayTo(state, time) {
+  const replay = state.replay;
+  const { seed, events } = replay.recording;
+
+  replay.time = 0;
+  resetRun(state, seed);
+  spawnBlock(state);
+
+  let cursor = 0;
+  let crashed = false;
+  while (cursor < events.length && events[cursor].t <= time) {
+    const event = events[cursor];
+    if (!crashed) {
+      updatePowerUpTimers(state, (event.t - replay.time) / 1000);
+      updateCountdown(state, (event.t - replay.time) / 1000);
+    }
+    replay.time = event.t;
+
+    const outcome = applyReplayEvent(state, event);
+    if ((outcome && (outcome.type === 'miss' || outcome.cleared)) || event.type === 'timeout') crashed = true;
+    if (event.type === 'continue') crashed = false;
+    cursor++;
+  }
+
+  replay.cursor = cursor;
+  replay.crashed = crashed;
+  replay.time = time;
+}
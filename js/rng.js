@@ -0,0 +1,49 @@
+/**
+ * Seeded Random - Deterministic PRNG for gameplay randomness
+ */
+
+/**
+ * Create a seeded random generator (mulberry32)
+ * @param {number} seed - 32-bit unsigned seed
+ * @returns {Function} - Returns a float in [0, 1) on each call
+ */
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return function rng() {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a fresh seed for a new run
+ * @returns {number} - 32-bit unsigned seed
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Format a seed for display and bug reports
+ * @param {number} seed - 32-bit unsigned seed
+ * @returns {string} - 8-digit hex string
+ */
+export function formatSeed(seed) {
+  return (seed >>> 0).toString(16).toUpperCase().padStart(8, '0');
+}
+
+/**
+ * Derive a seed from a string (FNV-1a), e.g. a calendar date
+ * @param {string} text - Seed text
+ * @returns {number} - 32-bit unsigned seed
+ */
+export function hashSeed(text) {
+  let h = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
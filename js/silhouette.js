@@ -0,0 +1,81 @@
+/**
+ * Silhouette Puzzles - Trim the tower into a target outline
+ *
+ * A puzzle from SILHOUETTES in config.js lists, per floor, the size to trim
+ * that floor to along the axis it moves on. Floors alternate axes, so the
+ * widths unfold into a full { width, depth } target for every floor; the
+ * player cuts deliberately to match it and each landing is scored by how
+ * closely the trimmed footprint fits.
+ *
+ * Scoring only reads landed blocks, so it is as deterministic as the rest of
+ * the simulation and replays reproduce it.
+ */
+
+import { CONFIG } from './config.js';
+
+/**
+ * Axis a floor's block moves along (spawnBlock alternates, starting on z)
+ * @param {number} floor - Placed block count before the drop
+ * @returns {string} - 'x' or 'z'
+ */
+export function getFloorAxis(floor) {
+  return floor % 2 === 0 ? 'z' : 'x';
+}
+
+/**
+ * Unfold a puzzle's widths into per-floor footprints
+ * @param {Array<number>} widths - Target size along each floor's moving axis
+ * @returns {Array<object>} - { width, depth, axis } for each floor
+ */
+export function buildSilhouetteTargets(widths) {
+  let width = CONFIG.INITIAL_SIZE;
+  let depth = CONFIG.INITIAL_SIZE;
+
+  // A cut can only shrink a block, so each side is capped by the floor below
+  return widths.map((size, floor) => {
+    const axis = getFloorAxis(floor);
+    if (axis === 'x') width = Math.min(width, size);
+    else depth = Math.min(depth, size);
+    return { width, depth, axis };
+  });
+}
+
+/**
+ * How closely a landed block matches its floor's target
+ * @param {object} target - { width, depth } for the floor
+ * @param {object} block - Landed block record
+ * @returns {number} - 1 for an exact fit, down to 0
+ */
+export function matchFloor(target, block) {
+  const fit = (size, goal) => Math.max(0, 1 - Math.abs(size - goal) / goal);
+  return fit(block.width, target.width) * fit(block.depth, target.depth);
+}
+
+/**
+ * Score a landing against the puzzle (if the run is playing one)
+ * @param {object} state - Simulation state
+ * @param {object} rules - Difficulty or mode rules
+ * @param {object} block - Landed block record
+ * @returns {number|null} - Floor match, or null outside a puzzle
+ */
+export function scoreSilhouetteFloor(state, rules, block) {
+  // Scored before the block joins the stack, so the floor is the stack's height
+  const target = rules.silhouette && rules.silhouette[state.stack.length - 1];
+  if (!target) return null;
+
+  const match = matchFloor(target, block);
+  state.silhouetteMatches.push(match);
+  return match;
+}
+
+/**
+ * Overall match for a run (floors not reached count as misses)
+ * @param {object} rules - Silhouette rules
+ * @param {Array<number>} matches - Floor matches so far
+ * @returns {number} - Percentage, 0-100
+ */
+export function getSilhouetteScore(rules, matches) {
+  if (!rules.silhouette || !rules.silhouette.length) return 0;
+  const total = matches.reduce((sum, m) => sum + m, 0);
+  return Math.round(total / rules.silhouette.length * 100);
+}
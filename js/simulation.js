@@ -0,0 +1,747 @@
+/**
+ * Simulation Module - Headless gameplay rules
+ *
+ * Blocks are plain { x, y, z, width, depth } records. Nothing in this module
+ * touches Three.js, the DOM or the wall clock: time comes from state.clock()
+ * and randomness from the seeded state.rng(), so a seed plus an input
+ * timeline always reproduces the same run.
+ */
+
+import {
+  CONFIG,
+  DIFFICULTIES,
+  DAILY_RULES,
+  TIME_ATTACK_RULES,
+  ZEN_RULES,
+  SHAPES_RULES,
+  SILHOUETTE_RULES,
+  SILHOUETTES
+} from './config.js';
+import { createRng, randomSeed } from './rng.js';
+import { advanceSpeed } from './speed.js';
+import { initBlockMovement, stepBlockMovement, getMisalignment, getMisalignedScale } from './movement.js';
+import { initHazard, stepHazard, slideOnIce } from './hazards.js';
+import { buildSilhouetteTargets, scoreSilhouetteFloor } from './silhouette.js';
+import { pickDrop, recordDropResult } from './drops.js';
+import {
+  createActivePowerUps,
+  applyPowerUp,
+  getPowerUpSpeed,
+  getPowerUpTolerance,
+  getPowerUpPoints,
+  tickPowerUps,
+  spawnWithPowerUps,
+  placeWithPowerUps,
+  catchMiss
+} from './powerup-registry.js';
+import {
+  intersectFootprints,
+  subtractFootprints,
+  footprintArea,
+  footprintBounds,
+  translateFootprint,
+  scaleFootprint,
+  rectFootprint,
+  createShapeFootprint
+} from './geometry.js';
+
+// Modes with fixed rules; any other mode plays the selected difficulty
+const MODE_RULES = {
+  daily: DAILY_RULES,
+  timeAttack: TIME_ATTACK_RULES,
+  shapes: SHAPES_RULES
+};
+
+// Zen rules for each speed level the player can pick
+const ZEN_PRESETS = Object.fromEntries(Object.entries(ZEN_RULES.speeds).map(([level, max]) => [
+  level,
+  { ...ZEN_RULES, name: `ZEN • ${level.toUpperCase()}`, max }
+]));
+
+// Silhouette rules for each puzzle, with the target footprint of every floor
+const SILHOUETTE_PRESETS = Object.fromEntries(SILHOUETTES.map(puzzle => [
+  puzzle.id,
+  {
+    ...SILHOUETTE_RULES,
+    name: `SILHOUETTE • ${puzzle.name}`,
+    target: puzzle.widths.length,
+    silhouette: buildSilhouetteTargets(puzzle.widths)
+  }
+]));
+
+/**
+ * Create a block record
+ * @param {number} x - Center X
+ * @param {number} y - Center Y
+ * @param {number} z - Center Z
+ * @param {number} width - Size along X
+ * @param {number} depth - Size along Z
+ * @returns {object} - Block record
+ */
+export function createBlock(x, y, z, width, depth) {
+  return { x, y, z, width, depth, baseWidth: width, baseDepth: depth };
+}
+
+/**
+ * Create the foundation block record
+ * @param {number} [width] - Size along X
+ * @param {number} [depth] - Size along Z
+ * @returns {object} - Block record
+ */
+export function createFoundationBlock(width = CONFIG.INITIAL_SIZE, depth = width) {
+  return createBlock(0, CONFIG.BLOCK_HEIGHT / 2, 0, width, depth);
+}
+
+/**
+ * Create a standalone simulation state (for headless runs)
+ * @param {object} options - Options
+ * @param {string} options.difficulty - Difficulty key
+ * @param {string} options.mode - Game mode ('classic', 'daily', 'timeAttack', 'zen', 'shapes', 'custom', 'campaign'
+ *   or 'silhouette')
+ * @param {string} options.zenSpeed - Zen speed level (see ZEN_RULES.speeds)
+ * @param {string} options.silhouette - Puzzle played in 'silhouette' mode (a SILHOUETTES id)
+ * @param {object} options.customDifficulty - Preset played in 'custom' mode
+ * @param {object} options.campaignLevel - Level played in 'campaign' mode (see campaign.js)
+ * @param {boolean} options.hazards - Whether hazard floors are on (see hazards.js)
+ * @param {number} options.seed - RNG seed for the run
+ * @param {Function} options.clock - Returns the current time in milliseconds
+ * @returns {object} - Simulation state
+ */
+export function createSimState({
+  difficulty = 'medium',
+  mode = 'classic',
+  zenSpeed = 'medium',
+  silhouette = SILHOUETTES[0].id,
+  customDifficulty = null,
+  campaignLevel = null,
+  hazards = false,
+  seed = randomSeed(),
+  clock = () => 0
+} = {}) {
+  const state = {
+    status: 'PLAYING',
+    difficulty,
+    mode,
+    zenSpeed,
+    silhouette,
+    customDifficulty,
+    campaignLevel,
+    hazards,
+    clock,
+    stack: [],
+    activeBlock: null
+  };
+  resetRun(state, seed);
+  return state;
+}
+
+/**
+ * Get the speed, mercy and power-up rules for the run
+ * @param {object} state - Simulation state
+ * @returns {object} - The mode's fixed rules, otherwise the difficulty preset
+ */
+export function getRules(state) {
+  if (state.mode === 'zen') return ZEN_PRESETS[state.zenSpeed] || ZEN_PRESETS.medium;
+  if (state.mode === 'silhouette') return SILHOUETTE_PRESETS[state.silhouette] || SILHOUETTE_PRESETS[SILHOUETTES[0].id];
+  if (state.mode === 'custom' && state.customDifficulty) return state.customDifficulty;
+  if (state.mode === 'campaign' && state.campaignLevel) return state.campaignLevel;
+  return MODE_RULES[state.mode] || DIFFICULTIES[state.difficulty];
+}
+
+/**
+ * Floors placed on the foundation (the score, unless Double Points added extra)
+ * @param {object} state - Simulation state
+ * @returns {number}
+ */
+export function getHeight(state) {
+  return state.stack.length - 1;
+}
+
+/**
+ * Reset gameplay fields for a new run and lay the foundation
+ * @param {object} state - Simulation state
+ * @param {number} seed - RNG seed for the run
+ */
+export function resetRun(state, seed) {
+  const d = getRules(state);
+
+  state.seed = seed >>> 0;
+  state.rng = createRng(state.seed);
+  state.score = 0;
+  state.combo = 0;
+  state.maxSessionCombo = 0;
+  state.speed = Math.min(d.initial, d.max);
+  state.breatherFloors = 0;
+  state.hazard = null;
+  state.silhouetteMatches = [];
+  state.axis = 'x';
+  state.direction = 1;
+  state.powerUps = [null, null, null];
+  state.powerUpQueue = [];
+  state.activePowerUps = createActivePowerUps();
+  state.lastComboMilestone = 0;
+  state.recentDrops = [];
+  state.dropsSinceUseful = 0;
+  state.continuesUsed = 0;
+  state.lastSpawnTime = 0;
+  state.timeLeft = d.timeLimit || 0;
+  state.timeUp = false;
+  const foundation = createFoundationBlock(d.startWidth, d.startDepth);
+  // Nothing grows or resets wider than the run's own foundation
+  state.startSize = { width: foundation.width, depth: foundation.depth };
+  state.safeSize = { ...state.startSize };
+  state.stack = [foundation];
+  state.activeBlock = null;
+}
+
+/**
+ * Get speed multiplier from active power-ups
+ * @param {object} state - Simulation state
+ * @returns {number} - Speed multiplier (below 1 while Slow-Mo runs)
+ */
+export function getSpeedMultiplier(state) {
+  return getPowerUpSpeed(state);
+}
+
+/**
+ * Spawn the next moving block on top of the stack
+ * @param {object} state - Simulation state
+ * @returns {object} - The new active block record
+ */
+export function spawnBlock(state) {
+  const prev = state.stack[state.stack.length - 1];
+  state.axis = state.axis === 'x' ? 'z' : 'x';
+  const other = state.axis === 'x' ? 'z' : 'x';
+
+  const block = {
+    x: 0,
+    y: state.stack.length * CONFIG.BLOCK_HEIGHT + CONFIG.BLOCK_HEIGHT / 2,
+    z: 0,
+    width: prev.baseWidth,
+    depth: prev.baseDepth,
+    baseWidth: prev.baseWidth,
+    baseDepth: prev.baseDepth
+  };
+
+  const rules = getRules(state);
+  const distance = rules.spawnDistance ?? CONFIG.SPAWN_DISTANCE;
+  const offset = state.rng() > 0.5 ? distance : -distance;
+  state.direction = offset > 0 ? -1 : 1;
+  block[state.axis] = offset;
+  block[other] = prev[other];
+  initBlockMovement(state, block, rules, rules.bounce ?? CONFIG.BOUNCE_LIMIT);
+  initHazard(state, block, rules);
+  if (rules.shapes) block.footprint = spawnFootprint(state, prev, rules);
+  spawnWithPowerUps(state, block);
+
+  state.activeBlock = block;
+  state.lastSpawnTime = state.clock();
+  return block;
+}
+
+/**
+ * Footprint for a new block in a shapes ruleset: the top block's outline,
+ * or a fresh shape fitted to its bounds every `reshapeEvery` floors
+ * @param {object} state - Simulation state
+ * @param {object} prev - Top block
+ * @param {object} rules - Rules with a `shapes` list
+ * @returns {Array<Array<object>>} - Footprint around the block's center
+ */
+function spawnFootprint(state, prev, rules) {
+  const floor = state.stack.length - 1;
+  return floor % rules.reshapeEvery === 0
+    ? createShapeFootprint(rules.shapes[Math.floor(state.rng() * rules.shapes.length)], prev.baseWidth, prev.baseDepth)
+    : (prev.footprint || rectFootprint(prev.baseWidth, prev.baseDepth));
+}
+
+/**
+ * Advance the active block along its movement pattern (see movement.js),
+ * along with the floor's hazard (see hazards.js)
+ * @param {object} state - Simulation state
+ * @param {number} dt - Delta time in seconds
+ */
+export function stepActiveBlock(state, dt) {
+  const block = state.activeBlock;
+  if (!block) return;
+
+  const travel = state.speed * getSpeedMultiplier(state) * (dt * 60);
+  const bounce = getRules(state).bounce ?? CONFIG.BOUNCE_LIMIT;
+  stepBlockMovement(state, block, travel, bounce);
+  stepHazard(state, block, travel, bounce);
+}
+
+/**
+ * Update active power-up durations
+ * @param {object} state - Simulation state
+ * @param {number} dt - Delta time in seconds
+ */
+export function updatePowerUpTimers(state, dt) {
+  tickPowerUps(state, dt);
+}
+
+/**
+ * Run down the Time Attack clock (no-op in modes without a time limit)
+ * @param {object} state - Simulation state
+ * @param {number} dt - Delta time in seconds
+ * @returns {boolean} - True on the update that runs the clock out
+ */
+export function updateCountdown(state, dt) {
+  if (!getRules(state).timeLimit || state.timeUp) return false;
+
+  state.timeLeft = Math.max(0, state.timeLeft - dt);
+  if (state.timeLeft > 0) return false;
+
+  state.timeUp = true;
+  return true;
+}
+
+/**
+ * Stop the clock at zero (replays apply the recorded timeout this way)
+ * @param {object} state - Simulation state
+ */
+export function expireCountdown(state) {
+  state.timeLeft = 0;
+  state.timeUp = true;
+}
+
+/**
+ * Apply a placement's time bonus or penalty
+ * @param {object} state - Simulation state
+ * @param {object} rules - Rules from getRules
+ * @param {number} lost - Share of the block trimmed away (0 for a perfect)
+ * @returns {number} - Seconds added (negative when time was lost)
+ */
+function adjustCountdown(state, rules, lost) {
+  if (!rules.timeLimit) return 0;
+
+  const change = lost > 0 ? -rules.cutPenalty * lost : rules.perfectBonus;
+  state.timeLeft = Math.max(0, state.timeLeft + change);
+  return change;
+}
+
+/**
+ * Award a power-up from the current drop odds (see drops.js) to the first
+ * empty inventory slot, or to the back of the queue while the slots are full
+ * @param {object} state - Simulation state
+ * @returns {string|null} - Awarded power-up type, or null if the slots and queue are full
+ */
+export function awardPowerUp(state) {
+  const emptySlot = state.powerUps.findIndex(slot => slot === null);
+  if (emptySlot === -1 && state.powerUpQueue.length >= CONFIG.POWERUP_QUEUE_SIZE) return null;
+
+  const type = pickDrop(state, getRules(state));
+  if (!type) return null;
+  if (emptySlot === -1) state.powerUpQueue.push(type);
+  else state.powerUps[emptySlot] = type;
+  return type;
+}
+
+// Move the oldest queued award into a freed slot
+function fillFromQueue(state, slotIndex) {
+  if (state.powerUps[slotIndex] === null && state.powerUpQueue.length) {
+    state.powerUps[slotIndex] = state.powerUpQueue.shift();
+  }
+}
+
+/**
+ * Use the power-up in an inventory slot
+ * @param {object} state - Simulation state
+ * @param {number} slotIndex - Inventory slot index (0-2)
+ * @returns {string|null} - Activated power-up type, or null for an empty slot
+ */
+export function usePowerUpSlot(state, slotIndex) {
+  const type = state.powerUps[slotIndex];
+  if (!type) return null;
+
+  applyPowerUp(state, type);
+  state.powerUps[slotIndex] = null;
+  fillFromQueue(state, slotIndex);
+  return type;
+}
+
+/**
+ * Throw away the power-up in an inventory slot, making room for the queue
+ * @param {object} state - Simulation state
+ * @param {number} slotIndex - Inventory slot index (0-2)
+ * @returns {string|null} - Discarded power-up type, or null for an empty slot
+ */
+export function discardPowerUpSlot(state, slotIndex) {
+  const type = state.powerUps[slotIndex];
+  if (!type) return null;
+
+  state.powerUps[slotIndex] = null;
+  fillFromQueue(state, slotIndex);
+  return type;
+}
+
+/**
+ * Swap the contents of two inventory slots
+ * @param {object} state - Simulation state
+ * @param {number} from - Inventory slot index (0-2)
+ * @param {number} to - Inventory slot index (0-2)
+ * @returns {boolean} - Whether anything moved
+ */
+export function swapPowerUpSlots(state, from, to) {
+  const slots = state.powerUps;
+  if (from === to || !(from in slots) || !(to in slots) || (!slots[from] && !slots[to])) return false;
+
+  [slots[from], slots[to]] = [slots[to], slots[from]];
+  return true;
+}
+
+/**
+ * Grant the continue grace rewards (Safety Net + 5s Slow-Mo)
+ * @param {object} state - Simulation state
+ */
+export function grantContinue(state) {
+  state.continuesUsed++;
+
+  applyPowerUp(state, 'safetyNet', 1);
+  applyPowerUp(state, 'slowMo', 5);
+}
+
+/**
+ * Restore the top of the stack to the footprint of the last perfect drop
+ * @param {object} state - Simulation state
+ * @returns {object} - The restored top block record
+ */
+export function restoreSafeSize(state) {
+  const top = state.stack[state.stack.length - 1];
+  top.width = top.baseWidth = state.safeSize.width;
+  top.depth = top.baseDepth = state.safeSize.depth;
+  return top;
+}
+
+/**
+ * Trim the overhang off one axis of a landing block
+ * @param {object} state - Simulation state
+ * @param {object} active - Landing block record (trimmed in place)
+ * @param {object} prev - Block below
+ * @param {string} axis - 'x' or 'z'
+ * @param {number} delta - Offset from the block below, past the threshold
+ * @returns {object} - Rubble record for the piece cut off
+ */
+function cutOverhang(state, active, prev, axis, delta) {
+  const dim = axis === 'x' ? 'width' : 'depth';
+  const size = active[dim];
+  const cut = Math.abs(delta);
+
+  const rubble = { x: active.x, y: active.y, z: active.z, width: active.width, depth: active.depth };
+  rubble[dim] = cut;
+  rubble[axis] = prev[axis] + (size / 2 + cut / 2) * Math.sign(delta);
+  rubble.spin = {
+    x: state.rng() * 8 - 4,
+    y: state.rng() * 4 - 2,
+    z: state.rng() * 8 - 4
+  };
+
+  active[axis] = prev[axis] + delta / 2;
+  active[dim] = size - cut;
+  return rubble;
+}
+
+/**
+ * Win back some width after every `streak` consecutive perfects
+ * @param {object} state - Simulation state
+ * @param {object} active - Landing block record (grown in place)
+ * @param {object} rules - Difficulty or mode rules
+ * @returns {object|null} - { width, depth } before growing, or null if it didn't grow
+ */
+function regrowBlock(state, active, rules) {
+  if (rules.regrow === false) return null;
+  const streak = (rules.regrow && rules.regrow.streak) || CONFIG.REGROW_STREAK;
+  const amount = (rules.regrow && rules.regrow.amount) || CONFIG.REGROW_AMOUNT;
+  if (state.combo % streak !== 0) return null;
+
+  const width = Math.min(state.startSize.width, active.baseWidth + amount);
+  const depth = Math.min(state.startSize.depth, active.baseDepth + amount);
+  if (width <= active.baseWidth && depth <= active.baseDepth) return null;
+
+  const before = { width: active.width, depth: active.depth };
+  if (active.footprint) {
+    // Outlines stretch about their center, which landFootprint put at the origin
+    const sx = width / active.baseWidth;
+    const sz = depth / active.baseDepth;
+    active.footprint = scaleFootprint(active.footprint, sx, sz);
+    active.width *= sx;
+    active.depth *= sz;
+  } else {
+    active.width = Math.max(active.width, width);
+    active.depth = Math.max(active.depth, depth);
+  }
+  active.baseWidth = width;
+  active.baseDepth = depth;
+  return before;
+}
+
+/**
+ * Clip a shaped block, landed at the thresholded offsets, against the
+ * outline of the block below
+ * @param {object} active - Landing block record
+ * @param {object} prev - Block below
+ * @param {object} deltas - Offsets from the block below per axis
+ * @returns {object} - { inside, outside, kept } with world-space footprints
+ *   and the share of area kept
+ */
+function clipFootprint(active, prev, deltas) {
+  const landed = translateFootprint(active.footprint, prev.x + deltas.x, prev.z + deltas.z);
+  const below = translateFootprint(prev.footprint || rectFootprint(prev.width, prev.depth), prev.x, prev.z);
+  const inside = intersectFootprints(landed, below);
+  return {
+    inside,
+    outside: subtractFootprints(landed, below),
+    kept: footprintArea(inside) / footprintArea(landed)
+  };
+}
+
+/**
+ * Give a shaped block the clipped outline, recentered on its bounds
+ * @param {object} state - Simulation state
+ * @param {object} active - Landing block record
+ * @param {object} clipped - Result of clipFootprint
+ * @returns {Array<object>} - Rubble records (bounding boxes of the pieces cut off)
+ */
+function landFootprint(state, active, clipped) {
+  const b = footprintBounds(clipped.inside);
+  active.x = (b.minX + b.maxX) / 2;
+  active.z = (b.minZ + b.maxZ) / 2;
+  active.width = active.baseWidth = b.maxX - b.minX;
+  active.depth = active.baseDepth = b.maxZ - b.minZ;
+  active.footprint = translateFootprint(clipped.inside, -active.x, -active.z);
+
+  return clipped.outside
+    .filter(piece => footprintArea([piece]) > CONFIG.MIN_RUBBLE_AREA)
+    .map((piece) => {
+      const pb = footprintBounds(piece);
+      return {
+        x: (pb.minX + pb.maxX) / 2,
+        y: active.y,
+        z: (pb.minZ + pb.maxZ) / 2,
+        width: pb.maxX - pb.minX,
+        depth: pb.maxZ - pb.minZ,
+        area: footprintArea([piece]),
+        spin: {
+          x: state.rng() * 8 - 4,
+          y: state.rng() * 4 - 2,
+          z: state.rng() * 8 - 4
+        }
+      };
+    });
+}
+
+/**
+ * Measure how the active block would land if dropped now
+ * @param {object} state - Simulation state
+ * @param {object} active - Active block record
+ * @param {object} prev - Block below
+ * @param {object} rules - Rules from getRules
+ * @returns {object} - Offsets from the block below per axis (zeroed inside
+ *   the perfect threshold), extents, overlaps and, for a shaped block, the
+ *   result of clipFootprint
+ */
+function measureLanding(state, active, prev, rules) {
+  const axis = state.axis;
+  const other = axis === 'x' ? 'z' : 'x';
+  const offset = Math.abs(active[axis] - prev[axis]);
+
+  // A block that isn't lined up keeps only its axis-aligned core
+  const misalign = getMisalignment(active);
+  const aligned = misalign <= CONFIG.ROTATE_SNAP;
+  const scale = aligned ? 1 : getMisalignedScale(misalign);
+  const extents = { x: active.width * scale, z: active.depth * scale };
+
+  // Mercy threshold for early blocks (a running Magnet widens it)
+  const threshold = Math.max(
+    state.stack.length <= rules.mercy ? rules.threshold : (rules.postMercyThreshold ?? CONFIG.POST_MERCY_THRESHOLD),
+    getPowerUpTolerance(state)
+  );
+  const deltas = {};
+  [axis, other].forEach((a) => {
+    const d = active[a] - prev[a];
+    deltas[a] = Math.abs(d) < threshold ? 0 : d;
+  });
+
+  // Only diagonal and wind-blown blocks stray off the other axis, and it's trimmed the same way.
+  // Shaped blocks are clipped against the outline below instead, with
+  // overlap scaled to the share of area kept
+  const size = extents[axis];
+  const delta = deltas[axis];
+  const clipped = active.footprint ? clipFootprint(active, prev, deltas) : null;
+  const overlap = clipped ? size * clipped.kept : size - Math.abs(delta);
+  const otherOverlap = clipped ? overlap : extents[other] - Math.abs(deltas[other]);
+
+  return { axis, other, offset, misalign, aligned, extents, deltas, size, delta, clipped, overlap, otherOverlap };
+}
+
+/**
+ * Where the active block would come to rest if dropped now (what Ghost
+ * Preview draws); nothing is changed and no randomness is drawn
+ * @param {object} state - Simulation state
+ * @returns {object|null} - { x, z, width, depth, perfect }, or null for a miss or no active block
+ */
+export function previewLanding(state) {
+  const active = state.activeBlock;
+  if (!active) return null;
+
+  const prev = state.stack[state.stack.length - 1];
+  const landing = measureLanding(state, active, prev, getRules(state));
+  if (landing.overlap <= 0.05 || landing.otherOverlap <= 0.05) return null;
+
+  const perfect = landing.delta === 0 && landing.deltas[landing.other] === 0 && landing.aligned;
+  if (landing.clipped) {
+    const b = footprintBounds(landing.clipped.inside);
+    return { x: (b.minX + b.maxX) / 2, z: (b.minZ + b.maxZ) / 2, width: b.maxX - b.minX, depth: b.maxZ - b.minZ, perfect };
+  }
+
+  // Each axis keeps the part over the block below (see cutOverhang)
+  const rest = {};
+  ['x', 'z'].forEach((a) => {
+    rest[a] = prev[a] + landing.deltas[a] / 2;
+    rest[a === 'x' ? 'width' : 'depth'] = landing.extents[a] - Math.abs(landing.deltas[a]);
+  });
+  return { ...rest, perfect };
+}
+
+/**
+ * Drop the active block onto the stack
+ *
+ * Returns an outcome record describing what happened:
+ * - { type: 'early', elapsed } - still inside the spawn grace period, nothing changed
+ * - { type: 'miss', overlap, size, offset } - complete miss, the run is over
+ * - { type: 'saved', overlap, size, offset } - complete miss caught by Safety Net, active block discarded
+ * - { type: 'reset', block, overlap, size, offset } - complete miss in practice rules (Zen): active
+ *   block discarded and the top block (block) restored to its last safe size
+ * - { type: 'perfect', block, awarded, size, offset, time, queued?, rubble?, regrown? } - landed
+ *   within the threshold (queued when the award waits for a free slot, rubble only when a fresh
+ *   shape lost corners to the outline below, regrown { width, depth } with the size before a
+ *   streak regrowth)
+ * - { type: 'cut', block, delta, overlap, size, offset, rubble, misalign, time, slide? } - overhang
+ *   trimmed into rubble records (one per cut axis); on an ice floor the block then slid on by
+ *   slide along the moving axis
+ *
+ * size is the dropped block's extent along the moving axis and offset how
+ * far it landed from the block below (before the mercy threshold). A
+ * rotating block is first trimmed to its axis-aligned core (misalign is the
+ * angle it was off by), a diagonal block is cut on both axes and a shaped
+ * block (one with a footprint) is clipped against the outline below. time is
+ * the seconds added to (or taken off) the Time Attack clock, 0 in other modes.
+ * Landings also carry points, the score they add (more than 1 while Double
+ * Points runs). Landings that reach a campaign level's (or puzzle's) target
+ * height also carry cleared: true, and in a silhouette puzzle every landing carries
+ * match, how closely it fits its floor's target (see silhouette.js).
+ *
+ * @param {object} state - Simulation state
+ * @returns {object|null} - Placement outcome, or null with no active block
+ */
+export function resolvePlacement(state) {
+  const active = state.activeBlock;
+  if (!active) return null;
+
+  const prev = state.stack[state.stack.length - 1];
+  const diffConfig = getRules(state);
+
+  // Grace Period: Don't allow placing block immediately after spawn
+  const elapsed = state.clock() - state.lastSpawnTime;
+  if (state.lastSpawnTime && elapsed < (diffConfig.grace ?? CONFIG.SPAWN_GRACE_MS)) {
+    return { type: 'early', elapsed };
+  }
+
+  const { axis, other, offset, misalign, aligned, extents, deltas, size, delta, clipped, overlap, otherOverlap } =
+    measureLanding(state, active, prev, diffConfig);
+
+  // Check for complete miss
+  if (overlap <= 0.05 || otherOverlap <= 0.05) {
+    recordDropResult(state, true);
+    if (catchMiss(state, { overlap, size, offset })) {
+      state.combo = 0; // Break combo but don't end game
+      state.activeBlock = null;
+      return { type: 'saved', overlap, size, offset };
+    }
+    if (diffConfig.practice) {
+      state.combo = 0;
+      state.activeBlock = null;
+      return { type: 'reset', block: restoreSafeSize(state), overlap, size, offset };
+    }
+    return { type: 'miss', overlap, size, offset };
+  }
+
+  // Land squared up with the stack
+  active.angle = 0;
+
+  let outcome;
+  if (delta === 0 && deltas[other] === 0 && aligned) {
+    // Perfect placement
+    active[axis] = prev[axis];
+    active[other] = prev[other];
+    state.combo++;
+    if (state.combo > state.maxSessionCombo) {
+      state.maxSessionCombo = state.combo;
+    }
+
+    // Award power-up at combo milestones (5, 10, 15, etc.)
+    const every = diffConfig.powerUpEvery || 5;
+    let awarded = null;
+    let queued = false;
+    if (state.combo >= every && state.combo % every === 0 && state.combo > state.lastComboMilestone) {
+      state.lastComboMilestone = state.combo;
+      queued = !state.powerUps.includes(null);
+      awarded = awardPowerUp(state);
+    }
+
+    // A new shape can still lose its corners to the outline below
+    const rubble = clipped ? landFootprint(state, active, clipped) : null;
+    const regrown = regrowBlock(state, active, diffConfig);
+
+    // A perfect drop marks the current footprint as safe to return to
+    state.safeSize = { width: active.baseWidth, depth: active.baseDepth };
+
+    const time = adjustCountdown(state, diffConfig, 0);
+    outcome = { type: 'perfect', block: active, awarded, size, offset, time };
+    if (awarded && queued) outcome.queued = true;
+    if (rubble && rubble.length) outcome.rubble = rubble;
+    if (regrown) outcome.regrown = regrown;
+  } else {
+    // Imperfect placement - cut block
+    state.combo = 0;
+    const area = active.width * active.depth;
+
+    let rubble;
+    if (clipped) {
+      rubble = landFootprint(state, active, clipped);
+    } else {
+      active.width = extents.x;
+      active.depth = extents.z;
+      rubble = [axis, other]
+        .filter(a => deltas[a] !== 0)
+        .map(a => cutOverhang(state, active, prev, a, deltas[a]));
+    }
+
+    // Store the ACTUAL trimmed size as new base
+    // (Super Size is applied on top of the base at spawn time)
+    active.baseWidth = active.width;
+    active.baseDepth = active.depth;
+
+    const kept = clipped ? clipped.kept : active.width * active.depth / area;
+    const time = adjustCountdown(state, diffConfig, 1 - kept);
+    outcome = { type: 'cut', block: active, delta, overlap, size, offset, rubble, misalign: aligned ? 0 : misalign, time };
+
+    const slide = slideOnIce(state, active);
+    if (slide) outcome.slide = slide;
+  }
+
+  recordDropResult(state, outcome.type !== 'perfect');
+
+  // Scored before the power-ups count the floor, so Double Points' last floor still doubles
+  outcome.points = getPowerUpPoints(state);
+  placeWithPowerUps(state, outcome);
+
+  const match = scoreSilhouetteFloor(state, diffConfig, active);
+  if (match !== null) outcome.match = match;
+
+  state.stack.push(active);
+  state.activeBlock = null;
+  state.score += outcome.points;
+  advanceSpeed(state, diffConfig);
+  if (diffConfig.target && getHeight(state) >= diffConfig.target) outcome.cleared = true;
+  return outcome;
+}
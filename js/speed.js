@@ -0,0 +1,111 @@
+/**
+ * Speed Profiles - How fast the moving block travels on each floor
+ *
+ * Rules without a speedProfile keep the plain linear ramp (inc per floor up
+ * to max). A profile (see DIFFICULTIES in config.js) eases the ramp along a
+ * curve, holds it on plateaus, adds periodic spikes and slows down for a
+ * few "breather" floors after a perfect streak.
+ *
+ * Floors are counted in placed blocks, so floor 0 is the first drop.
+ */
+
+import { CONFIG } from './config.js';
+
+// Ramp shapes, mapping progress 0..1 to speed progress 0..1
+export const SPEED_CURVES = {
+  linear: t => t,
+  easeIn: t => t * t,
+  easeOut: t => 1 - (1 - t) * (1 - t),
+  easeInOut: t => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t))
+};
+
+/**
+ * Speed of the ramp alone (no spikes or breathers) on a floor
+ * @param {object} rules - Difficulty or mode rules
+ * @param {number} floor - Placed block count
+ * @returns {number}
+ */
+export function getRampSpeed(rules, floor) {
+  const { initial, max, inc } = rules;
+  if (max <= initial) return max;
+  if (inc <= 0) return initial;
+
+  const profile = rules.speedProfile || {};
+  const plateau = profile.plateau || 1;
+  const stepped = floor - (floor % plateau);
+
+  // The curve spans as many floors as the linear ramp would take
+  const progress = Math.min(1, stepped * inc / (max - initial));
+  const curve = SPEED_CURVES[profile.curve] || SPEED_CURVES.linear;
+  return initial + (max - initial) * curve(progress);
+}
+
+// Multiplier from a spike on this floor (1 outside spikes)
+function getSpikeFactor(profile, floor) {
+  const spike = profile.spike;
+  if (!spike) return 1;
+  return floor % spike.every >= spike.every - spike.floors ? spike.factor : 1;
+}
+
+/**
+ * Set state.speed for the next floor after a block lands
+ * @param {object} state - Simulation state
+ * @param {object} rules - Difficulty or mode rules
+ */
+export function advanceSpeed(state, rules) {
+  const profile = rules.speedProfile;
+  if (!profile) {
+    state.speed = Math.min(rules.max, state.speed + rules.inc);
+    return;
+  }
+
+  if (state.breatherFloors > 0) state.breatherFloors--;
+  const breather = profile.breather;
+  if (breather && state.combo > 0 && state.combo % breather.combo === 0) {
+    state.breatherFloors = breather.floors;
+  }
+
+  const floor = state.stack.length - 1;
+  const slowdown = state.breatherFloors > 0 ? breather.factor : 1;
+  state.speed = getRampSpeed(rules, floor) * getSpikeFactor(profile, floor) * slowdown;
+}
+
+/**
+ * Describe the speed change the player should brace for
+ *
+ * Returns { type, in, floors } where type is 'breather', 'spike' or 'step'
+ * (a plateau ending), `in` the floors until it starts (0 while it lasts)
+ * and `floors` how long it lasts once started.
+ *
+ * @param {object} state - Simulation state
+ * @param {object} rules - Difficulty or mode rules
+ * @returns {object|null} - Forecast, or null when nothing notable is near
+ */
+export function getSpeedForecast(state, rules) {
+  const profile = rules.speedProfile;
+  if (!profile) return null;
+
+  if (state.breatherFloors > 0) {
+    return { type: 'breather', in: 0, floors: state.breatherFloors };
+  }
+
+  const floor = state.stack.length - 1;
+  const spikeFloors = profile.spike ? profile.spike.floors : 0;
+  const spikeLeft = (f) => profile.spike.every - (f % profile.spike.every);
+
+  if (getSpikeFactor(profile, floor) > 1) {
+    return { type: 'spike', in: 0, floors: spikeLeft(floor) };
+  }
+
+  const ramp = getRampSpeed(rules, floor);
+  for (let k = 1; k <= CONFIG.SPEED_FORECAST_FLOORS; k++) {
+    if (getSpikeFactor(profile, floor + k) > 1) {
+      return { type: 'spike', in: k, floors: spikeFloors };
+    }
+    // Linear ramps creep up every floor; only a plateau ending is worth a warning
+    if (profile.plateau > 1 && getRampSpeed(rules, floor + k) > ramp * 1.05) {
+      return { type: 'step', in: k, floors: profile.plateau };
+    }
+  }
+  return null;
+}
@@ -2,14 +2,21 @@
  * Game State Management
  */
 
-import { pickThemeById, loadThemeId, loadDifficulty } from './storage.js';
-import { loadTutorialSeen } from './storage.js';
+import { pickThemeById, loadThemeId, loadDifficulty, loadBestScores, loadMuted, initStorage } from './storage.js';
+import { loadTutorialSeen, loadDailyHistory, loadLifetimeStats, loadAchievements, loadTimeAttackBest, loadZenSpeed } from './storage.js';
+import { loadCustomDifficulties, loadHazardModes, loadCampaignProgress, loadSilhouetteBests } from './storage.js';
+import { createStorageAdapter, LocalStorageAdapter, MemoryAdapter } from './storage-adapters.js';
+import { SILHOUETTES } from './config.js';
+import { createActivePowerUps } from './powerup-registry.js';
+import { createDailyHistory } from './daily.js';
+import { createLifetimeStats } from './stats.js';
+import { createAchievementProgress } from './achievements.js';
 import * as THREE from 'three';
 
 // Game state object
 export const state = {
   // Game status
-  status: 'LOADING', // 'LOADING', 'START', 'PLAYING', 'PAUSED', 'GAMEOVER'
+  status: 'LOADING', // See STATUS_TRANSITIONS in status.js; only changed through statusMachine
 
   // Scores
   score: 0,
@@ -21,8 +28,39 @@ export const state = {
   // Settings
   currentTheme: null, // Will be initialized
   difficulty: 'medium',
+  mode: 'classic', // 'classic', 'daily', 'timeAttack', 'zen', 'shapes', 'custom', 'campaign' or 'silhouette'
+  zenSpeed: 'medium', // Zen speed cap level (see ZEN_RULES.speeds)
+  customDifficulty: null, // Preset played in 'custom' mode (see custom-difficulty.js)
+  customDifficulties: [], // Saved presets
+  runSelection: null, // Mode and rules picks the current run started with (restored on resume)
+
+  // Campaign
+  campaign: [], // Levels from data/campaign.json (see campaign.js)
+  campaignLevel: null, // Level played in 'campaign' mode
+  campaignProgress: {}, // { [levelId]: { stars, best } }
+  levelResult: null, // { cleared, stars } of the last finished level
+  menuTheme: null, // Player's theme while a level plays in its own
+
+  // Silhouette puzzles
+  silhouette: SILHOUETTES[0].id, // Puzzle played in 'silhouette' mode (see silhouette.js)
+  silhouetteMatches: [], // How closely each floor of this run fits its target (0-1)
+  silhouetteBests: {}, // { [puzzleId]: best match percentage }
   isMuted: false,
 
+  // Daily Void
+  daily: createDailyHistory(),
+  dailyKey: null, // Calendar day of the current daily run
+
+  // Time Attack
+  timeAttackBest: 0,
+  timeLeft: 0, // Seconds on the clock
+  timeUp: false,
+
+  // Statistics
+  runStats: null, // Current run (null during replays)
+  lifetimeStats: createLifetimeStats(),
+  achievements: createAchievementProgress(),
+
   // Theme selection
   selectedThemeLocked: false,
   selectedThemeUnlockAt: 0,
@@ -32,12 +70,12 @@ export const state = {
 
   // Power-Ups
   powerUps: [null, null, null], // Inventory slots
-  activePowerUps: {
-    slowMo: { active: false, duration: 0 },
-    safetyNet: { active: false, uses: 0 },
-    superSize: { active: false, count: 0 }
-  },
+  powerUpQueue: [], // Awards waiting for a free slot (up to CONFIG.POWERUP_QUEUE_SIZE)
+  activePowerUps: createActivePowerUps(),
   lastComboMilestone: 0,
+  recentDrops: [], // Whether each of the last few drops missed (see drops.js)
+  dropsSinceUseful: 0, // Pity timer: awards since the last useful one
+  showDropOdds: false, // Debug overlay with the current drop odds (?odds in the URL)
 
   // Continue feature
   continuesUsed: 0,
@@ -46,9 +84,25 @@ export const state = {
   axis: 'x',
   direction: 1,
   speed: 0.18,
-  stack: [],
+  breatherFloors: 0, // Floors left at breather speed (see speed.js)
+  hazard: null, // Hazard on the active block's floor (see hazards.js)
+  hazards: false, // Whether this run has hazard floors
+  hazardModes: {}, // Modes the player switched hazards on for
+  stack: [], // Block records (see simulation.js)
   activeBlock: null,
 
+  // Rendered meshes, parallel to stack/activeBlock
+  stackMeshes: [],
+  activeMesh: null,
+
+  // Simulation inputs (injectable for headless runs)
+  simTime: 0, // Milliseconds of play, advanced by the same capped frame step as the timers
+  clock() {
+    return this.simTime;
+  },
+  seed: 0,
+  rng: Math.random, // Replaced by a seeded generator on each run
+
   // Timing
   lastTime: 0,
   lastInputTime: 0,
@@ -69,6 +123,8 @@ export const state = {
 
   // Particles
   particles: [],
+  growths: [], // Regrowth animations (see startGrowth in effects.js)
+  slides: [], // Ice slide animations (see startSlide in effects.js)
 
   // Rubble/debris
   rubbleData: [],
@@ -84,9 +140,38 @@ export const state = {
 };
 
 /**
- * Initialize state from storage
+ * Pick a storage backend, load the profile and initialize state from it
+ *
+ * Falls back to localStorage, then to memory, if the preferred backend
+ * can't be opened.
+ *
+ * @param {object} [options] - Options
+ * @param {string} [options.backend] - Backend to try first ('native', 'indexedDB', 'localStorage', 'memory')
+ * @returns {Promise<object>} - Game state
+ */
+export async function initializeState({ backend } = {}) {
+  const candidates = [createStorageAdapter(backend)];
+  if (LocalStorageAdapter.isAvailable()) candidates.push(new LocalStorageAdapter());
+  candidates.push(new MemoryAdapter());
+
+  for (const adapter of candidates) {
+    try {
+      await initStorage(adapter);
+      break;
+    } catch (e) {
+      console.warn(`Storage backend ${adapter.name} failed:`, e);
+    }
+  }
+
+  return applyProfileToState();
+}
+
+/**
+ * Copy the loaded profile into state (also used after a profile import)
+ * @returns {object} - Game state
  */
-export function initializeState(bestScore, bestStreak, isMuted) {
+export function applyProfileToState() {
+  const { bestScore, bestStreak } = loadBestScores();
   state.bestScore = bestScore;
   state.bestStreak = bestStreak;
   state.difficulty = loadDifficulty();
@@ -94,8 +179,17 @@ export function initializeState(bestScore, bestStreak, isMuted) {
   if (!state.currentTheme) {
     state.currentTheme = { id: 'default', colors: [0x00ffff, 0xff00ff, 0x0000ff, 0xffffff], unlock: 0 };
   }
-  state.isMuted = isMuted;
+  state.isMuted = loadMuted();
   state.hasSeenTutorial = loadTutorialSeen();
+  state.daily = loadDailyHistory();
+  state.lifetimeStats = loadLifetimeStats();
+  state.achievements = loadAchievements();
+  state.timeAttackBest = loadTimeAttackBest();
+  state.zenSpeed = loadZenSpeed();
+  state.customDifficulties = loadCustomDifficulties();
+  state.hazardModes = loadHazardModes();
+  state.campaignProgress = loadCampaignProgress();
+  state.silhouetteBests = loadSilhouetteBests();
   return state;
 }
 
@@ -108,14 +202,15 @@ export function resetGameState() {
   state.maxSessionCombo = 0;
   state.stack = [];
   state.activeBlock = null;
+  state.stackMeshes = [];
+  state.activeMesh = null;
   state.particles = [];
+  state.growths = [];
+  state.slides = [];
   state.rubbleActive = [];
   state.powerUps = [null, null, null];
-  state.activePowerUps = {
-    slowMo: { active: false, duration: 0 },
-    safetyNet: { active: false, uses: 0 },
-    superSize: { active: false, count: 0 }
-  };
+  state.powerUpQueue = [];
+  state.activePowerUps = createActivePowerUps();
   state.lastComboMilestone = 0;
   state.continuesUsed = 0;
   state.flash = 0;
@@ -0,0 +1,147 @@
+/**
+ * Stats Module - Per-run and lifetime statistics
+ *
+ * A run's counters are committed into the lifetime totals at every game
+ * over. Only the change since the previous commit is added, so a run that
+ * continues after an ad and ends again is not counted twice.
+ */
+
+const RECENT_RUNS = 30;
+
+const COUNTERS = ['perfects', 'cuts', 'drops', 'accuracySum', 'areaLost', 'continues', 'duration'];
+
+/**
+ * Create counters for a fresh run
+ * @param {number} startTime - Clock time the run started (ms)
+ * @returns {object} - Run stats
+ */
+export function createRunStats(startTime = 0) {
+  return {
+    startTime,
+    perfects: 0,
+    cuts: 0,
+    drops: 0,
+    accuracySum: 0,
+    areaLost: 0,
+    continues: 0,
+    duration: 0,
+    earned: {},
+    used: {},
+    committed: null
+  };
+}
+
+/**
+ * Create an empty set of totals
+ * @returns {object} - Totals
+ */
+export function createTotals() {
+  return {
+    runs: 0,
+    bestScore: 0,
+    perfects: 0,
+    cuts: 0,
+    drops: 0,
+    accuracySum: 0,
+    areaLost: 0,
+    continues: 0,
+    duration: 0,
+    earned: {},
+    used: {}
+  };
+}
+
+/**
+ * Create empty lifetime stats
+ * @returns {object} - Lifetime stats ({ totals, byMode, recent })
+ */
+export function createLifetimeStats() {
+  return { totals: createTotals(), byMode: {}, recent: [] };
+}
+
+/**
+ * Count a drop from its placement outcome
+ * @param {object} run - Run stats
+ * @param {object} outcome - Outcome from resolvePlacement
+ */
+export function recordDrop(run, outcome) {
+  if (!run || !outcome || outcome.type === 'early') return;
+
+  run.drops++;
+  if (outcome.type === 'perfect') {
+    run.perfects++;
+    run.accuracySum += 1;
+    if (outcome.awarded) countPowerUp(run.earned, outcome.awarded);
+    return;
+  }
+
+  run.accuracySum += Math.max(0, outcome.overlap) / outcome.size;
+  if (outcome.type === 'cut') {
+    run.cuts++;
+    outcome.rubble.forEach((piece) => {
+      run.areaLost += piece.area ?? piece.width * piece.depth;
+    });
+  }
+}
+
+/**
+ * Count a power-up activation
+ * @param {object} run - Run stats
+ * @param {string} type - Power-up type
+ */
+export function recordPowerUpUsed(run, type) {
+  if (run) countPowerUp(run.used, type);
+}
+
+function countPowerUp(table, type) {
+  table[type] = (table[type] || 0) + 1;
+}
+
+/**
+ * Get average overlap accuracy (0-1)
+ * @param {object} stats - Run stats or totals
+ * @returns {number}
+ */
+export function getAccuracy(stats) {
+  return stats.drops ? stats.accuracySum / stats.drops : 0;
+}
+
+/**
+ * Add a run's uncommitted counters to the lifetime stats
+ * @param {object} lifetime - Lifetime stats
+ * @param {object} run - Run stats
+ * @param {string} modeKey - Breakdown bucket (difficulty or mode)
+ * @param {number} score - Score at this game over
+ */
+export function commitRunStats(lifetime, run, modeKey, score) {
+  const prev = run.committed || createRunStats();
+  const isNewRun = !run.committed;
+  const bucket = lifetime.byMode[modeKey] || (lifetime.byMode[modeKey] = createTotals());
+
+  [lifetime.totals, bucket].forEach((totals) => {
+    if (isNewRun) totals.runs++;
+    totals.bestScore = Math.max(totals.bestScore, score);
+    COUNTERS.forEach((key) => {
+      totals[key] += run[key] - prev[key];
+    });
+    ['earned', 'used'].forEach((table) => {
+      Object.keys(run[table]).forEach((type) => {
+        totals[table][type] = (totals[table][type] || 0) + run[table][type] - (prev[table][type] || 0);
+      });
+    });
+  });
+
+  const summary = { score, mode: modeKey, accuracy: getAccuracy(run), perfects: run.perfects, cuts: run.cuts };
+  if (isNewRun) {
+    lifetime.recent.push(summary);
+    if (lifetime.recent.length > RECENT_RUNS) lifetime.recent.shift();
+  } else if (lifetime.recent.length) {
+    lifetime.recent[lifetime.recent.length - 1] = summary;
+  }
+
+  run.committed = {
+    ...Object.fromEntries(COUNTERS.map(key => [key, run[key]])),
+    earned: { ...run.earned },
+    used: { ...run.used }
+  };
+}
@@ -0,0 +1,103 @@
+/**
+ * Game Status Machine - The only place state.status changes
+ *
+ * STATUS_TRANSITIONS lists where each status may go next; anything else is
+ * rejected. Enter/exit hooks run around the change (registered in
+ * listeners.js) and 'status:changed' is emitted once it's done.
+ */
+
+import { gameEvents } from './events.js';
+
+export const STATUS_TRANSITIONS = {
+  LOADING: ['START'],
+  START: ['PLAYING', 'REPLAY'],
+  // START <-> PLAYING also covers leaving for the menu and resuming from it
+  PLAYING: ['PAUSED', 'GAMEOVER', 'START'],
+  PAUSED: ['PLAYING', 'START'],
+  GAMEOVER: ['PLAYING', 'START', 'REPLAY', 'CONTINUE_PENDING'],
+  // Waiting on the rewarded ad: it either pays out or the player backs out
+  CONTINUE_PENDING: ['PLAYING', 'GAMEOVER'],
+  REPLAY: ['START']
+};
+
+/**
+ * Finite state machine over STATUS_TRANSITIONS
+ */
+export class StatusMachine {
+  constructor(transitions = STATUS_TRANSITIONS) {
+    this.transitions = transitions;
+    this.enterHooks = new Map();
+    this.exitHooks = new Map();
+  }
+
+  /**
+   * Check whether a transition is allowed
+   * @param {string} from - Current status
+   * @param {string} to - Target status
+   * @returns {boolean}
+   */
+  can(from, to) {
+    const targets = this.transitions[from];
+    return !!targets && targets.includes(to);
+  }
+
+  /**
+   * Run a hook whenever a status is entered
+   * @param {string} status - Status name
+   * @param {Function} hook - Receives { state, from, to }
+   */
+  onEnter(status, hook) {
+    this.hooksFor(this.enterHooks, status).push(hook);
+  }
+
+  /**
+   * Run a hook whenever a status is left
+   * @param {string} status - Status name
+   * @param {Function} hook - Receives { state, from, to }
+   */
+  onExit(status, hook) {
+    this.hooksFor(this.exitHooks, status).push(hook);
+  }
+
+  hooksFor(table, status) {
+    if (!this.transitions[status]) throw new Error(`Unknown game status "${status}"`);
+    if (!table.has(status)) table.set(status, []);
+    return table.get(status);
+  }
+
+  /**
+   * Move to a new status, running exit then enter hooks
+   * @param {object} state - Game state
+   * @param {string} to - Target status
+   * @returns {boolean} - False if the transition was rejected
+   */
+  transition(state, to) {
+    const from = state.status;
+    if (!this.can(from, to)) {
+      console.warn(`Illegal status transition ${from} -> ${to}`);
+      return false;
+    }
+
+    const change = { state, from, to };
+    runHooks(this.exitHooks.get(from), change);
+    state.status = to;
+    runHooks(this.enterHooks.get(to), change);
+
+    gameEvents.emit('status:changed', change);
+    return true;
+  }
+}
+
+// A failing hook (e.g. the ad plugin) must not leave the status half-changed
+function runHooks(hooks, change) {
+  (hooks || []).forEach((hook) => {
+    try {
+      hook(change);
+    } catch (e) {
+      console.error(`Error in ${change.from} -> ${change.to} status hook:`, e);
+    }
+  });
+}
+
+// Export singleton
+export const statusMachine = new StatusMachine();
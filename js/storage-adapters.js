@@ -0,0 +1,216 @@
+/**
+ * Storage Adapters - Interchangeable key/value backends for storage.js
+ *
+ * Every adapter exposes the same promise-based interface:
+ *   getItem(key) -> Promise<string|null>
+ *   setItem(key, value) -> Promise<void>
+ *   removeItem(key) -> Promise<void>
+ */
+
+/**
+ * Browser localStorage (synchronous, wrapped in promises)
+ */
+export class LocalStorageAdapter {
+  constructor() {
+    this.name = 'localStorage';
+  }
+
+  static isAvailable() {
+    try {
+      const probe = '__stack_probe__';
+      window.localStorage.setItem(probe, probe);
+      window.localStorage.removeItem(probe);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  async getItem(key) {
+    return window.localStorage.getItem(key);
+  }
+
+  async setItem(key, value) {
+    window.localStorage.setItem(key, value);
+  }
+
+  async removeItem(key) {
+    window.localStorage.removeItem(key);
+  }
+}
+
+/**
+ * IndexedDB key/value store; asks the browser to mark storage persistent
+ * so the Quest browser and Android WebView don't evict it under pressure
+ */
+export class IndexedDBAdapter {
+  constructor(dbName = 'stack-void', storeName = 'kv') {
+    this.name = 'indexedDB';
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.dbPromise = null;
+  }
+
+  static isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open the database (once)
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      if (navigator.storage && navigator.storage.persist) {
+        navigator.storage.persist().catch(() => {});
+      }
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run one request in its own transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} makeRequest - Receives the object store, returns an IDBRequest
+   * @returns {Promise<*>} - Request result
+   */
+  async run(mode, makeRequest) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const request = makeRequest(tx.objectStore(this.storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  async getItem(key) {
+    const value = await this.run('readonly', store => store.get(key));
+    return value === undefined ? null : value;
+  }
+
+  async setItem(key, value) {
+    await this.run('readwrite', store => store.put(value, key));
+  }
+
+  async removeItem(key) {
+    await this.run('readwrite', store => store.delete(key));
+  }
+}
+
+/**
+ * Non-persistent store for headless runs and when nothing else works
+ */
+export class MemoryAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.items = new Map();
+  }
+
+  static isAvailable() {
+    return true;
+  }
+
+  async getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  async setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  async removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+/**
+ * Native preferences in the Cordova / Capacitor builds
+ *
+ * Takes a bridge of { get(key), set(key, value), remove(key) } returning
+ * promises. detectNativeBridge() covers Capacitor Preferences and
+ * cordova-plugin-nativestorage; other plugins can pass their own bridge.
+ */
+export class NativePreferencesAdapter {
+  constructor(bridge = detectNativeBridge()) {
+    this.name = 'native';
+    this.bridge = bridge;
+  }
+
+  static isAvailable() {
+    return !!detectNativeBridge();
+  }
+
+  async getItem(key) {
+    const value = await this.bridge.get(key);
+    return value === undefined ? null : value;
+  }
+
+  async setItem(key, value) {
+    await this.bridge.set(key, value);
+  }
+
+  async removeItem(key) {
+    await this.bridge.remove(key);
+  }
+}
+
+/**
+ * Find a native preferences plugin in the current runtime
+ * @returns {object|null} - Bridge for NativePreferencesAdapter
+ */
+export function detectNativeBridge() {
+  if (typeof window === 'undefined') return null;
+
+  const capacitor = window.Capacitor && window.Capacitor.Plugins && window.Capacitor.Plugins.Preferences;
+  if (capacitor) {
+    return {
+      get: async (key) => (await capacitor.get({ key })).value,
+      set: (key, value) => capacitor.set({ key, value }),
+      remove: (key) => capacitor.remove({ key })
+    };
+  }
+
+  const nativeStorage = window.NativeStorage;
+  if (nativeStorage) {
+    // The Cordova plugin reports a missing key as an error with code 2
+    return {
+      get: (key) => new Promise((resolve, reject) => {
+        nativeStorage.getItem(key, resolve, (err) => (err && err.code === 2 ? resolve(null) : reject(err)));
+      }),
+      set: (key, value) => new Promise((resolve, reject) => nativeStorage.setItem(key, value, resolve, reject)),
+      remove: (key) => new Promise((resolve, reject) => nativeStorage.remove(key, resolve, reject))
+    };
+  }
+
+  return null;
+}
+
+// Preferred order when no backend is requested
+const BACKENDS = {
+  native: NativePreferencesAdapter,
+  indexedDB: IndexedDBAdapter,
+  localStorage: LocalStorageAdapter,
+  memory: MemoryAdapter
+};
+
+/**
+ * Create the storage adapter for this runtime
+ * @param {string} [preferred] - Backend name to try first
+ * @returns {object} - Storage adapter
+ */
+export function createStorageAdapter(preferred) {
+  const names = Object.keys(BACKENDS);
+  if (preferred && BACKENDS[preferred]) names.unshift(preferred);
+
+  const name = names.find(n => BACKENDS[n].isAvailable());
+  return new BACKENDS[name]();
+}
@@ -1,25 +1,383 @@
 /**
- * Local Storage Persistence Module
+ * Persistence Module
+ *
+ * Progress and settings live in one versioned profile document under
+ * STORAGE_KEYS.profile. Older layouts are upgraded through MIGRATIONS and
+ * every load goes through repairProfile, so a corrupt value falls back to
+ * its default instead of breaking startup.
+ *
+ * The backend is a storage adapter (see storage-adapters.js) picked by
+ * initStorage. Reads are served from memory; writes go to the backend in
+ * the background.
  */
 
-import { STORAGE_KEYS, THEMES, DIFFICULTIES } from './config.js';
+import { STORAGE_KEYS, THEMES, DIFFICULTIES, ZEN_RULES, ACHIEVEMENTS } from './config.js';
+import { createDailyHistory } from './daily.js';
+import { createLifetimeStats, createTotals } from './stats.js';
+import { sanitizeCustomDifficulty } from './custom-difficulty.js';
+import { LocalStorageAdapter } from './storage-adapters.js';
 
-export function loadDifficulty() {
+export const PROFILE_VERSION = 9;
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Loose keys used before the profile document existed (version 0)
+const LEGACY_KEYS = {
+  best: STORAGE_KEYS.best,
+  bestStreak: STORAGE_KEYS.bestStreak,
+  muted: STORAGE_KEYS.muted,
+  legacyMuted: STORAGE_KEYS.legacyMuted,
+  theme: STORAGE_KEYS.theme,
+  difficulty: STORAGE_KEYS.difficulty,
+  tutorialSeen: STORAGE_KEYS.tutorialSeen,
+  daily: STORAGE_KEYS.daily
+};
+
+// MIGRATIONS[n] upgrades a version n document to version n + 1
+const MIGRATIONS = [
+  (legacy) => ({
+    version: 1,
+    bestScore: parseInt(legacy.best, 10),
+    bestStreak: parseInt(legacy.bestStreak, 10),
+    // persistMuted wrote 'stack_muted' but the main files read 'isMuted'
+    muted: legacy.muted === 'true' || legacy.legacyMuted === 'true',
+    theme: legacy.theme,
+    difficulty: legacy.difficulty,
+    tutorialSeen: legacy.tutorialSeen === 'true',
+    daily: parseJson(legacy.daily)
+  }),
+  (doc) => ({ ...doc, version: 2, stats: createLifetimeStats() }),
+  (doc) => ({ ...doc, version: 3, achievements: { unlocked: {}, progress: {} } }),
+  (doc) => ({ ...doc, version: 4, timeAttack: { best: 0 } }),
+  (doc) => ({ ...doc, version: 5, zenSpeed: 'medium' }),
+  (doc) => ({ ...doc, version: 6, customDifficulties: [] }),
+  (doc) => ({ ...doc, version: 7, hazards: {} }),
+  (doc) => ({ ...doc, version: 8, campaign: {} }),
+  (doc) => ({ ...doc, version: 9, silhouettes: {} })
+];
+
+let backend = null;
+let profile = null;
+const replays = { last: null, best: null };
+
+function parseJson(raw) {
   try {
-    const d = localStorage.getItem(STORAGE_KEYS.difficulty);
-    return (d && DIFFICULTIES[d]) ? d : 'medium';
+    return raw ? JSON.parse(raw) : null;
   } catch (e) {
-    return 'medium';
+    return null;
   }
 }
 
-export function loadThemeId() {
-  try {
-    const id = localStorage.getItem(STORAGE_KEYS.theme);
-    return id || THEMES[0].id;
-  } catch (e) {
-    return THEMES[0].id;
+function toCount(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : 0;
+}
+
+export function createProfile() {
+  return {
+    version: PROFILE_VERSION,
+    bestScore: 0,
+    bestStreak: 0,
+    muted: false,
+    theme: THEMES[0].id,
+    difficulty: 'medium',
+    tutorialSeen: false,
+    daily: createDailyHistory(),
+    stats: createLifetimeStats(),
+    achievements: { unlocked: {}, progress: {} },
+    timeAttack: { best: 0 },
+    zenSpeed: 'medium',
+    customDifficulties: [],
+    hazards: {},
+    campaign: {},
+    silhouettes: {}
+  };
+}
+
+export function migrateProfile(doc) {
+  let current = doc;
+  while (current.version < PROFILE_VERSION) {
+    const migrate = MIGRATIONS[current.version];
+    if (!migrate) throw new Error(`No migration from profile version ${current.version}`);
+    current = migrate(current);
+  }
+  return current;
+}
+
+function repairDailyHistory(history) {
+  const repaired = createDailyHistory();
+  if (!history || typeof history.results !== 'object' || history.results === null) return repaired;
+
+  Object.entries(history.results).forEach(([key, result]) => {
+    if (!DATE_KEY.test(key) || !result || typeof result !== 'object') return;
+    repaired.results[key] = {
+      score: toCount(result.score),
+      streak: toCount(result.streak),
+      done: result.done !== false
+    };
+  });
+
+  const scores = Object.values(repaired.results).map(r => r.score);
+  repaired.best = Math.max(toCount(history.best), ...scores, 0);
+  return repaired;
+}
+
+function repairCountTable(table) {
+  const repaired = {};
+  if (!table || typeof table !== 'object') return repaired;
+  Object.entries(table).forEach(([type, count]) => {
+    repaired[type] = toCount(count);
+  });
+  return repaired;
+}
+
+function repairTotals(totals) {
+  const repaired = createTotals();
+  if (!totals || typeof totals !== 'object') return repaired;
+
+  Object.keys(repaired).forEach((key) => {
+    if (key === 'earned' || key === 'used') {
+      repaired[key] = repairCountTable(totals[key]);
+    } else if (key === 'accuracySum' || key === 'areaLost' || key === 'duration') {
+      const n = Number(totals[key]);
+      repaired[key] = Number.isFinite(n) && n > 0 ? n : 0;
+    } else {
+      repaired[key] = toCount(totals[key]);
+    }
+  });
+  return repaired;
+}
+
+function repairStats(stats) {
+  const repaired = createLifetimeStats();
+  if (!stats || typeof stats !== 'object') return repaired;
+
+  repaired.totals = repairTotals(stats.totals);
+  if (stats.byMode && typeof stats.byMode === 'object') {
+    Object.entries(stats.byMode).forEach(([mode, totals]) => {
+      repaired.byMode[mode] = repairTotals(totals);
+    });
+  }
+  if (Array.isArray(stats.recent)) {
+    repaired.recent = stats.recent
+      .filter(run => run && typeof run === 'object')
+      .map(run => ({
+        score: toCount(run.score),
+        mode: String(run.mode || ''),
+        accuracy: Math.min(1, Math.max(0, Number(run.accuracy) || 0)),
+        perfects: toCount(run.perfects),
+        cuts: toCount(run.cuts)
+      }));
+  }
+  return repaired;
+}
+
+function repairAchievements(achievements) {
+  const repaired = { unlocked: {}, progress: {} };
+  if (!achievements || typeof achievements !== 'object') return repaired;
+
+  // Drop entries for achievements that no longer exist in the catalog
+  ACHIEVEMENTS.forEach(({ id }) => {
+    const unlocked = achievements.unlocked && achievements.unlocked[id];
+    if (typeof unlocked === 'string') repaired.unlocked[id] = unlocked;
+    const count = toCount(achievements.progress && achievements.progress[id]);
+    if (count) repaired.progress[id] = count;
+  });
+  return repaired;
+}
+
+// Presets are picked by name, so a later duplicate is dropped
+function repairCustomDifficulties(presets) {
+  if (!Array.isArray(presets)) return [];
+  const names = new Set();
+  return presets
+    .filter(preset => preset && typeof preset === 'object')
+    .map(sanitizeCustomDifficulty)
+    .filter((preset) => {
+      if (names.has(preset.name)) return false;
+      names.add(preset.name);
+      return true;
+    });
+}
+
+// Only modes switched on are kept
+function repairHazardModes(modes) {
+  if (!modes || typeof modes !== 'object') return {};
+  return Object.fromEntries(Object.entries(modes).filter(([, on]) => on === true));
+}
+
+function repairCampaignProgress(progress) {
+  const repaired = {};
+  if (!progress || typeof progress !== 'object') return repaired;
+
+  Object.entries(progress).forEach(([id, result]) => {
+    if (!result || typeof result !== 'object') return;
+    repaired[id] = { stars: Math.min(3, toCount(result.stars)), best: toCount(result.best) };
+  });
+  return repaired;
+}
+
+// Best match (0-100) per puzzle
+function repairSilhouetteBests(bests) {
+  const repaired = {};
+  if (!bests || typeof bests !== 'object') return repaired;
+
+  Object.entries(bests).forEach(([id, best]) => {
+    repaired[id] = Math.min(100, toCount(best));
+  });
+  return repaired;
+}
+
+export function repairProfile(doc) {
+  const fresh = createProfile();
+  if (!doc || typeof doc !== 'object') return fresh;
+
+  return {
+    version: PROFILE_VERSION,
+    bestScore: toCount(doc.bestScore),
+    bestStreak: toCount(doc.bestStreak),
+    muted: doc.muted === true,
+    theme: THEMES.some(t => t.id === doc.theme) ? doc.theme : fresh.theme,
+    difficulty: Object.hasOwn(DIFFICULTIES, doc.difficulty || '') ? doc.difficulty : fresh.difficulty,
+    tutorialSeen: doc.tutorialSeen === true,
+    daily: repairDailyHistory(doc.daily),
+    stats: repairStats(doc.stats),
+    achievements: repairAchievements(doc.achievements),
+    timeAttack: { best: toCount(doc.timeAttack && doc.timeAttack.best) },
+    zenSpeed: Object.hasOwn(ZEN_RULES.speeds, doc.zenSpeed || '') ? doc.zenSpeed : fresh.zenSpeed,
+    customDifficulties: repairCustomDifficulties(doc.customDifficulties),
+    hazards: repairHazardModes(doc.hazards),
+    campaign: repairCampaignProgress(doc.campaign),
+    silhouettes: repairSilhouetteBests(doc.silhouettes)
+  };
+}
+
+// The loose keys only ever existed in localStorage
+async function readLegacyProfile(local) {
+  const legacy = { version: 0 };
+  let found = false;
+  for (const [field, key] of Object.entries(LEGACY_KEYS)) {
+    legacy[field] = await local.getItem(key);
+    if (legacy[field] !== null) found = true;
+  }
+  return found ? legacy : null;
+}
+
+async function removeLegacyKeys(local) {
+  for (const key of Object.values(LEGACY_KEYS)) {
+    await local.removeItem(key);
+  }
+}
+
+// Read a key from the backend, carrying it over from localStorage when a
+// newer backend doesn't have it yet
+async function readCarriedOver(key, local) {
+  const value = await backend.getItem(key);
+  if (value !== null || !local || local === backend) return value;
+
+  const old = await local.getItem(key);
+  if (old !== null) await backend.setItem(key, old);
+  return old;
+}
+
+async function loadProfile(local) {
+  const raw = await readCarriedOver(STORAGE_KEYS.profile, local);
+  if (raw) {
+    const doc = parseJson(raw);
+    if (!doc) {
+      // Keep the unreadable copy around rather than silently overwriting it
+      await backend.setItem(STORAGE_KEYS.profileBackup, raw);
+      console.warn('Profile was corrupt, starting fresh');
+      return createProfile();
+    }
+    try {
+      return repairProfile(doc.version < PROFILE_VERSION ? migrateProfile(doc) : doc);
+    } catch (e) {
+      // A version no migration starts from (fractional, negative, missing
+      // steps): back it up and salvage what repairProfile can still read
+      await backend.setItem(STORAGE_KEYS.profileBackup, raw);
+      console.warn(`Profile version ${doc.version} can't be migrated, repairing it as-is`);
+      return repairProfile(doc);
+    }
+  }
+
+  const legacy = local ? await readLegacyProfile(local) : null;
+  if (legacy) {
+    const migrated = repairProfile(migrateProfile(legacy));
+    await backend.setItem(STORAGE_KEYS.profile, JSON.stringify(migrated));
+    await removeLegacyKeys(local);
+    return migrated;
   }
+  return createProfile();
+}
+
+// Throws if the backend can't be read, so the caller can fall back
+export async function initStorage(adapter) {
+  backend = adapter;
+  const local = LocalStorageAdapter.isAvailable()
+    ? (adapter instanceof LocalStorageAdapter ? adapter : new LocalStorageAdapter())
+    : null;
+
+  profile = await loadProfile(local);
+
+  for (const which of Object.keys(replays)) {
+    try {
+      replays[which] = parseJson(await readCarriedOver(replayKey(which), local));
+    } catch (e) {
+      replays[which] = null;
+    }
+  }
+}
+
+export function getStorageBackendName() {
+  return backend ? backend.name : 'none';
+}
+
+function getProfile() {
+  if (!profile) profile = createProfile();
+  return profile;
+}
+
+function write(key, value) {
+  if (!backend) return;
+  backend.setItem(key, value).catch((e) => {
+    console.warn(`Failed to persist ${key}:`, e);
+  });
+}
+
+function saveProfile() {
+  write(STORAGE_KEYS.profile, JSON.stringify(getProfile()));
+}
+
+function updateProfile(changes) {
+  Object.assign(getProfile(), changes);
+  saveProfile();
+}
+
+export function exportProfile() {
+  return JSON.stringify({ ...getProfile(), exportedAt: new Date().toISOString() }, null, 2);
+}
+
+export function importProfile(text) {
+  const doc = parseJson(text);
+  if (!doc || typeof doc !== 'object' || !Number.isInteger(doc.version) || doc.version < 0) {
+    throw new Error('Not a Stack Void profile');
+  }
+  if (doc.version > PROFILE_VERSION) {
+    throw new Error('This profile was saved by a newer version of the game');
+  }
+
+  profile = repairProfile(migrateProfile(doc));
+  saveProfile();
+  return profile;
+}
+
+export function loadDifficulty() {
+  return getProfile().difficulty;
+}
+
+export function loadThemeId() {
+  return getProfile().theme;
 }
 
 export function pickThemeById(id) {
@@ -27,68 +385,120 @@ export function pickThemeById(id) {
 }
 
 export function persistDifficulty(difficulty) {
-  try {
-    localStorage.setItem(STORAGE_KEYS.difficulty, difficulty);
-  } catch (e) {
-    console.warn('Failed to persist difficulty:', e);
-  }
+  updateProfile({ difficulty });
 }
 
 export function persistTheme(themeId) {
-  try {
-    localStorage.setItem(STORAGE_KEYS.theme, themeId);
-  } catch (e) {
-    console.warn('Failed to persist theme:', e);
-  }
+  updateProfile({ theme: themeId });
 }
 
 export function persistMuted(isMuted) {
-  try {
-    localStorage.setItem(STORAGE_KEYS.muted, isMuted ? 'true' : 'false');
-  } catch (e) {
-    console.warn('Failed to persist muted state:', e);
-  }
+  updateProfile({ muted: !!isMuted });
 }
 
 export function loadMuted() {
-  try {
-    return localStorage.getItem(STORAGE_KEYS.muted) === 'true';
-  } catch (e) {
-    return false;
-  }
+  return getProfile().muted;
 }
 
 export async function persistBestScores(bestScore, bestStreak) {
-  try {
-    localStorage.setItem(STORAGE_KEYS.best, String(bestScore));
-    localStorage.setItem(STORAGE_KEYS.bestStreak, String(bestStreak));
-  } catch (e) {
-    console.warn('Failed to persist best scores:', e);
-  }
+  updateProfile({ bestScore, bestStreak });
 }
 
 export function loadBestScores() {
-  try {
-    const best = parseInt(localStorage.getItem(STORAGE_KEYS.best) || '0', 10);
-    const streak = parseInt(localStorage.getItem(STORAGE_KEYS.bestStreak) || '0', 10);
-    return { bestScore: best, bestStreak: streak };
-  } catch (e) {
-    return { bestScore: 0, bestStreak: 0 };
-  }
+  const { bestScore, bestStreak } = getProfile();
+  return { bestScore, bestStreak };
 }
 
 export function loadTutorialSeen() {
-  try {
-    return localStorage.getItem('hasSeenTutorial') === 'true';
-  } catch (e) {
-    return false;
-  }
+  return getProfile().tutorialSeen;
 }
 
 export function persistTutorialSeen() {
-  try {
-    localStorage.setItem('hasSeenTutorial', 'true');
-  } catch (e) {
-    console.warn('Failed to persist tutorial state:', e);
-  }
+  updateProfile({ tutorialSeen: true });
+}
+
+export function loadDailyHistory() {
+  return getProfile().daily;
+}
+
+export function persistDailyHistory(history) {
+  updateProfile({ daily: history });
+}
+
+export function loadLifetimeStats() {
+  return getProfile().stats;
+}
+
+export function persistLifetimeStats(stats) {
+  updateProfile({ stats });
+}
+
+export function loadAchievements() {
+  return getProfile().achievements;
+}
+
+export function persistAchievements(achievements) {
+  updateProfile({ achievements });
+}
+
+export function loadTimeAttackBest() {
+  return getProfile().timeAttack.best;
+}
+
+export function persistTimeAttackBest(best) {
+  updateProfile({ timeAttack: { best } });
+}
+
+export function loadZenSpeed() {
+  return getProfile().zenSpeed;
+}
+
+export function persistZenSpeed(zenSpeed) {
+  updateProfile({ zenSpeed });
+}
+
+export function loadCustomDifficulties() {
+  return getProfile().customDifficulties;
+}
+
+export function persistCustomDifficulties(customDifficulties) {
+  updateProfile({ customDifficulties });
+}
+
+export function loadHazardModes() {
+  return getProfile().hazards;
+}
+
+export function persistHazardModes(hazards) {
+  updateProfile({ hazards });
+}
+
+export function loadCampaignProgress() {
+  return getProfile().campaign;
+}
+
+export function persistCampaignProgress(campaign) {
+  updateProfile({ campaign });
+}
+
+export function loadSilhouetteBests() {
+  return getProfile().silhouettes;
+}
+
+export function persistSilhouetteBests(silhouettes) {
+  updateProfile({ silhouettes });
+}
+
+// Replays are a rewatch cache, kept outside the profile to keep it small
+function replayKey(which) {
+  return which === 'best' ? STORAGE_KEYS.replayBest : STORAGE_KEYS.replayLast;
+}
+
+export function persistReplay(which, recording) {
+  replays[which === 'best' ? 'best' : 'last'] = recording;
+  write(replayKey(which), JSON.stringify(recording));
+}
+
+export function loadReplay(which) {
+  return replays[which === 'best' ? 'best' : 'last'];
 }
@@ -2,10 +2,22 @@
  * UI Manager - Handles all UI rendering
  */
 
-import { BRAND, THEMES, DIFFICULTIES } from './config.js';
-import { persistTheme, persistMuted } from './storage.js';
+import { BRAND, THEMES, DIFFICULTIES, DAILY_RULES, TIME_ATTACK_RULES, ZEN_RULES, SHAPES_RULES, ACHIEVEMENTS } from './config.js';
+import { CONFIG, CUSTOM_DIFFICULTY_FIELDS, HAZARDS, SILHOUETTE_RULES, SILHOUETTES } from './config.js';
+import { persistTheme, persistMuted, loadReplay } from './storage.js';
 import { getComboTitle } from './utils.js';
-import { adMobService } from './admob.js';
+import { formatSeed } from './rng.js';
+import { REPLAY_SPEEDS, isValidRecording } from './replay.js';
+import { getRules, getHeight } from './simulation.js';
+import { getSpeedForecast } from './speed.js';
+import { getDailyKey, getDailyResult, buildDailyCalendar } from './daily.js';
+import { getAccuracy } from './stats.js';
+import { createCustomDifficulty } from './custom-difficulty.js';
+import { getLevelProgress, isLevelUnlocked, countStars } from './campaign.js';
+import { getSilhouetteScore } from './silhouette.js';
+import { getDropOdds, getDropContext } from './drops.js';
+import { drawLineChart, drawBarChart } from './charts.js';
+import { POWERUPS, POWERUP_TYPES } from './powerup-registry.js';
 
 /**
  * UI Manager class
@@ -13,6 +25,8 @@ import { adMobService } from './admob.js';
 export class UIManager {
   constructor() {
     this.root = null;
+    this.view = 'main'; // Start screen sub-view: 'main', 'stats', 'custom' or 'campaign'
+    this.dropReadout = ''; // Last drop's overlap readout (Zen HUD)
   }
 
   /**
@@ -34,6 +48,16 @@ export class UIManager {
     this.render(state);
   }
 
+  /**
+   * Switch the start screen sub-view
+   * @param {object} state - Game state
+   * @param {string} view - 'main', 'stats', 'custom' or 'campaign'
+   */
+  showView(state, view) {
+    this.view = view;
+    this.render(state);
+  }
+
   /**
    * Main render function - dispatches to appropriate screen
    * @param {object} state - Game state
@@ -42,23 +66,17 @@ export class UIManager {
     if (!this.root) this.root = document.getElementById('ui-root');
     this.root.innerHTML = '';
     
-    // Hide power-up inventory when not playing
-    const inventory = document.querySelector('.powerup-inventory');
-    if (inventory) {
-      inventory.style.display = (state.status === 'PLAYING') ? 'flex' : 'none';
-    }
-    
-    if (state.status === 'START') this.renderStart(state);
+    if (state.status !== 'START') this.view = 'main';
+
+    if (state.status === 'START' && this.view === 'stats') this.renderStats(state);
+    else if (state.status === 'START' && this.view === 'custom') this.renderCustom(state);
+    else if (state.status === 'START' && this.view === 'campaign') this.renderCampaign(state);
+    else if (state.status === 'START') this.renderStart(state);
     else if (state.status === 'PLAYING') this.renderHUD(state);
     else if (state.status === 'GAMEOVER') this.renderGameOver(state);
     else if (state.status === 'PAUSED') this.renderPaused(state);
-    
-    // Show/hide banner ads based on game state
-    if (state.status === 'START' || state.status === 'GAMEOVER') {
-      adMobService.showBanner();
-    } else {
-      adMobService.hideBanner();
-    }
+    else if (state.status === 'REPLAY') this.renderReplay(state);
+    else if (state.status === 'CONTINUE_PENDING') this.renderContinuePending(state);
   }
 
   /**
@@ -83,6 +101,24 @@ export class UIManager {
   renderStart(state) {
     const overlay = document.createElement('div');
     overlay.className = 'overlay';
+    const isDaily = state.mode === 'daily';
+    const isTimeAttack = state.mode === 'timeAttack';
+    const isZen = state.mode === 'zen';
+    const isShapes = state.mode === 'shapes';
+    const isCustom = state.mode === 'custom' && !!state.customDifficulty;
+    const isCampaign = state.mode === 'campaign' && !!state.campaignLevel;
+    const isSilhouette = state.mode === 'silhouette';
+    const classic = (diff) => state.mode === 'classic' && state.difficulty === diff ? 'selected' : '';
+    const hazardsOn = !!state.hazardModes[state.mode];
+    const hazardsFixed = getRules(state).hazards !== undefined;
+    const modeLabel = state.mode === 'classic' ? 'CLASSIC' : getRules(state).name;
+    this.dropReadout = '';
+    const dailyResult = getDailyResult(state.daily, getDailyKey());
+    const startLocked = state.selectedThemeLocked || (isDaily && !!dailyResult);
+    const startLabel = isDaily && dailyResult
+      ? 'DAILY DONE • COME BACK TOMORROW'
+      : (state.selectedThemeLocked ? `LOCKED • UNLOCK AT ${state.selectedThemeUnlockAt}` : BRAND.cta);
+
     overlay.innerHTML = `
       ${this.renderMuteBtn(state)}
       <div class="glass-panel">
@@ -101,20 +137,85 @@ export class UIManager {
 
         <span class="selector-label">Difficulty</span>
         <div class="difficulty-grid">
-          <div class="diff-item ${state.difficulty === 'easy' ? 'selected' : ''}" onclick="window.gameSetDiff('easy', event)">EASY</div>
-          <div class="diff-item ${state.difficulty === 'medium' ? 'selected' : ''}" onclick="window.gameSetDiff('medium', event)">NORMAL</div>
-          <div class="diff-item ${state.difficulty === 'hard' ? 'selected' : ''}" onclick="window.gameSetDiff('hard', event)">HARD</div>
+          <div class="diff-item ${classic('easy')}" onclick="window.gameSetDiff('easy', event)">EASY</div>
+          <div class="diff-item ${classic('medium')}" onclick="window.gameSetDiff('medium', event)">NORMAL</div>
+          <div class="diff-item ${classic('hard')}" onclick="window.gameSetDiff('hard', event)">HARD</div>
+          <div class="diff-item daily-item ${isDaily ? 'selected' : ''}" onclick="window.gameSetMode('daily', event)">
+            DAILY VOID ${dailyResult ? `• ${dailyResult.score}` : '• NEW'}
+          </div>
+          <div class="diff-item time-attack-item ${isTimeAttack ? 'selected' : ''}" onclick="window.gameSetMode('timeAttack', event)">
+            ⏱ ${TIME_ATTACK_RULES.name} • BEST ${state.timeAttackBest}
+          </div>
+          <div class="diff-item zen-item ${isZen ? 'selected' : ''}" onclick="window.gameSetMode('zen', event)">
+            🧘 ${ZEN_RULES.name} • PRACTICE
+          </div>
+          <div class="diff-item shapes-item ${isShapes ? 'selected' : ''}" onclick="window.gameSetMode('shapes', event)">
+            ◆ ${SHAPES_RULES.name} • BEST ${getModeBest(state, 'shapes')}
+          </div>
+          <div class="diff-item silhouette-item ${isSilhouette ? 'selected' : ''}" onclick="window.gameSetMode('silhouette', event)">
+            ◭ ${SILHOUETTE_RULES.name} • PUZZLE
+          </div>
+          <div class="diff-item custom-item ${isCustom ? 'selected' : ''}" onclick="window.gameShowView('custom', event)">
+            ⚙ CUSTOM ${isCustom ? `• ${state.customDifficulty.name}` : ''}
+          </div>
+          ${state.campaign.length ? `
+            <div class="diff-item campaign-item ${isCampaign ? 'selected' : ''}" onclick="window.gameShowView('campaign', event)">
+              🗺 CAMPAIGN ${isCampaign ? `• ${state.campaignLevel.name}` : ''} • ★ ${countStars(state.campaign, state.campaignProgress)}/${state.campaign.length * 3}
+            </div>
+          ` : ''}
         </div>
 
+        ${isZen ? `
+          <span class="selector-label">Zen Speed</span>
+          <div class="difficulty-grid">
+            ${Object.keys(ZEN_RULES.speeds).map(level => `
+              <div class="diff-item ${state.zenSpeed === level ? 'selected' : ''}" onclick="window.gameSetZenSpeed('${level}', event)">${level.toUpperCase()}</div>
+            `).join('')}
+          </div>
+        ` : ''}
+
+        ${isSilhouette ? `
+          <span class="selector-label">Puzzle</span>
+          <div class="difficulty-grid">
+            ${SILHOUETTES.map(puzzle => `
+              <div class="diff-item ${state.silhouette === puzzle.id ? 'selected' : ''}" onclick="window.gameSetSilhouette('${puzzle.id}', event)">
+                ${puzzle.name} • ${state.silhouetteBests[puzzle.id] || 0}%
+              </div>
+            `).join('')}
+          </div>
+        ` : ''}
+
+        ${hazardsFixed ? '' : `
+          <span class="selector-label">Hazards</span>
+          <div class="difficulty-grid">
+            <div class="diff-item hazard-item ${hazardsOn ? 'selected' : ''}" onclick="window.gameToggleHazards(event)">
+              ${Object.values(HAZARDS).map(h => h.icon).join(' ')} ${hazardsOn ? 'ON' : 'OFF'} • ${modeLabel}
+            </div>
+          </div>
+        `}
+
+        ${isDaily ? this.renderDailyCalendar(state) : ''}
+
         <span class="selector-label">Theme</span>
         <div class="theme-grid" id="theme-grid"></div>
 
+        ${this.renderReplayButtons()}
+
+        <span class="selector-label">Profile</span>
+        <div class="difficulty-grid">
+          <div class="diff-item" onclick="window.gameShowView('stats', event)">📊 STATS</div>
+          <div class="diff-item" onclick="window.gameExportProfile(event)">⤓ EXPORT</div>
+          <div class="diff-item" onclick="window.gameImportProfile(event)">⤒ IMPORT</div>
+        </div>
+
         ${state.stack.length > 1 ? `
           <button id="resume-btn" class="btn btn-cta" style="margin-top: 20px">RESUME GAME</button>
-          <button id="new-game-btn" class="btn btn-glass" onclick="window.gameStartNew(event)">NEW GAME</button>
+          <button id="new-game-btn" class="btn btn-glass" ${startLocked ? 'disabled' : ''} onclick="window.gameStartNew(event)">
+            ${startLocked ? startLabel : 'NEW GAME'}
+          </button>
         ` : `
-          <button id="start-btn" class="btn btn-cta" style="margin-top: 20px" ${state.selectedThemeLocked ? 'disabled' : ''} onclick="window.gameStartNew(event)">
-            ${state.selectedThemeLocked ? `LOCKED • UNLOCK AT ${state.selectedThemeUnlockAt}` : BRAND.cta}
+          <button id="start-btn" class="btn btn-cta" style="margin-top: 20px" ${startLocked ? 'disabled' : ''} onclick="window.gameStartNew(event)">
+            ${startLabel}
           </button>
         `}
       </div>
@@ -131,6 +232,301 @@ export class UIManager {
     }
   }
 
+  /**
+   * Render the Daily Void calendar for the current month
+   * @param {object} state - Game state
+   * @returns {string} - HTML string
+   */
+  renderDailyCalendar(state) {
+    const { title, weeks } = buildDailyCalendar(state.daily);
+    const cell = (c) => {
+      if (!c) return '<div class="daily-cell empty"></div>';
+      const classes = ['daily-cell'];
+      if (c.result) classes.push('played');
+      if (c.isToday) classes.push('today');
+      if (c.isFuture) classes.push('future');
+      return `
+        <div class="${classes.join(' ')}">
+          <span class="daily-day">${c.day}</span>
+          <span class="daily-score">${c.result ? c.result.score : ''}</span>
+        </div>
+      `;
+    };
+
+    return `
+      <div class="daily-calendar">
+        <div class="daily-header">
+          <span>${title}</span>
+          <span>BEST <b>${state.daily.best}</b></span>
+        </div>
+        <div class="daily-grid">
+          ${['M', 'T', 'W', 'T', 'F', 'S', 'S'].map(d => `<div class="daily-weekday">${d}</div>`).join('')}
+          ${weeks.map(week => week.map(cell).join('')).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the lifetime stats screen
+   * @param {object} state - Game state
+   */
+  renderStats(state) {
+    const { totals, byMode, recent } = state.lifetimeStats;
+    const pct = v => `${Math.round(v * 100)}%`;
+    const minutes = Math.round(totals.duration / 60000);
+    const modeNames = {
+      ...Object.fromEntries(Object.entries(DIFFICULTIES).map(([k, d]) => [k, d.name])),
+      daily: DAILY_RULES.name,
+      timeAttack: TIME_ATTACK_RULES.name,
+      shapes: SHAPES_RULES.name,
+      custom: 'CUSTOM',
+      campaign: 'CAMPAIGN',
+      silhouette: SILHOUETTE_RULES.name
+    };
+    const modes = Object.keys(modeNames).filter(k => byMode[k] && byMode[k].runs);
+    const stat = (label, value, color = '') => `
+      <div class="stat-cell">
+        <span class="stat-label">${label}</span>
+        <span class="stat-value" ${color ? `style="color: ${color}"` : ''}>${value}</span>
+      </div>
+    `;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'overlay';
+    overlay.innerHTML = `
+      ${this.renderMuteBtn(state)}
+      <div class="glass-panel stats-panel">
+        <h2 style="font-weight: 900; font-size: 1.8rem; margin: 0 0 15px;">STATS</h2>
+
+        <div class="stats-grid">
+          ${stat('Runs', totals.runs)}
+          ${stat('Accuracy', pct(getAccuracy(totals)), 'var(--neon-cyan)')}
+          ${stat('Play Time', `${minutes}m`)}
+          ${stat('Perfects', totals.perfects, 'var(--neon-pink)')}
+          ${stat('Cuts', totals.cuts)}
+          ${stat('Area Lost', totals.areaLost.toFixed(1))}
+          ${stat('Continues', totals.continues)}
+          ${stat('Power-Ups Used', Object.values(totals.used).reduce((a, b) => a + b, 0))}
+          ${stat('Best Streak', state.bestStreak)}
+        </div>
+
+        <span class="selector-label">Accuracy • Last ${recent.length} Runs</span>
+        <canvas id="stats-accuracy" class="stats-chart"></canvas>
+
+        <span class="selector-label">Accuracy by Mode</span>
+        <canvas id="stats-modes" class="stats-chart"></canvas>
+        <div class="stats-modes">
+          ${modes.map(k => `
+            <div class="stats-mode-row">
+              <span>${modeNames[k]}</span>
+              <span>${byMode[k].runs} runs • best ${byMode[k].bestScore} • ${byMode[k].perfects} perfects</span>
+            </div>
+          `).join('')}
+        </div>
+
+        <span class="selector-label">Power-Ups Earned / Used</span>
+        <canvas id="stats-powerups" class="stats-chart"></canvas>
+
+        ${this.renderAchievementList(state)}
+
+        <button class="btn btn-glass" style="margin-top: 15px" onclick="window.gameShowView('main', event)">BACK</button>
+      </div>
+    `;
+    this.root.appendChild(overlay);
+
+    const colors = state.currentTheme.colors;
+    drawLineChart(document.getElementById('stats-accuracy'), recent.map(r => r.accuracy), {
+      color: colors[0],
+      format: pct
+    });
+
+    drawBarChart(document.getElementById('stats-modes'), modes.map(k => ({
+      label: modeNames[k],
+      value: getAccuracy(byMode[k])
+    })), {
+      color: colors[0],
+      format: pct
+    });
+
+    const types = POWERUP_TYPES.filter(t => totals.earned[t] || totals.used[t]);
+    drawBarChart(document.getElementById('stats-powerups'), types.map(t => ({
+      label: POWERUPS[t].icon,
+      value: totals.earned[t] || 0,
+      value2: totals.used[t] || 0
+    })), {
+      color: colors[0],
+      color2: colors[1]
+    });
+  }
+
+  /**
+   * Render the custom difficulty editor and saved presets
+   * @param {object} state - Game state
+   */
+  renderCustom(state) {
+    const draft = state.customDifficulty || createCustomDifficulty('CUSTOM', DIFFICULTIES[state.difficulty]);
+    const selected = state.mode === 'custom' ? draft.name : null;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'overlay';
+    overlay.innerHTML = `
+      ${this.renderMuteBtn(state)}
+      <div class="glass-panel custom-panel">
+        <h2 style="font-weight: 900; font-size: 1.8rem; margin: 0 0 15px;">CUSTOM</h2>
+
+        <span class="selector-label">Name</span>
+        <input id="custom-name" class="custom-input custom-name" maxlength="16" value="${draft.name}">
+
+        <div class="custom-fields">
+          ${CUSTOM_DIFFICULTY_FIELDS.map(f => `
+            <label class="custom-field">
+              <span>${f.label}</span>
+              <input id="custom-${f.key}" class="custom-input" type="number"
+                min="${f.min}" max="${f.max}" step="${f.step}" value="${draft[f.key]}">
+            </label>
+          `).join('')}
+        </div>
+
+        <button class="btn btn-cta" onclick="window.gameSaveCustom(event)">SAVE & SELECT</button>
+
+        ${state.customDifficulties.length ? `
+          <span class="selector-label">Saved</span>
+          <div class="custom-list">
+            ${state.customDifficulties.map((p, i) => `
+              <div class="custom-row ${p.name === selected ? 'selected' : ''}">
+                <span class="custom-row-name" onclick="window.gameSelectCustom(${i}, event)">${p.name}</span>
+                <span class="custom-row-action" onclick="window.gameShareCustom(${i}, event)">📤</span>
+                <span class="custom-row-action" onclick="window.gameDeleteCustom(${i}, event)">✕</span>
+              </div>
+            `).join('')}
+          </div>
+        ` : ''}
+
+        <span class="selector-label">Import Code</span>
+        <div class="custom-import">
+          <input id="custom-code" class="custom-input" placeholder="SV1-...">
+          <div class="diff-item" onclick="window.gameImportCustomCode(event)">ADD</div>
+        </div>
+
+        <button class="btn btn-glass" style="margin-top: 15px" onclick="window.gameShowView('main', event)">BACK</button>
+      </div>
+    `;
+    this.root.appendChild(overlay);
+  }
+
+  /**
+   * Render the campaign level select
+   * @param {object} state - Game state
+   */
+  renderCampaign(state) {
+    const levels = state.campaign;
+    const selected = state.mode === 'campaign' && state.campaignLevel ? state.campaignLevel.id : null;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'overlay';
+    overlay.innerHTML = `
+      ${this.renderMuteBtn(state)}
+      <div class="glass-panel campaign-panel">
+        <h2 style="font-weight: 900; font-size: 1.8rem; margin: 0 0 5px;">CAMPAIGN</h2>
+        <p class="daily-subtitle">★ ${countStars(levels, state.campaignProgress)} / ${levels.length * 3}</p>
+
+        <div class="campaign-grid">
+          ${levels.map((level, i) => {
+            const unlocked = isLevelUnlocked(levels, state.campaignProgress, i);
+            const progress = getLevelProgress(state.campaignProgress, level);
+            return `
+              <div class="campaign-level ${unlocked ? '' : 'locked'} ${level.id === selected ? 'selected' : ''}"
+                ${unlocked ? `onclick="window.gamePlayLevel(${i}, event)"` : ''}>
+                <span class="campaign-number">${unlocked ? i + 1 : '🔒'}</span>
+                <span class="campaign-name">${level.name}</span>
+                <span class="campaign-goal">GOAL ${level.target}${level.hazards ? ` • ${level.hazards.types.map(t => HAZARDS[t].icon).join('')}` : ''}</span>
+                <span class="campaign-stars">${formatStars(progress.stars)}</span>
+              </div>
+            `;
+          }).join('')}
+        </div>
+
+        <button class="btn btn-glass" style="margin-top: 15px" onclick="window.gameShowView('main', event)">BACK</button>
+      </div>
+    `;
+    this.root.appendChild(overlay);
+  }
+
+  /**
+   * Read the custom difficulty editor's inputs
+   * @returns {object|null} - Unsanitized preset, or null if the editor isn't shown
+   */
+  readCustomForm() {
+    const nameInput = document.getElementById('custom-name');
+    if (!nameInput) return null;
+
+    const preset = { name: nameInput.value };
+    CUSTOM_DIFFICULTY_FIELDS.forEach((f) => {
+      preset[f.key] = document.getElementById(`custom-${f.key}`).value;
+    });
+    return preset;
+  }
+
+  /**
+   * Read the custom difficulty import box
+   * @returns {string} - Entered code
+   */
+  readCustomCode() {
+    const input = document.getElementById('custom-code');
+    return input ? input.value : '';
+  }
+
+  /**
+   * Render the achievement catalog with unlock state and progress
+   * @param {object} state - Game state
+   * @returns {string} - HTML string
+   */
+  renderAchievementList(state) {
+    const { unlocked, progress } = state.achievements;
+    const count = ACHIEVEMENTS.filter(a => unlocked[a.id]).length;
+
+    return `
+      <span class="selector-label">Achievements • ${count}/${ACHIEVEMENTS.length}</span>
+      <div class="achievement-list">
+        ${ACHIEVEMENTS.map((a) => {
+          const done = !!unlocked[a.id];
+          const value = done ? a.count : (progress[a.id] || 0);
+          return `
+            <div class="achievement-item ${done ? 'unlocked' : ''}">
+              <span class="achievement-icon">${done ? a.icon : '🔒'}</span>
+              <div class="achievement-body">
+                <span class="achievement-name">${a.name}</span>
+                <span class="achievement-desc">${a.desc}</span>
+                ${a.count && !done ? `
+                  <div class="achievement-progress"><div style="width: ${(value / a.count) * 100}%"></div></div>
+                ` : ''}
+              </div>
+            </div>
+          `;
+        }).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Render buttons for the saved replays
+   * @returns {string} - HTML string
+   */
+  renderReplayButtons() {
+    const last = isValidRecording(loadReplay('last'));
+    const best = isValidRecording(loadReplay('best'));
+    if (!last && !best) return '';
+
+    return `
+      <span class="selector-label">Replays</span>
+      <div class="replay-grid">
+        ${last ? `<div class="diff-item" onclick="window.gameWatchReplay('last', event)">▶ LAST RUN</div>` : ''}
+        ${best ? `<div class="diff-item" onclick="window.gameWatchReplay('best', event)">▶ BEST RUN</div>` : ''}
+      </div>
+    `;
+  }
+
   /**
    * Populate theme grid
    * @param {object} state - Game state
@@ -155,6 +551,7 @@ export class UIManager {
       el.onclick = (e) => {
         e.stopPropagation();
         state.currentTheme = t;
+        state.menuTheme = null; // A pick on the menu outlasts a level's theme
         state.selectedThemeLocked = locked;
         state.selectedThemeUnlockAt = t.unlock;
 
@@ -179,11 +576,21 @@ export class UIManager {
     const hud = document.createElement('div');
     hud.className = 'hud';
     const comboColor = state.currentTheme.colors[0];
-    const diffName = DIFFICULTIES[state.difficulty].name;
+    const rules = getRules(state);
+    const diffName = rules.name;
+    const forecast = getSpeedForecast(state, rules);
     
     hud.innerHTML = `
       <div class="difficulty-badge">${diffName}</div>
       <div class="hud-top-center">
+        ${rules.timeLimit ? `
+          <div id="hud-timer" class="hud-timer ${state.timeLeft < 10 ? 'low' : ''}">${formatTimer(state.timeLeft)}</div>
+          <div id="hud-timer-change" class="hud-timer-change"></div>
+        ` : ''}
+        ${rules.practice ? `<div id="hud-readout" class="hud-readout">${this.dropReadout}</div>` : ''}
+        ${forecast ? `<div class="hud-speed ${forecast.type}">${formatSpeedForecast(forecast)}</div>` : ''}
+        ${rules.target ? `<div class="hud-goal">GOAL ${getHeight(state)}/${rules.target}</div>` : ''}
+        ${rules.silhouette ? `<div class="hud-match">MATCH ${getSilhouetteScore(rules, state.silhouetteMatches)}%</div>` : ''}
         <div class="score-huge" style="transform: scale(${1 + Math.min(state.combo * 0.05, 0.5)})">${state.score}</div>
         ${state.combo > 0 ? `
           <div class="combo-popup combo-burst" style="color: ${comboColor}">${getComboTitle(state.combo)}</div>
@@ -199,10 +606,35 @@ export class UIManager {
         </div>
       </div>
       ${this.renderMuteBtn(state)}
+      ${state.showDropOdds ? this.renderDropOdds(state) : ''}
     `;
     this.root.appendChild(hud);
   }
 
+  /**
+   * Render the debug overlay with the odds of the next power-up award
+   * @param {object} state - Game state
+   * @returns {string} - HTML
+   */
+  renderDropOdds(state) {
+    const context = getDropContext(state);
+    const odds = getDropOdds(state, getRules(state));
+    return `
+      <div class="drop-odds">
+        <div class="drop-odds-title">NEXT DROP</div>
+        ${odds.map(o => `
+          <div class="drop-odds-row ${o.weight > 0 ? '' : 'off'}">
+            <span>${POWERUPS[o.type].icon} ${POWERUPS[o.type].name}${o.useful ? ' ★' : ''}</span>
+            <span>${Math.round(o.chance * 100)}%</span>
+          </div>
+        `).join('')}
+        <div class="drop-odds-context">
+          WIDTH ${Math.round(context.widthRatio * 100)}% • MISSES ${context.recentMisses} • PITY ${state.dropsSinceUseful}/${CONFIG.DROP_PITY}
+        </div>
+      </div>
+    `;
+  }
+
   /**
    * Render game over screen
    * @param {object} state - Game state
@@ -211,22 +643,44 @@ export class UIManager {
     const overlay = document.createElement('div');
     overlay.className = 'overlay';
     
-    // Check if player can still continue (limit 1 per game)
-    const canContinue = state.continuesUsed < 1;
+    // Check if player can still continue (limit 1 per game, none in Daily Void)
+    const rules = getRules(state);
+    const isDaily = state.mode === 'daily';
+    const isTimeAttack = state.mode === 'timeAttack';
+    const isCampaign = state.mode === 'campaign' && !!state.campaignLevel;
+    const isSilhouette = !!rules.silhouette;
+    const cleared = isCampaign
+      ? !!state.levelResult && state.levelResult.cleared
+      : isSilhouette && getHeight(state) >= rules.target;
+    const canContinue = !cleared && state.continuesUsed < (rules.continues ?? 1);
+    const best = isDaily ? state.daily.best : (isTimeAttack ? state.timeAttackBest : state.bestScore);
+    const modeBest = state.mode === 'shapes'
+      ? getModeBest(state, 'shapes')
+      : (isCampaign ? getLevelProgress(state.campaignProgress, state.campaignLevel).best : best);
+    const levelIndex = isCampaign ? state.campaign.findIndex(l => l.id === state.campaignLevel.id) : -1;
+    const hasNextLevel = cleared && levelIndex >= 0 && levelIndex + 1 < state.campaign.length;
+    const clearTitle = isSilhouette ? 'SILHOUETTE COMPLETE' : 'LEVEL CLEAR';
+    const title = cleared ? clearTitle : (state.timeUp ? 'TIME UP' : BRAND.gameOver);
     
     overlay.innerHTML = `
       <div class="glass-panel">
-        <h2 style="font-size: 2rem; color: var(--neon-fail); font-weight: 900;">${BRAND.gameOver}</h2>
+        <h2 style="font-size: 2rem; color: ${cleared ? 'var(--neon-cyan)' : 'var(--neon-fail)'}; font-weight: 900;">${title}</h2>
+        ${isDaily ? `<p class="daily-subtitle">${rules.name} • ${state.dailyKey}</p>` : ''}
+        ${['timeAttack', 'shapes', 'custom', 'campaign', 'silhouette'].includes(state.mode) ? `<p class="daily-subtitle">${rules.name}</p>` : ''}
+        ${isCampaign ? `
+          <p class="level-stars">${formatStars(state.levelResult ? state.levelResult.stars : 0)}</p>
+        ` : ''}
         <div style="display:flex; justify-content:space-around; margin:25px 0;">
           <div>
-            <p style="font-size:0.6rem; opacity:0.5; font-weight:800; text-transform:uppercase;">Score</p>
-            <p style="font-size:2rem; font-weight:900;">${state.score}</p>
+            <p style="font-size:0.6rem; opacity:0.5; font-weight:800; text-transform:uppercase;">${isSilhouette ? 'Match' : 'Score'}</p>
+            <p style="font-size:2rem; font-weight:900;">${isSilhouette ? `${getSilhouetteScore(rules, state.silhouetteMatches)}%` : state.score}</p>
           </div>
           <div>
             <p style="font-size:0.6rem; opacity:0.5; font-weight:800; text-transform:uppercase;">Best</p>
-            <p style="font-size:2rem; font-weight:900; color: var(--neon-cyan);">${state.bestScore}</p>
+            <p style="font-size:2rem; font-weight:900; color: var(--neon-cyan);">${isSilhouette ? `${state.silhouetteBests[state.silhouette] || 0}%` : modeBest}</p>
           </div>
         </div>
+        <p style="font-size:0.6rem; opacity:0.4; font-weight:800; letter-spacing:1px; margin:-15px 0 15px;">SEED ${formatSeed(state.seed)}</p>
         ${canContinue ? `
           <button class="btn btn-cta" onclick="window.gameContinueWithAd(event)" style="pointer-events:auto; background: linear-gradient(135deg, #00ffaa, #8a2be2); border: 2px solid #00ffaa;">
             📺 CONTINUE + REWARDS
@@ -234,13 +688,37 @@ export class UIManager {
           <p style="font-size: 0.7rem; opacity: 0.6; margin: -5px 0 10px 0;">Watch ad • Get Safety Net + Slow-Mo</p>
         ` : ''}
         <button class="btn share-btn" onclick="window.gameShare(event)" style="pointer-events:auto;">📤 SHARE SCORE</button>
-        <button class="btn ${canContinue ? 'btn-glass' : 'btn-cta'}" onclick="window.gameRestart(event)">RE-TRY</button>
+        <button class="btn btn-glass" onclick="window.gameWatchReplay('last', event)">▶ WATCH REPLAY</button>
+        ${hasNextLevel ? `
+          <button class="btn btn-cta" onclick="window.gamePlayLevel(${levelIndex + 1}, event)">NEXT LEVEL</button>
+        ` : ''}
+        ${isDaily ? `
+          <p class="daily-subtitle">One attempt per day • Next Daily Void tomorrow</p>
+        ` : `
+          <button class="btn ${canContinue || hasNextLevel ? 'btn-glass' : 'btn-cta'}" onclick="window.gameRestart(event)">RE-TRY</button>
+        `}
         <button class="btn btn-glass" onclick="window.gameBackToMenu(event)">MENU</button>
       </div>
     `;
     this.root.appendChild(overlay);
   }
 
+  /**
+   * Render the wait for the rewarded ad
+   * @param {object} state - Game state
+   */
+  renderContinuePending(state) {
+    const overlay = document.createElement('div');
+    overlay.className = 'overlay';
+    overlay.innerHTML = `
+      <div class="glass-panel">
+        <h2 style="font-weight: 900; font-size: 1.6rem;">📺 LOADING AD</h2>
+        <p style="font-size: 0.7rem; opacity: 0.6;">Watch to the end for Safety Net + Slow-Mo</p>
+      </div>
+    `;
+    this.root.appendChild(overlay);
+  }
+
   /**
    * Render paused screen
    * @param {object} state - Game state
@@ -257,6 +735,160 @@ export class UIManager {
     `;
     this.root.appendChild(overlay);
   }
+
+  /**
+   * Render replay HUD with scrubber and speed controls
+   * @param {object} state - Game state
+   */
+  renderReplay(state) {
+    const replay = state.replay;
+    const hud = document.createElement('div');
+    hud.className = 'hud';
+    const comboColor = state.currentTheme.colors[0];
+    const diffName = getRules(state).name;
+    const playIcon = replay.finished ? '⟲' : (replay.paused ? '▶' : '⏸');
+
+    hud.innerHTML = `
+      <div class="difficulty-badge">REPLAY • ${diffName}</div>
+      <div class="hud-top-center">
+        <div class="score-huge">${state.score}</div>
+        ${state.combo > 0 ? `
+          <div class="streak-counter" style="color: ${comboColor}">${state.combo}X STREAK</div>
+        ` : ''}
+      </div>
+      ${this.renderMuteBtn(state)}
+      <div class="glass-panel replay-controls">
+        <div class="replay-row">
+          <div class="round-btn" onclick="window.gameReplayToggle(event)">${playIcon}</div>
+          <input type="range" id="replay-scrubber" class="replay-scrubber" min="0" max="${Math.ceil(replay.duration)}" step="1"
+            value="${Math.floor(replay.time)}" onchange="window.gameReplaySeek(this.value)">
+          <span id="replay-clock" class="replay-clock">${formatClock(replay.time)} / ${formatClock(replay.duration)}</span>
+        </div>
+        <div class="replay-row">
+          ${REPLAY_SPEEDS.map(speed => `
+            <div class="diff-item ${replay.speed === speed ? 'selected' : ''}" onclick="window.gameReplaySpeed(${speed}, event)">${speed}X</div>
+          `).join('')}
+          <div class="diff-item" onclick="window.gameReplayExit(event)">EXIT</div>
+        </div>
+        <p class="replay-seed">SEED ${formatSeed(replay.recording.seed)}</p>
+      </div>
+    `;
+    this.root.appendChild(hud);
+  }
+
+  /**
+   * Tick the Time Attack clock without rebuilding the HUD
+   * @param {object} state - Game state
+   */
+  updateCountdown(state) {
+    const timer = document.getElementById('hud-timer');
+    if (!timer) return;
+    timer.textContent = formatTimer(state.timeLeft);
+    timer.classList.toggle('low', state.timeLeft < 10);
+  }
+
+  /**
+   * Pop up the seconds a placement added to or took off the clock
+   * @param {number} change - Seconds (negative for time lost)
+   */
+  showTimeChange(change) {
+    const el = document.getElementById('hud-timer-change');
+    if (!el || !change) return;
+    el.textContent = `${change > 0 ? '+' : '−'}${Math.abs(change).toFixed(1)}s`;
+    el.className = `hud-timer-change ${change > 0 ? 'gain' : 'loss'}`;
+  }
+
+  /**
+   * Show how far off the last drop was (practice modes only)
+   * @param {object} state - Game state
+   * @param {object} outcome - Placement outcome
+   */
+  showDropReadout(state, outcome) {
+    if (!getRules(state).practice) return;
+    this.dropReadout = formatDropReadout(outcome);
+    const el = document.getElementById('hud-readout');
+    if (el) el.textContent = this.dropReadout;
+  }
+
+  /**
+   * Move the replay scrubber without rebuilding the HUD
+   * @param {object} state - Game state
+   */
+  updateReplayProgress(state) {
+    const replay = state.replay;
+    if (!replay) return;
+
+    const scrubber = document.getElementById('replay-scrubber');
+    if (scrubber && document.activeElement !== scrubber) {
+      scrubber.value = Math.floor(replay.time);
+    }
+    const clock = document.getElementById('replay-clock');
+    if (clock) {
+      clock.textContent = `${formatClock(replay.time)} / ${formatClock(replay.duration)}`;
+    }
+  }
+}
+
+/**
+ * Format milliseconds as m:ss
+ * @param {number} ms - Time in milliseconds
+ * @returns {string}
+ */
+function formatClock(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Describe a drop's accuracy, e.g. "OFF 0.42 • 85% OVERLAP"
+ * @param {object} outcome - Placement outcome
+ * @returns {string}
+ */
+export function formatDropReadout(outcome) {
+  if (outcome.type === 'perfect') return `PERFECT • OFF ${outcome.offset.toFixed(2)}`;
+  const overlap = Math.round(Math.max(0, outcome.overlap) / outcome.size * 100);
+  const text = `OFF ${outcome.offset.toFixed(2)} • ${overlap}% OVERLAP`;
+  return outcome.type === 'cut' ? text : `MISS • ${text}`;
+}
+
+/**
+ * Best score in a mode that only keeps one in its lifetime stats
+ * @param {object} state - Game state
+ * @param {string} mode - Mode key in lifetimeStats.byMode
+ * @returns {number}
+ */
+function getModeBest(state, mode) {
+  const totals = state.lifetimeStats.byMode[mode];
+  return totals ? totals.bestScore : 0;
+}
+
+/**
+ * Describe an upcoming speed change (see getSpeedForecast)
+ * @param {object} forecast - Speed forecast
+ * @returns {string}
+ */
+export function formatSpeedForecast(forecast) {
+  if (forecast.type === 'breather') return `BREATHER • ${forecast.floors} LEFT`;
+  if (forecast.type === 'spike') return forecast.in ? `SPEED SPIKE IN ${forecast.in}` : 'SPEED SPIKE';
+  return `SPEED UP IN ${forecast.in}`;
+}
+
+/**
+ * Format the Time Attack clock as seconds with one decimal
+ * @param {number} seconds - Time left
+ * @returns {string}
+ */
+function formatTimer(seconds) {
+  return `${Math.max(0, seconds).toFixed(1)}s`;
+}
+
+/**
+ * Show a level's stars out of three
+ * @param {number} stars - Stars earned
+ * @returns {string}
+ */
+function formatStars(stars) {
+  return '★'.repeat(stars) + '☆'.repeat(3 - stars);
 }
 
 // Export singleton
@@ -3,7 +3,7 @@
  */
 
 import { THEMES } from './config.js';
-import { persistTheme } from './storage.js';
+import { persistTheme, persistTutorialSeen, exportProfile } from './storage.js';
 
 /**
  * Reconcile theme unlock based on best score
@@ -43,11 +43,7 @@ export function closeTutorial(state) {
     tutorialEl.style.display = 'none';
   }
   state.hasSeenTutorial = true;
-  try {
-    localStorage.setItem('hasSeenTutorial', 'true');
-  } catch (e) {
-    console.warn('Failed to persist tutorial state:', e);
-  }
+  persistTutorialSeen();
 }
 
 /**
@@ -67,6 +63,54 @@ export function shareScore(score) {
   }
 }
 
+/**
+ * Copy a custom difficulty share code, falling back to showing it
+ * @param {string} code - Share code
+ */
+export function shareDifficultyCode(code) {
+  const fallback = () => window.prompt('Share this difficulty code:', code);
+  if (navigator.clipboard) {
+    navigator.clipboard.writeText(code).then(() => {
+      alert(`Difficulty code copied to clipboard!\n${code}`);
+    }).catch(fallback);
+  } else {
+    fallback();
+  }
+}
+
+/**
+ * Download the save profile as a JSON file
+ */
+export function downloadProfile() {
+  const blob = new Blob([exportProfile()], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `stack-void-profile-${new Date().toISOString().slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Ask the player for a profile JSON file
+ * @returns {Promise<string|null>} - File contents, or null if cancelled
+ */
+export function pickProfileFile() {
+  return new Promise((resolve) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+    input.onchange = () => {
+      const file = input.files && input.files[0];
+      if (!file) return resolve(null);
+      file.text().then(resolve, () => resolve(null));
+    };
+    input.click();
+  });
+}
+
 /**
  * Get combo title based on combo count
  * @param {number} combo - Current combo count
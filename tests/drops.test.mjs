@@ -0,0 +1,55 @@
+/**
+ * Drop table checks - run with `node --test tests/`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DROP_TABLES } from '../js/config.js';
+import { POWERUP_TYPES, getPowerUpPool } from '../js/powerup-registry.js';
+import { createSimState, getRules, resetRun } from '../js/simulation.js';
+import { getDropOdds, getDropContext } from '../js/drops.js';
+import { sanitizeLevel } from '../js/campaign.js';
+
+// A state playing the mode or difficulty each table is keyed by
+function stateFor(key) {
+  return ['easy', 'medium', 'hard'].includes(key)
+    ? createSimState({ seed: 1, difficulty: key })
+    : createSimState({ seed: 1, mode: key });
+}
+
+for (const [key, table] of Object.entries(DROP_TABLES)) {
+  test(`every power-up in the ${key} drop table can drop there`, () => {
+    const rules = getRules(stateFor(key));
+    const pool = getPowerUpPool(rules);
+    Object.keys(table).forEach((type) => {
+      assert.ok(pool.includes(type), `${type} is weighted for ${key} but not in its power-up pool`);
+    });
+  });
+}
+
+test('modes award every registered power-up they don\'t exclude', () => {
+  ['daily', 'timeAttack', 'zen', 'shapes'].forEach((mode) => {
+    assert.deepEqual(getPowerUpPool(getRules(stateFor(mode))), POWERUP_TYPES, mode);
+  });
+  const silhouette = getRules(stateFor('silhouette'));
+  assert.deepEqual(getPowerUpPool(silhouette), POWERUP_TYPES.filter(t => !silhouette.excludePowerUps.includes(t)));
+});
+
+test('a weighted power-up has odds in Time Attack', () => {
+  const state = stateFor('timeAttack');
+  const odds = getDropOdds(state, getRules(state));
+  ['freeze', 'doublePoints'].forEach((type) => {
+    assert.ok(odds.find(o => o.type === type).chance > 0, `${type} never drops`);
+  });
+});
+
+test('a narrow level\'s full-width tower gets no resize drops', () => {
+  const state = createSimState({ seed: 1, mode: 'campaign' });
+  state.campaignLevel = sanitizeLevel({ id: 'narrow', startWidth: 2.5 }, 0);
+  resetRun(state, 1);
+
+  assert.equal(getDropContext(state).widthRatio, 1);
+  const odds = getDropOdds(state, getRules(state));
+  assert.equal(odds.find(o => o.type === 'resetSize').chance, 0);
+  assert.ok(!odds.find(o => o.type === 'superSize').useful);
+});
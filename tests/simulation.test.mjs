@@ -0,0 +1,116 @@
+/**
+ * Placement rules - run with `node --test tests/`
+ *
+ * Runs the headless simulation on a hand-driven clock and a fixed seed, and
+ * drops each block at a chosen offset from the one below.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../js/config.js';
+import { createSimState, spawnBlock, resolvePlacement } from '../js/simulation.js';
+import { applyPowerUp } from '../js/powerup-registry.js';
+
+// Medium difficulty: 0.35 snap for the first 5 floors, then POST_MERCY_THRESHOLD
+function createRun(seed = 1) {
+  let now = 1000;
+  const state = createSimState({ difficulty: 'medium', seed, clock: () => now });
+  state.wait = (ms) => { now += ms; };
+  spawnBlock(state);
+  return state;
+}
+
+// Drop the active block `offset` along its axis from the block below (once the grace period is over)
+function drop(state, offset) {
+  state.wait(CONFIG.SPAWN_GRACE_MS);
+  const prev = state.stack[state.stack.length - 1];
+  const other = state.axis === 'x' ? 'z' : 'x';
+  state.activeBlock[state.axis] = prev[state.axis] + offset;
+  state.activeBlock[other] = prev[other];
+  return resolvePlacement(state);
+}
+
+// Stack `count` perfect floors
+function build(state, count) {
+  for (let i = 0; i < count; i++) {
+    drop(state, 0);
+    spawnBlock(state);
+  }
+}
+
+test('a drop inside the spawn grace period is ignored', () => {
+  const state = createRun();
+  const outcome = resolvePlacement(state);
+  assert.equal(outcome.type, 'early');
+  assert.equal(state.stack.length, 1);
+});
+
+test('a drop within the threshold snaps perfectly onto the stack', () => {
+  const state = createRun();
+  const outcome = drop(state, 0.3);
+
+  assert.equal(outcome.type, 'perfect');
+  assert.equal(outcome.block[state.axis], state.stack[0][state.axis]);
+  assert.equal(outcome.block.baseWidth, CONFIG.INITIAL_SIZE);
+  assert.equal(state.stack.length, 2);
+  assert.equal(state.combo, 1);
+  assert.equal(state.score, 1);
+});
+
+test('an overhang is trimmed off and breaks the combo', () => {
+  const state = createRun();
+  build(state, 2);
+  const size = state.axis === 'x' ? 'baseWidth' : 'baseDepth';
+  const outcome = drop(state, 1);
+
+  assert.equal(outcome.type, 'cut');
+  assert.ok(Math.abs(outcome.block[size] - (CONFIG.INITIAL_SIZE - 1)) < 1e-9);
+  assert.equal(outcome.rubble.length, 1);
+  assert.equal(state.combo, 0);
+  assert.equal(state.stack.length, 4);
+});
+
+test('a drop past the block below is a miss and leaves the stack alone', () => {
+  const state = createRun();
+  const outcome = drop(state, CONFIG.INITIAL_SIZE + 0.5);
+
+  assert.equal(outcome.type, 'miss');
+  assert.equal(state.stack.length, 1);
+  assert.ok(state.activeBlock);
+});
+
+test('the snap tightens once the mercy floors are passed', () => {
+  const state = createRun();
+  const offset = 0.25; // Inside the mercy threshold, outside POST_MERCY_THRESHOLD
+  assert.equal(drop(state, offset).type, 'perfect');
+
+  spawnBlock(state);
+  build(state, 4); // Stack is now past the 5 mercy floors
+  assert.equal(drop(state, offset).type, 'cut');
+});
+
+test('Safety Net catches a miss and spends its use', () => {
+  const state = createRun();
+  applyPowerUp(state, 'safetyNet');
+  const outcome = drop(state, CONFIG.INITIAL_SIZE + 0.5);
+
+  assert.equal(outcome.type, 'saved');
+  assert.equal(state.activePowerUps.safetyNet.active, false);
+  assert.equal(state.activeBlock, null);
+  assert.equal(state.stack.length, 1);
+
+  spawnBlock(state);
+  assert.equal(drop(state, CONFIG.INITIAL_SIZE + 0.5).type, 'miss');
+});
+
+test('the same seed and drops replay the same run', () => {
+  const play = () => {
+    const state = createRun(42);
+    return [0, 0.3, 1, 0.1, 0.6].map((offset) => {
+      const outcome = drop(state, offset);
+      spawnBlock(state);
+      return [outcome.type, state.axis, state.activeBlock[state.axis], state.score];
+    });
+  };
+  assert.deepEqual(play(), play());
+});